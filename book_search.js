@@ -51,23 +51,70 @@ class Book {
      */
     #contentArr = {};
 
+    // Policy for resolving a line that is added when the page and line already has text
+    #conflictPolicy;
+
+    // Incremented whenever content or layout changes, so state derived from it can tell it's stale
+    #version = 0;
+
+    /**
+     * Page layout, the number of lines each page has including lines that weren't scanned.
+     * Without it the last line of a page is unknown, so a word hyphen-breaked across 
+     * the end of a page can't be told apart from one whose following line wasn't scanned.
+     */
+    // Number of lines on every page of the book; null if unknown
+    #linesPerPage = null;
+    // Page number -> number of the page's last line, overrides #linesPerPage
+    #lastLineArr = {};
+
+    // Lowercased words of every line, cached for #version
+    #vocabularyCache = null;
+    #vocabularyVersion = -1;
+
+    /**
+     * Common prefixes that are joined to words with a hyphen, e.g. "self-" in "self-aware".
+     * A line ending with one of these is assumed to break a compound word in the 
+     * logical text (see getLogicalText()), but not when searching.
+     * @static
+     */
+    static COMPOUND_PREFIXES = [
+        "all", "anti", "co", "cross", "ex", "half", "mid", "non", "post", "pre", "pro", 
+        "quasi", "self", "semi", "well"
+    ];
+
+    /**
+     * Allowed values of conflictPolicy:
+     * "throw" throws an error, "keep-first" keeps the existing line, 
+     * "keep-last" replaces it and "keep-longer" keeps whichever line has longer text, 
+     * the existing line on a tie.
+     * @static
+     */
+    static CONFLICT_POLICIES = ["throw", "keep-first", "keep-last", "keep-longer"];
+
     // Constant for storing punctuation marks so we can split for words in a line.
     // Note that em dash is included but not a hyphen.
     // #PUNCTUATION_MARKS = [ " ", ",", ".", "?", "!", ":", ";", "(", ")", "[", "]", "\"", "/", "—"];
     // #PUNCTUATION_REGEX = new RegExp("[" + this.#PUNCTUATION_MARKS.join("\\") + "?]");
 
-    // Support for contractions, possessive nouns, and hyphenated words.
-    // Including support for accented Latin characters because there are valid
-    // spellings of English words that use diacritical marks like "résumé"
-    #WORD_REGEX = new RegExp(/[A-Za-z'\-À-ÖØ-Ýà-öø-ÿ]+/g);
+    // Splits lines into words for every search path, see Tokenizer
+    #tokenizer;
+
+    // Digits or "X" in groups delimited by a single hyphen or space, e.g. "978-0-618-26030-0"
+    static #ISBN_FORMAT_REGEX = /^[0-9Xx]+(?:[- ][0-9Xx]+)*$/;
 
     /**
      * Constructs a new Book object.
      * @param {string} title - book's title
      * @param {string} isbn - book's ISBN
      * @param {object} contentArr - array of scanned lines from book
+     * @param {string} [conflictPolicy] - How lines added to an already scanned page 
+     * and line are resolved, one of Book.CONFLICT_POLICIES. Defaults to "throw".
+     * @param {object} [layout] - Optional page layout, see setLayout(). 
+     * Content entries can also mark the last line of their page with "LastLine": true.
+     * @param {Tokenizer} [tokenizer] - Splits lines into words; defaults to Tokenizer.default
      */
-    constructor(title, isbn, contentArr) {
+    constructor(title, isbn, contentArr, conflictPolicy = "throw", layout = {}, 
+            tokenizer = Tokenizer.default) {
         if (isNull(title) || typeof(title) !== "string") {
             throw new Error(
                     "title cannot contain a null value or has a value that isn't of \"string\" type");
@@ -86,936 +133,8236 @@ class Book {
         }
         this.#title = title;
 
-        if (!Book.validateISBN(isbn)) {
-            throw new Error("Invalid ISBN value; must be a 10 or 13 digit string with no delimiters");
+        const isbnError = Book.getISBNError(isbn);
+        if (!isNull(isbnError)) {
+            throw new Error(`Invalid ISBN value "${isbn}"; ${isbnError}`);
+        }
+        this.#isbn = Book.normalizeISBN(isbn);
+
+        Book.#validateConflictPolicy(conflictPolicy);
+        this.#conflictPolicy = conflictPolicy;
+
+        if (!(tokenizer instanceof Tokenizer)) {
+            throw new Error("tokenizer must be a Tokenizer object");
         }
-        this.#isbn = isbn;
+        this.#tokenizer = tokenizer;
+
+        this.setLayout(layout);
 
         // Cannot assume Content entries are ordered in accordance to page number and line number.
         // I.e. table index may not represent ascending order of lines.
         for (const contentJSON of contentArr) {
-            // Construct new PageLineText object to validate data in book Content
-            const pageLineTextObj = new PageLineText(
-                    contentJSON["Page"], contentJSON["Line"], contentJSON["Text"]);
-            let pageNum = pageLineTextObj.page;
-            let lineNum = pageLineTextObj.line;
-
-            // First time we see page number in book data
-            if (isNull(this.#contentArr[pageNum])) {
-                this.#contentArr[pageNum] = {};
+            this.addLine(contentJSON["Page"], contentJSON["Line"], contentJSON["Text"]);
+            if (contentJSON["LastLine"] === true) {
+                this.setLastLine(contentJSON["Page"], contentJSON["Line"]);
             }
+        }
+    }
+
+    /**
+     * Sets the page layout of the book. Fields that aren't given are left unchanged.
+     * @param {object} layout - Page layout, e.g. the scanned book JSON object
+     * @param {number} [layout.LinesPerPage] - Number of lines on every page
+     * @param {object} [layout.Pages] - Array of { "Page", "LinesPerPage" } objects for 
+     * pages with a different number of lines, e.g. the last page of a chapter
+     */
+    setLayout(layout) {
+        if (isNull(layout) || typeof(layout) !== "object") {
+            throw new Error("layout must be an \"object\" type and not a null value");
+        }
 
-            // We want page and line number combination to be unique 
-            // identifier to a particular line of text.
-            // If there is another text entry with the same page and 
-            // line number, then there is probably an 
-            // issue upstream with how data is processed.
-            // Don't want to assume behavior like overriding 
-            // existing entry with newer one so error throwing is a safer solution.
-            if (!isNull(this.#contentArr[pageNum][lineNum])) {
-                throw new Error(`Duplicate text entry on page #${pageNum}, line #${lineNum}`);
+        if (!isNull(layout["LinesPerPage"])) {
+            Book.#validateLinesPerPage(layout["LinesPerPage"]);
+            for (const pageNum of Object.keys(this.#contentArr)) {
+                if (isNull(this.#lastLineArr[pageNum])) {
+                    this.#validatePageLength(Number(pageNum), layout["LinesPerPage"]);
+                }
             }
+            this.#linesPerPage = layout["LinesPerPage"];
+            this.#version++;
+        }
 
-            this.#contentArr[pageNum][lineNum] = pageLineTextObj;
+        if (!isNull(layout["Pages"])) {
+            if (!Array.isArray(layout["Pages"])) {
+                throw new Error("Pages layout must be an array");
+            }
+            for (const pageLayoutJSON of layout["Pages"]) {
+                this.setLastLine(pageLayoutJSON["Page"], pageLayoutJSON["LinesPerPage"]);
+            }
         }
     }
 
     /**
-     * Validates computer-readable ISBN based on official ISBN spec.
-     * Static function since its purpose is independent 
-     * of Book object but is within scope of books.
-     * (i.e. don't need to instantiate a book object to validate ISBN values)
-     * @param {string} isbn - ISBN
-     * @returns {boolean} - True if isbn is a valid ISBN with 10 or 13 digits 
-     * and no delimiters; false otherwise
+     * Sets the number of a page's last line, i.e. how many lines the page has.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number of the last line on the page
      */
-    static validateISBN(isbn) {
-        if (typeof(isbn) !== "string") {
-            throw new Error("isbn must be of \"string\" type");
-        }
-        const regex = new RegExp(/^\d{10}(\d{3})?$/);
-        return regex.test(isbn);
+    setLastLine(pageNum, lineNum) {
+        // Construct new PageLineText object to validate page and line number
+        const pageLineObj = new PageLineText(pageNum, lineNum, "");
+        this.#validatePageLength(pageLineObj.page, pageLineObj.line);
+        this.#lastLineArr[pageLineObj.page] = pageLineObj.line;
+        this.#version++;
     }
 
     /**
-     * Getter for title attribute.
-     * @returns {string} - Book title
+     * Gets the number of a page's last line from the page layout.
+     * @param {number} pageNum - Page number
+     * @returns {number} - Line number of the last line on the page; null if unknown
      */
-    get title() {
-        return this.#title;
+    getLastLine(pageNum) {
+        return this.#lastLineArr[pageNum] ?? this.#linesPerPage;
     }
 
     /**
-     * Getter for ISBN attribute.
-     * @returns {string} - Book ISBN
+     * Throws an error if a lines per page value isn't a positive integer.
+     * @param {number} linesPerPage - Number of lines on a page
+     * @static
      */
-    get isbn() {
-        return this.#isbn;
+    static #validateLinesPerPage(linesPerPage) {
+        if (!Number.isInteger(linesPerPage) || linesPerPage < 1) {
+            throw new Error("LinesPerPage must be a positive integer");
+        }
     }
 
     /**
-     * Getter for content attribute.
-     * @returns {object} - Array of PageLine objects
+     * Throws an error if a page already has lines scanned beyond its last line.
+     * @param {number} pageNum - Page number
+     * @param {number} lastLineNum - Line number of the last line on the page
      */
-    get content() {
-        return this.#contentArr;
+    #validatePageLength(pageNum, lastLineNum) {
+        Book.#validateLinesPerPage(lastLineNum);
+        if (Book.#getLastLineNum(this.#contentArr[pageNum]) > lastLineNum) {
+            throw new Error(`Page #${pageNum} has lines scanned beyond its last line #${lastLineNum}`);
+        }
     }
 
     /**
-     * Performs a search of a term in the book's scanned text.
-     * @param {string} searchTerm - Term to be searched in book text, case-sensitive
-     * @returns {object} - Array of successful matches
+     * Throws an error if a conflict policy isn't one of Book.CONFLICT_POLICIES.
+     * @param {string} conflictPolicy - Conflict policy
+     * @static
      */
-    searchForTerm(searchTerm) {
-        let resultArr = [];
+    static #validateConflictPolicy(conflictPolicy) {
+        if (!Book.CONFLICT_POLICIES.includes(conflictPolicy)) {
+            throw new Error(
+                    `conflictPolicy must be one of: ${Book.CONFLICT_POLICIES.join(", ")}`);
+        }
+    }
 
-        // Cannot assume Object.keys are ordered in ascending alphanumerical order.
-        // Though in modern ECMAScript specification, all non-negative integer keys are
-        // traversed first in ascending order by value while other string keys are iterated 
-        // by order of creation.
-        // See https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...
-        function comparator(a, b) {
-            // Assume a and b are strings
-            return a.charCodeAt(0) - b.charCodeAt(0);
+    /**
+     * Adds a scanned line to the book.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     * @param {string} text - Line text
+     * @param {string} [conflictPolicy] - How an already scanned page and line is resolved, 
+     * one of Book.CONFLICT_POLICIES. Defaults to the book's conflict policy.
+     * @returns {boolean} - True if the line was stored; false if the existing line was kept
+     */
+    addLine(pageNum, lineNum, text, conflictPolicy = this.#conflictPolicy) {
+        Book.#validateConflictPolicy(conflictPolicy);
+        // Construct new PageLineText object to validate the line
+        const pageLineTextObj = new PageLineText(pageNum, lineNum, text);
+        this.#validateWithinPage(pageLineTextObj);
+
+        const existingLine = this.getLine(pageLineTextObj.page, pageLineTextObj.line);
+        if (!Book.#isReplacing(existingLine, pageLineTextObj, conflictPolicy)) {
+            return false;
         }
+        this.#storeLine(pageLineTextObj);
+        return true;
+    }
 
-        let pageNumArr = Object.keys(this.#contentArr);
-        pageNumArr = pageNumArr.sort(comparator);
+    /**
+     * Adds the scanned lines of a page to the book. 
+     * Lines are validated before any are added, so an error leaves the book unchanged.
+     * @param {number} pageNum - Page number
+     * @param {object} lineArr - Array of { "Line", "Text" } objects, same as book Content 
+     * entries without "Page"
+     * @param {string} [conflictPolicy] - How already scanned lines are resolved, 
+     * one of Book.CONFLICT_POLICIES. Defaults to the book's conflict policy.
+     * @returns {number} - Number of lines stored
+     */
+    addPage(pageNum, lineArr, conflictPolicy = this.#conflictPolicy) {
+        Book.#validateConflictPolicy(conflictPolicy);
+        if (!Array.isArray(lineArr)) {
+            throw new Error("lineArr must be an array");
+        }
 
-        for (const pageNum of pageNumArr) {
-            let lineNumArr = Object.keys(this.#contentArr[pageNum]);
-            lineNumArr = lineNumArr.sort(comparator);
+        // Lines of the page itself can conflict with each other too, 
+        // so resolve them against a copy before touching the book
+        const pageContent = { ...this.#contentArr[pageNum] };
+        for (const lineJSON of lineArr) {
+            const pageLineTextObj = new PageLineText(pageNum, lineJSON["Line"], lineJSON["Text"]);
+            this.#validateWithinPage(pageLineTextObj);
+            const existingLine = pageContent[pageLineTextObj.line];
+            if (Book.#isReplacing(existingLine, pageLineTextObj, conflictPolicy)) {
+                pageContent[pageLineTextObj.line] = pageLineTextObj;
+            }
+        }
 
-            for (const lineNum of lineNumArr) {
-                this.#addSearchResult(this.#contentArr[pageNum][lineNum], searchTerm, resultArr);
+        let storedCount = 0;
+        for (const lineNum of Object.keys(pageContent)) {
+            if (this.getLine(pageNum, Number(lineNum)) !== pageContent[lineNum]) {
+                this.#storeLine(pageContent[lineNum]);
+                storedCount++;
             }
         }
-        return resultArr;
+        return storedCount;
     }
 
     /**
-     * Adds any search term matches to result array.
-     * @param {PageLineText} pageLineTextObj - Current PageLineText object
-     * @param {string} searchTerm - Search term
-     * @param {object} resultArr - Result array, is modified if a match is found
+     * Replaces the text of an already scanned line.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     * @param {string} text - New line text
      */
-    #addSearchResult(pageLineTextObj, searchTerm, resultArr) {
-        let lineText = pageLineTextObj.text;
-        // Finding individual words within line
-        // If string.match returns null, default to empty array
-        let wordArr = lineText.match(this.#WORD_REGEX) ?? [];
-        
-        // Second conditional is for cases where user search term is a case-sensitive 
-        // phrase like "Hello World".
-        // Else statement tries to see if search term is hyphen-breaked
-        if (wordArr.includes(searchTerm)) {
-            resultArr.push(new SearchResult(
-                    pageLineTextObj.page, pageLineTextObj.line, this.#isbn));
-        } else if (searchTerm.includes(" ") && lineText.includes(searchTerm)) {
-            resultArr.push(new SearchResult(
-                    pageLineTextObj.page, pageLineTextObj.line, this.#isbn));
-        } else {
-            // Note that Object[1] is the same as Object["1"] since 
-            // property names are stored as strings
-            let subsequentLine = 
-                    this.#contentArr[pageLineTextObj.page][pageLineTextObj.line + 1];
-            let subsequentLineText = null;
-            if (!isNull(subsequentLine)) {
-                subsequentLineText = subsequentLine.text;
-            }
-
-            if (this.#searchForLineBreakedTerm(
-                    searchTerm, lineText, subsequentLineText
-                )) {
-                /**
-                 * If there is a word that wraps to the next line 
-                 * (i.e. is hyphen-breaked), perform a look ahead check.
-                 * 
-                 * If the word wraps to the first line of the next page, then
-                 * currently there is no way to confirm if this is the case 
-                 * with current knowledge (e.g. we don't know the max number 
-                 * of lines on a page, there is no data that maps to this 
-                 * or we can derive from)
-                 */
-                resultArr.push(new SearchResult(
-                        pageLineTextObj.page, pageLineTextObj.line, this.#isbn));
-                resultArr.push(new SearchResult(
-                        pageLineTextObj.page, pageLineTextObj.line + 1, this.#isbn));
-            }
+    replaceLine(pageNum, lineNum, text) {
+        const pageLineTextObj = new PageLineText(pageNum, lineNum, text);
+        if (isNull(this.getLine(pageLineTextObj.page, pageLineTextObj.line))) {
+            throw new Error(`No text entry on page #${pageNum}, line #${lineNum} to replace`);
         }
+        this.#storeLine(pageLineTextObj);
     }
 
     /**
-     * Helper method to find a search term that is line-breaked across 
-     * two lines with a hyphen.
-     * @param {string} searchTerm - Term to be searched in book text, case-sensitive
-     * @param {string} currentLineText - Current line text
-     * @param {string} subsequentLineText - Line text following the current
-     * @returns {boolean} - True if search term does span across two lines; 
-     * false otherwise
+     * Removes a page and all of its lines from the book.
+     * @param {number} pageNum - Page number
+     * @returns {boolean} - True if the page was removed; false if it wasn't scanned
      */
-    #searchForLineBreakedTerm(searchTerm, currentLineText, subsequentLineText) {
-        // It is possible that subsequent line is not scanned (undefined)
-        if (isNull(subsequentLineText) || !currentLineText.endsWith("-")) {
+    removePage(pageNum) {
+        if (isNull(this.#contentArr[pageNum])) {
             return false;
         }
+        delete this.#contentArr[pageNum];
+        this.#version++;
+        return true;
+    }
 
-        let lineEnd = currentLineText.match(this.#WORD_REGEX).pop()?.replace("-", "");
-
-        // If current line of text ends with a substring of first part of search term
-        // and next line of text starts with the rest of search term, that means
-        // we found a word that has been hyphen-breaked
-        if (searchTerm.startsWith(lineEnd)) {
-            // Cannot use string.endsWith in case a different term can be matched.
-            // Have to substring extract what's left over to match
-            // E.g. The hyphen-breaked "be-e" will give a false positive match
-            // to search term "because"
-            let startIndex = lineEnd.length;
-            let leftOverStr = searchTerm.substring(startIndex);
+    /**
+     * Throws an error if a line is beyond the last line of its page in the page layout.
+     * @param {PageLineText} pageLineTextObj - Line
+     */
+    #validateWithinPage(pageLineTextObj) {
+        const lastLineNum = this.getLastLine(pageLineTextObj.page);
+        if (!isNull(lastLineNum) && pageLineTextObj.line > lastLineNum) {
+            throw new Error(`Line #${pageLineTextObj.line} is beyond the last line ` + 
+                    `#${lastLineNum} of page #${pageLineTextObj.page}`);
+        }
+    }
 
-            let subsequentLineStart = subsequentLineText.match(this.#WORD_REGEX).shift();
+    /**
+     * Decides whether a new line replaces an existing line under a conflict policy.
+     * @param {PageLineText} existingLine - Line already scanned; null if there is none
+     * @param {PageLineText} pageLineTextObj - New line
+     * @param {string} conflictPolicy - One of Book.CONFLICT_POLICIES
+     * @returns {boolean} - True if the new line replaces the existing line
+     * @static
+     */
+    static #isReplacing(existingLine, pageLineTextObj, conflictPolicy) {
+        if (isNull(existingLine)) {
+            return true;
+        }
 
-            if (leftOverStr === subsequentLineStart) {
+        switch (conflictPolicy) {
+            case "keep-first":
+                return false;
+            case "keep-last":
                 return true;
-            }
+            case "keep-longer":
+                return pageLineTextObj.text.length > existingLine.text.length;
+            default:
+                // We want page and line number combination to be unique 
+                // identifier to a particular line of text.
+                // If there is another text entry with the same page and 
+                // line number, then there is probably an 
+                // issue upstream with how data is processed.
+                // Without an explicit policy, don't want to assume behavior like overriding 
+                // existing entry with newer one so error throwing is a safer solution.
+                throw new Error(`Duplicate text entry on page #${pageLineTextObj.page}, ` + 
+                        `line #${pageLineTextObj.line}`);
         }
-        return false;
     }
 
     /**
-     * String representation of scanned book's contents.
-     * @returns {string} - JSON string of book's content
+     * Stores a line, overwriting any line on the same page and line.
+     * @param {PageLineText} pageLineTextObj - Line
      */
-    toString() {
-        return JSON.stringify(this.#contentArr);
+    #storeLine(pageLineTextObj) {
+        const { page, line } = pageLineTextObj;
+        // First time we see page number in book data
+        if (isNull(this.#contentArr[page])) {
+            this.#contentArr[page] = {};
+        }
+        this.#contentArr[page][line] = pageLineTextObj;
+        this.#version++;
     }
-}
 
-/**
- * PageLine class, represents a line of text on a page of a book.
- * 
- * Should be treated as an abstract class that cannot not be instantiated by itself.
- * Use SearchResult or PageLineText subclasses instead.
- * 
- * @abstract
- */
-class PageLine {
-    #pageNum;
-    #lineNum;
+    /**
+     * Validates computer-readable ISBN based on official ISBN spec.
+     * Static function since its purpose is independent 
+     * of Book object but is within scope of books.
+     * (i.e. don't need to instantiate a book object to validate ISBN values)
+     * @param {string} isbn - ISBN, optionally delimited with hyphens or spaces
+     * @returns {boolean} - True if isbn is a valid ISBN-10 or ISBN-13 
+     * with a correct check digit; false otherwise
+     */
+    static validateISBN(isbn) {
+        return isNull(Book.getISBNError(isbn));
+    }
 
     /**
-     * Constructs a new PageLine object.
-     * @param {number} pageNum - Page number
-     * @param {number} lineNum - Line number
+     * Finds why an ISBN is invalid.
+     * ISBN-10 check digits are mod 11 with weights 10 down to 1, where "X" stands for 10.
+     * ISBN-13 check digits are mod 10 with alternating weights of 1 and 3, 
+     * and ISBN-13s begin with the "978" or "979" Bookland prefix.
+     * @param {string} isbn - ISBN, optionally delimited with hyphens or spaces
+     * @returns {string} - Reason isbn is invalid; null if it is valid
+     * @static
      */
-    constructor(pageNum, lineNum) {
-        if (this.constructor === PageLine) {
-            throw new Error("Abstract classes cannot be instantiated.");
+    static getISBNError(isbn) {
+        if (typeof(isbn) !== "string") {
+            throw new Error("isbn must be of \"string\" type");
         }
-        if (!PageLine.#validatePageOrLineNum(pageNum)) {
-            throw new Error("Page number must be a non-zero, positive integer");
+        if (!Book.#ISBN_FORMAT_REGEX.test(isbn)) {
+            return "must only contain digits (and a final \"X\" check digit for ISBN-10), " + 
+                    "optionally delimited with single hyphens or spaces";
         }
-        if (!PageLine.#validatePageOrLineNum(lineNum)) {
-            throw new Error("Line number must be a non-zero, positive integer");
+
+        const normalizedISBN = Book.normalizeISBN(isbn);
+        if (normalizedISBN.length !== 10 && normalizedISBN.length !== 13) {
+            return `must have 10 or 13 digits but has ${normalizedISBN.length}`;
+        }
+        if (normalizedISBN.slice(0, -1).includes("X") || 
+                (normalizedISBN.length === 13 && normalizedISBN.endsWith("X"))) {
+            return "\"X\" can only be the check digit of an ISBN-10";
+        }
+        if (normalizedISBN.length === 13 && !/^97[89]/.test(normalizedISBN)) {
+            return "ISBN-13 must begin with \"978\" or \"979\"";
         }
 
-        this.#pageNum = pageNum;
-        this.#lineNum = lineNum;
+        const checkDigit = Book.#getCheckDigit(normalizedISBN.slice(0, -1));
+        if (normalizedISBN.slice(-1) !== checkDigit) {
+            return `ISBN-${normalizedISBN.length} check digit must be "${checkDigit}" ` + 
+                    `but is "${normalizedISBN.slice(-1)}"`;
+        }
+        return null;
     }
 
     /**
-     * Validates page or line number.
-     * @param {number} pageOrLineNum - Page or line number
-     * @returns {boolean} - True if pageNum is a non-zero, positive integer; false otherwise.
+     * Normalizes an ISBN to its canonical form, without delimiters and with an uppercase "X".
+     * Does not validate the ISBN.
+     * @param {string} isbn - ISBN, optionally delimited with hyphens or spaces
+     * @returns {string} - Canonical ISBN
      * @static
      */
-    static #validatePageOrLineNum(pageOrLineNum) {
-        if (typeof(pageOrLineNum) !== "number") {
-            throw new Error("Page and/or line number must be a \"number\" type");
-        }
-        return pageOrLineNum > 0 && (pageOrLineNum % 1 === 0);
+    static normalizeISBN(isbn) {
+        return isbn.replace(/[- ]/g, "").toUpperCase();
     }
 
     /**
-     * Getter for page number attribute.
-     * @returns {number} - Page number
+     * Converts an ISBN to its ISBN-13 form.
+     * @param {string} isbn - Valid ISBN-10 or ISBN-13
+     * @returns {string} - Canonical ISBN-13
+     * @static
      */
-    get page() {
-        return this.#pageNum;
+    static toISBN13(isbn) {
+        Book.#assertValidISBN(isbn);
+        const normalizedISBN = Book.normalizeISBN(isbn);
+        if (normalizedISBN.length === 13) {
+            return normalizedISBN;
+        }
+        const isbn13Body = "978" + normalizedISBN.slice(0, -1);
+        return isbn13Body + Book.#getCheckDigit(isbn13Body);
     }
 
     /**
-     * Getter for line number attribute.
-     * @return {number} - Line number
+     * Converts an ISBN to its ISBN-10 form. 
+     * Only ISBN-13s beginning with "978" have an ISBN-10 form.
+     * @param {string} isbn - Valid ISBN-10 or ISBN-13
+     * @returns {string} - Canonical ISBN-10
+     * @static
      */
-    get line() {
-        return this.#lineNum;
+    static toISBN10(isbn) {
+        Book.#assertValidISBN(isbn);
+        const normalizedISBN = Book.normalizeISBN(isbn);
+        if (normalizedISBN.length === 10) {
+            return normalizedISBN;
+        }
+        if (!normalizedISBN.startsWith("978")) {
+            throw new Error(`ISBN "${isbn}" has no ISBN-10 form since it doesn't begin with "978"`);
+        }
+        const isbn10Body = normalizedISBN.slice(3, -1);
+        return isbn10Body + Book.#getCheckDigit(isbn10Body);
     }
-}
-
-/**
- * SearchResult class represents a successful match of a search term within a 
- * line on a book's page.
- */
-class SearchResult extends PageLine {
-    #isbn;
 
     /**
-     * Constructs a new SearchResult object.
-     * @param {number} pageNum - Page number
-     * @param {number} lineNum - Line number
+     * Throws an error describing why an ISBN is invalid, if it is.
      * @param {string} isbn - ISBN
+     * @static
      */
-    constructor(pageNum, lineNum, isbn) {
-        super(pageNum, lineNum);
+    static #assertValidISBN(isbn) {
+        const isbnError = Book.getISBNError(isbn);
+        if (!isNull(isbnError)) {
+            throw new Error(`Invalid ISBN value "${isbn}"; ${isbnError}`);
+        }
+    }
 
-        if (!Book.validateISBN(isbn)) {
-            throw new Error(
-                    "Invalid ISBN value; must be a 10 or 13 digit string with no delimiters");
+    /**
+     * Computes the check digit of an ISBN.
+     * @param {string} isbnBody - ISBN digits without the check digit (9 or 12 digits)
+     * @returns {string} - Check digit, "X" for an ISBN-10 check digit of 10
+     * @static
+     */
+    static #getCheckDigit(isbnBody) {
+        const digitArr = isbnBody.split("").map(Number);
+        if (digitArr.length === 9) {
+            const sum = digitArr.reduce((total, digit, index) => total + digit * (10 - index), 0);
+            const checkValue = (11 - sum % 11) % 11;
+            return checkValue === 10 ? "X" : String(checkValue);
         }
+        const sum = digitArr.reduce(
+                (total, digit, index) => total + digit * (index % 2 === 0 ? 1 : 3), 0);
+        return String((10 - sum % 10) % 10);
+    }
 
-        this.#isbn = isbn;
+    /**
+     * Getter for title attribute.
+     * @returns {string} - Book title
+     */
+    get title() {
+        return this.#title;
     }
 
     /**
      * Getter for ISBN attribute.
-     * @return {string} - ISBN value
+     * @returns {string} - Book ISBN
      */
     get isbn() {
         return this.#isbn;
     }
 
     /**
-     * Converts SearchResult object to JSON format.
-     * @returns {object} - JSON format of object
+     * Getter for conflictPolicy attribute.
+     * @returns {string} - Default conflict policy of added lines
      */
-    toJSON() {
-        /**
-         * This function is needed because in test cases, 
-         * caller calls JSON.stringify() which would result 
-         * in private properties being stringified in the wrong order
-         * (order of var declaration instead of the order 
-         * as defined by product requirements).
-         * E.g.
-         * {
-         *     #pageNum: 31,
-         *     #lineNum: 9,
-         *     #isbn: "9780000528531"
-         * }
-         */
-        return {
-            "ISBN": this.#isbn,
-            "Page": this.page,
-            "Line": this.line
-        };
+    get conflictPolicy() {
+        return this.#conflictPolicy;
     }
-}
-
-/**
- * PageLineText class represents a single line of text on a book's page.
- */
-class PageLineText extends PageLine {
-    #text;
 
     /**
-     * Constructs a new PageLineText object.
-     * @param {number} pageNum - Page number
-     * @param {number} lineNum - Line number
-     * @param {string} text - Line text
+     * Getter for version attribute.
+     * @returns {number} - Number of changes made to the book's content
      */
-    constructor(pageNum, lineNum, text) {
-        super(pageNum, lineNum);
-        // Note that it is possible for a line to be empty 
-        // (e.g. just whitespace for formatting)
-        this.#text = text.trim();
+    get version() {
+        return this.#version;
     }
 
     /**
-     * Getter for line text attribute.
-     * @return {string} - Line text
+     * Getter for linesPerPage attribute.
+     * @returns {number} - Number of lines on every page; null if unknown
      */
-    get text() {
-        return this.#text;
+    get linesPerPage() {
+        return this.#linesPerPage;
     }
 
     /**
-     * Converts PageLineText object to JSON format.
-     * @returns {object} - JSON format of object
+     * Getter for tokenizer attribute.
+     * @returns {Tokenizer} - Tokenizer splitting the book's lines into words
      */
-    toJSON() {
-        return {
-            "Page": this.page,
-            "Line": this.line,
-            "Text": this.#text
-        };
+    get tokenizer() {
+        return this.#tokenizer;
     }
-}
 
-/**
- * Searches for matches in scanned text.
- * @param {string} searchTerm - The word or term we're searching for. 
- * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
- * Will not be modified.
- * @returns {JSON} - Search results.
- */
- function findSearchTermInBooks(searchTerm, scannedTextObj) {
-    if (isNull(searchTerm) || typeof(searchTerm) !== "string") {
-        throw new Error("searchTerm must be a \"string\" type and not a null value");
+    /**
+     * Getter for content attribute.
+     * @returns {object} - Array of PageLine objects
+     */
+    get content() {
+        return this.#contentArr;
     }
 
-    if (searchTerm === "") {
-        throw new Error("searchTerm must be a non-empty string");
-    }
+    /**
+     * Gets the book's scanned lines in the order they are searched.
+     * @returns {object} - Array of PageLineText objects ordered by page number, 
+     * then line number
+     */
+    getOrderedLines() {
+        let orderedLineArr = [];
 
-    if (!isNull(searchTerm.match(/[\u0000-\u001F\u007F-\u009F]/g))) {
-        throw new Error("searchTerm cannot have control characters");
+        // Cannot assume Object.keys are ordered in ascending alphanumerical order.
+        // Though in modern ECMAScript specification, all non-negative integer keys are
+        // traversed first in ascending order by value while other string keys are iterated 
+        // by order of creation.
+        // See https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...
+        // Keys have to be compared by numeric value since phrases spanning lines need 
+        // consecutive lines to be next to each other (e.g. line 9 before line 10).
+        function comparator(a, b) {
+            // Assume a and b are strings of positive integers
+            return Number(a) - Number(b);
+        }
+
+        let pageNumArr = Object.keys(this.#contentArr);
+        pageNumArr = pageNumArr.sort(comparator);
+
+        for (const pageNum of pageNumArr) {
+            let lineNumArr = Object.keys(this.#contentArr[pageNum]);
+            lineNumArr = lineNumArr.sort(comparator);
+
+            for (const lineNum of lineNumArr) {
+                orderedLineArr.push(this.#contentArr[pageNum][lineNum]);
+            }
+        }
+        return orderedLineArr;
     }
 
-    if (isNull(scannedTextObj) || typeof(scannedTextObj) !== "object") {
-        throw new Error("scannedTextObj must be an \"object\" type and not a null value");
+    /**
+     * Gets a single scanned line.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     * @returns {PageLineText} - Line; null if it was not scanned
+     */
+    getLine(pageNum, lineNum) {
+        return this.#contentArr[pageNum]?.[lineNum] ?? null;
     }
 
-    let overallResultArr = [];
+    /**
+     * Gets the line directly following a line in the book. The last line of page N 
+     * is followed by line 1 of page N + 1. Without a page layout, the last 
+     * scanned line of a page is assumed to be its last line.
+     * @param {PageLineText} pageLineTextObj - Current line
+     * @returns {PageLineText} - Following line; null if it was not scanned
+     */
+    getNextLine(pageLineTextObj) {
+        const { page, line } = pageLineTextObj;
+        const lastLineNum = this.getLastLine(page) ?? 
+                Book.#getLastLineNum(this.#contentArr[page]);
+        return (line === lastLineNum) ? this.getLine(page + 1, 1) : this.getLine(page, line + 1);
+    }
 
-    // Iterating over each distinct book scanned to find the search term in scanned lines
-    // Assume a single book does not have repeated entries in JSON
-    for (const bookJSON of scannedTextObj) {
-        const bookObj = new Book(bookJSON["Title"], bookJSON["ISBN"], bookJSON["Content"]);
-        let resultArr = bookObj.searchForTerm(searchTerm);
-        overallResultArr = overallResultArr.concat(resultArr);
+    /**
+     * Gets the line directly preceding a line in the book, the reverse of getNextLine().
+     * @param {PageLineText} pageLineTextObj - Current line
+     * @returns {PageLineText} - Preceding line; null if it was not scanned
+     */
+    getPreviousLine(pageLineTextObj) {
+        const { page, line } = pageLineTextObj;
+        if (line > 1) {
+            return this.getLine(page, line - 1);
+        }
+        const previousLastLineNum = this.getLastLine(page - 1) ?? 
+                Book.#getLastLineNum(this.#contentArr[page - 1]);
+        return this.getLine(page - 1, previousLastLineNum);
     }
 
-    let resultJSON = {
-        "SearchTerm": searchTerm,
-        "Results": overallResultArr
-    };
+    /**
+     * Gets the line a hyphen-breaked word at the end of a line continues on.
+     * Unlike getNextLine(), a word only continues on the next page when the page 
+     * layout says the line is the last of its page, since a word at the end of the 
+     * last scanned line may just as well continue on a line that wasn't scanned.
+     * @param {PageLineText} pageLineTextObj - Current line
+     * @returns {PageLineText} - Line the word would continue on; null if it wasn't scanned 
+     * or is unknown
+     */
+    getLineBreakContinuation(pageLineTextObj) {
+        const { page, line } = pageLineTextObj;
+        if (line === this.getLastLine(page)) {
+            return this.getLine(page + 1, 1);
+        }
+        return this.getLine(page, line + 1);
+    }
 
-    return resultJSON;
-}
+    /**
+     * Finds the highest scanned line number of a page.
+     * @param {object} pageContent - Line number -> PageLineText object of a page
+     * @returns {number} - Highest line number; -Infinity if page has no lines
+     * @static
+     */
+    static #getLastLineNum(pageContent) {
+        return Math.max(...Object.keys(pageContent ?? {}).map(Number));
+    }
 
-/** Example input object. */
-const twentyLeaguesIn = [
-    {
-        "Title": "Twenty Thousand Leagues Under the Sea",
-        "ISBN": "9780000528531",
-        "Content": [
-            {
-                "Page": 31,
-                "Line": 8,
-                "Text": "now simply went on by her own momentum.  The dark-"
-            },
-            {
-                "Page": 31,
-                "Line": 9,
-                "Text": "ness was then profound; and however good the Canadian\'s"
-            },
-            {
-                "Page": 31,
-                "Line": 10,
-                "Text": "eyes were, I asked myself how he had managed to see, and"
-            } 
-        ] 
+    /**
+     * Finds individual words within a line of text.
+     * @param {string} lineText - Line text
+     * @returns {object} - Array of words, normalized by the book's tokenizer, 
+     * in the order they appear in the line
+     */
+    getWords(lineText) {
+        return this.getWordSpans(lineText).map((wordSpan) => wordSpan.word);
     }
-];
-    
-/** Example output object */
-const twentyLeaguesOut = {
-    "SearchTerm": "the",
-    "Results": [
-        {
-            "ISBN": "9780000528531",
-            "Page": 31,
-            "Line": 9
-        }
-    ]
-};
 
-/*
- _   _ _   _ ___ _____   _____ _____ ____ _____ ____  
-| | | | \ | |_ _|_   _| |_   _| ____/ ___|_   _/ ___| 
-| | | |  \| || |  | |     | | |  _| \___ \ | | \___ \ 
-| |_| | |\  || |  | |     | | | |___ ___) || |  ___) |
- \___/|_| \_|___| |_|     |_| |_____|____/ |_| |____/ 
-                                                      
- */
+    /**
+     * Finds individual words within a line of text along with where they are.
+     * @param {string} lineText - Line text
+     * @returns {object} - Array of { word, start, end } objects, where [start, end) 
+     * are the word's character offsets in lineText
+     */
+    getWordSpans(lineText) {
+        return this.#tokenizer.tokenize(lineText);
+    }
 
-/* We have provided two unit tests. They're really just `if` statements that 
- * output to the console. We've provided two tests as examples, and 
- * they should pass with a correct implementation of `findSearchTermInBooks`. 
- * 
- * Please add your unit tests below.
- * */
+    /**
+     * Performs a search of a term in the book's scanned text.
+     * @param {string} searchTerm - Term to be searched in book text, 
+     * case-sensitive unless options say otherwise
+     * @param {SearchOptions|object} [options] - Search options, 
+     * see SearchOptions for supported fields
+     * @returns {object} - Array of successful matches
+     */
+    searchForTerm(searchTerm, options) {
+        return [...this.iterateTermResults(searchTerm, options)].flat();
+    }
 
-/** We can check that, given a known input, we get a known output. */
-const test1result = findSearchTermInBooks("the", twentyLeaguesIn);
-if (JSON.stringify(twentyLeaguesOut) === JSON.stringify(test1result)) {
-    console.log("PASS: Test 1");
-} else {
-    console.error("FAIL: Test 1");
-    console.error("Expected:", twentyLeaguesOut);
-    console.error("Received:", test1result);
-}
+    /**
+     * Lazily performs a search of a term in the book's scanned text, 
+     * searching a line (or a run of consecutive lines for a phrase) 
+     * each time the next batch of results is requested.
+     * @param {string} searchTerm - Term to be searched in book text, 
+     * case-sensitive unless options say otherwise
+     * @param {SearchOptions|object} [options] - Search options, 
+     * see SearchOptions for supported fields
+     * @yields {object} - Array of successful matches of each line or run of lines 
+     * searched, empty if none matched so a consumer can stop between lines
+     */
+    *iterateTermResults(searchTerm, options) {
+        for (const { results } of this.iterateTermBatches(searchTerm, options)) {
+            yield results;
+        }
+    }
 
-/** We could choose to check that we get the right number of results. */
-const test2result = findSearchTermInBooks("the", twentyLeaguesIn); 
-if (test2result.Results.length == 1) {
-    console.log("PASS: Test 2");
-} else {
-    console.error("FAIL: Test 2");
-    console.error("Expected:", twentyLeaguesOut.Results.length);
-    console.error("Received:", test2result.Results.length);
-}
+    /**
+     * Same as iterateTermResults(), along with the page each batch of results 
+     * ends on, so that iterateBookResultBatches() can report progress by page.
+     * @param {string} searchTerm - Term to be searched in book text
+     * @param {SearchOptions|object} [options] - Search options
+     * @yields {object} - { page, results } batch, where page is the last page 
+     * searched and results the array of successful matches, possibly empty
+     */
+    *iterateTermBatches(searchTerm, options) {
+        const searchOptions = SearchOptions.from(options);
+        const termMatcher = new TermMatcher(searchTerm, searchOptions);
+        if (!searchOptions.matchesBook(this)) {
+            return;
+        }
+        const lineArr = this.#getFilteredLines(searchOptions);
 
-/**
- * Helper method for running tests on a class constructor.
- * @param {string} testName - Name of test
- * @param {object} className - Class name
- * @param {object} args - Array of arguments to pass to constructor 
- * in the order they are stored
- * @param {boolean} shouldPass - True if test is supposed to pass; false otherwise
- */
-function constructorTestRunner(testName, className, args, shouldPass) {
-    try {
-        // Assume className is a valid class with a constructor
-        let newObj = new className(...args);
-        if (shouldPass) {
-            console.log("PASS:", testName, "|", JSON.stringify(newObj), "|", ...args);
-        } else {
-            console.error("FAIL:", testName, "|", 
-                    `${className} should not be instantiated with these arguments:`, ...args);
+        // Phrases can wrap to following lines, so they are matched over 
+        // the logical text instead of line by line
+        if (termMatcher.isPhrase) {
+            yield* this.#searchForPhrase(termMatcher, lineArr);
+            return;
         }
-    } catch(e) {
-        if (!shouldPass) {
-            console.log("PASS:", testName, "|", e.toString());
-        } else {
-            console.error("FAIL:", testName, "|", e);
+
+        for (const pageLineTextObj of lineArr) {
+            let resultArr = [];
+            this.#addSearchResult(pageLineTextObj, termMatcher, resultArr);
+            yield { "page": pageLineTextObj.page, "results": resultArr };
         }
     }
-}
 
-// Tests for Book class
-console.warn("Testing Book class");
-constructorTestRunner(
-        "bookConstructorTest",
-        Book,
-        [twentyLeaguesIn[0]["Title"], 
-        twentyLeaguesIn[0]["ISBN"], 
-        twentyLeaguesIn[0]["Content"]],
-        true
-    );
-constructorTestRunner("bookEmptyContentTest", Book,["Example title", "9780000528531", []], true);
+    /**
+     * Gets the ordered lines within the page and line ranges of search options, 
+     * so lines filtered out are never tokenized.
+     * @param {SearchOptions} searchOptions - Search options
+     * @returns {object} - Array of PageLineText objects
+     */
+    #getFilteredLines(searchOptions) {
+        return this.getOrderedLines().filter(
+                (pageLineTextObj) => searchOptions.matchesLine(pageLineTextObj));
+    }
 
-constructorTestRunner("bookNoArgTest", Book, [], false);
-constructorTestRunner("bookNullArgTest", Book, [null, null, null], false);
-// Trying to hit as much code coverage as possible which is why passing different
-// combinations of arguments
-constructorTestRunner("bookNullArgTest", Book, [null, "9780000528531", []], false);
-constructorTestRunner("bookNullArgTest", Book, ["Example title", null, []], false);
-constructorTestRunner("bookNullArgTest", Book, ["Example title", "9780000528531", null], false);
-constructorTestRunner("bookUndefinedArgTest", Book, [undefined, undefined, undefined], false);
-constructorTestRunner("bookEmptyTitleTest", Book, ["", "9780000528531", []], false);
-constructorTestRunner(
-        "bookInvalidContentTest",
-        Book,
-        ["Example title", "9780000528531", ["Hello There"]],
-        false
-    );
-constructorTestRunner("bookInvalidISBNTest", Book, ["Example title", "1", []], false);
+    /**
+     * Performs a search of a phrase over the book's logical text, where 
+     * consecutive lines are joined together so a phrase can span line and 
+     * page breaks. Runs of whitespace are treated as a single space and 
+     * hyphen-breaked words are joined back together, e.g. "The dark-" followed 
+     * by "ness was" is searched as "The darkness was".
+     * @param {TermMatcher} termMatcher - Matcher for the phrase and options
+     * @param {object} lineArr - Array of ordered PageLineText objects to search
+     * @yields {object} - { page, results } batch of each run of consecutive lines, 
+     * results holding one successful match per line a match touches
+     */
+    *#searchForPhrase(termMatcher, lineArr) {
+        for (const lineRunArr of this.#getConsecutiveLineRuns(lineArr)) {
+            let resultArr = [];
+            let streamText = "";
+            // Offset in streamText where each line of the run starts
+            let lineStartArr = [];
 
-// Tests for static ISBN validation function
-if (Book.validateISBN("0000000000000")) {
-    console.log("PASS:", "book13DigitISBNValidateTest");
-} else {
-    console.error("FAIL:", "book13DigitISBNValidateTest");
-}
+            lineRunArr.forEach((pageLineTextObj, index) => {
+                if (index > 0) {
+                    const lineBreak = this.#getLineBreak(lineRunArr[index - 1], pageLineTextObj);
+                    if (lineBreak === "soft-hyphen") {
+                        streamText = streamText.slice(0, -1);
+                    } else if (lineBreak === "space") {
+                        streamText += " ";
+                    }
+                }
+                lineStartArr.push(streamText.length);
+                streamText += termMatcher.normalizeText(pageLineTextObj.text);
+            });
 
-if (Book.validateISBN("0000000000")) {
-    console.log("PASS:", "book10DigitISBNValidateTest");
-} else {
-    console.error("FAIL:", "book10DigitISBNValidateTest");
-}
+            // Lines touched by any occurrence, a Set since occurrences can share lines
+            let matchedIndexSet = new Set();
+            for (const [start, end] of termMatcher.findOccurrences(streamText)) {
+                lineRunArr.forEach((pageLineTextObj, index) => {
+                    const lineEnd = (index + 1 < lineStartArr.length) ? 
+                            lineStartArr[index + 1] : streamText.length;
+                    if (lineStartArr[index] < end && lineEnd > start) {
+                        matchedIndexSet.add(index);
+                    }
+                });
+            }
 
-if (!Book.validateISBN("978-0000528531")) {
-    console.log("PASS:", "bookISBNDelimiterValidateTest");
-} else {
-    console.error("FAIL:", "bookISBNDelimiterValidateTest");
-}
+            for (const index of [...matchedIndexSet].sort((a, b) => a - b)) {
+                resultArr.push(new SearchResult(
+                        lineRunArr[index].page, lineRunArr[index].line, this.#isbn));
+            }
+            yield { "page": lineRunArr[lineRunArr.length - 1].page, "results": resultArr };
+        }
+    }
 
-if (!Book.validateISBN("123")) {
-    console.log("PASS:", "bookInvalidISBNValidateTest");
-} else {
-    console.error("FAIL:", "bookInvalidISBNValidateTest");
-}
+    /**
+     * Reconstructs the logical text of the book or a range of its pages, 
+     * as if it was never broken into lines and pages.
+     * Consecutive lines are joined with a space, except for a hyphen-breaked word 
+     * which is joined back together: a soft hyphen that only breaks the word is 
+     * removed ("dark-" and "ness" give "darkness") while the hyphen of a compound 
+     * word is kept ("pre-" and "owned" give "pre-owned").
+     * Runs of lines separated by lines that were not scanned are joined with a newline.
+     * @param {number} [startPage] - First page of the range; defaults to the first page
+     * @param {number} [endPage] - Last page of the range, inclusive; defaults to the last page
+     * @returns {LogicalText} - Logical text with a map back to pages and lines
+     */
+    getLogicalText(startPage = 1, endPage = Number.MAX_SAFE_INTEGER) {
+        if (!Number.isInteger(startPage) || !Number.isInteger(endPage) || startPage > endPage) {
+            throw new Error("startPage and endPage must be integers with startPage <= endPage");
+        }
 
-try {
-    Book.validateISBN(9780000528531);
-} catch(e) {
-    console.log("PASS:", "bookISBNValidateNumberTest", "|", e.toString());
-}
+        const lineArr = this.getOrderedLines().filter(
+                (pageLineTextObj) => pageLineTextObj.page >= startPage && 
+                    pageLineTextObj.page <= endPage);
+        let text = "";
+        let segmentArr = [];
 
-// Tests for PageLine abstract class
-console.warn("Testing PageLine abstract class");
-constructorTestRunner("pageLineConstructorTest", PageLine, [31, 8], false);
+        this.#getConsecutiveLineRuns(lineArr).forEach((lineRunArr, runIndex) => {
+            if (runIndex > 0) {
+                text += "\n";
+            }
+            lineRunArr.forEach((pageLineTextObj, index) => {
+                let lineText = pageLineTextObj.text;
+                const lineBreak = (index + 1 < lineRunArr.length) ? 
+                        this.#getLineBreak(pageLineTextObj, lineRunArr[index + 1], true) : null;
+                if (lineBreak === "soft-hyphen") {
+                    lineText = lineText.slice(0, -1);
+                }
 
-// Tests for PageLineText class
-console.warn("Testing PageLineText class");
-constructorTestRunner("pageLineTextTest", PageLineText, [31, 8, "Example text"], true);
-constructorTestRunner("pageLineTextEmptyStringTest", PageLineText, [31, 8, ""], true);
+                segmentArr.push({
+                    "Page": pageLineTextObj.page,
+                    "Line": pageLineTextObj.line,
+                    "Start": text.length,
+                    "End": text.length + lineText.length
+                });
+                text += lineText;
+                if (lineBreak === "space") {
+                    text += " ";
+                }
+            });
+        });
+        return new LogicalText(text, segmentArr);
+    }
 
-constructorTestRunner("pageLineTextNoArgTest", PageLineText, [], false);
-constructorTestRunner("pageLineTextNullArgTest", PageLineText, [null, null, null], false);
-constructorTestRunner(
-        "pageLineTextNullArgTest", PageLineText, [null, 8, "Example text"], false);
-constructorTestRunner(
-        "pageLineTextNullArgTest", PageLineText, [31, null, "Example text"], false);
-constructorTestRunner("pageLineTextNullArgTest", PageLineText, [31, 8, null], false);
-constructorTestRunner(
-        "pageLineTextUndefinedArgTest", PageLineText, [undefined, undefined, undefined], false);
-constructorTestRunner(
-        "pageLineTextInvalidPageNumTest", PageLineText, [-1, 8, "Example text"], false);
-constructorTestRunner(
-        "pageLineTextInvalidLineNumTest", PageLineText, [31, -1, "Example text"], false);
-constructorTestRunner("pageLineTextInvalidTextTest", PageLineText, [31, -1, null], false);
+    /**
+     * Decides how two consecutive lines are joined in the logical text.
+     * A hyphen at the end of a line is a soft hyphen unless it is evidently part 
+     * of a compound word: the word already has a hyphen (e.g. "mother-in-" and "law"), 
+     * the next part is capitalized or a number (e.g. "pre-" and "Columbian"), the 
+     * hyphenated word is spelt with a hyphen elsewhere in the book but never without, 
+     * or, when guessing compounds, the first part is one of Book.COMPOUND_PREFIXES.
+     * @param {PageLineText} currentLine - Current line
+     * @param {PageLineText} subsequentLine - Line following the current
+     * @param {boolean} [guessCompounds] - True to also take a word starting with one of 
+     * Book.COMPOUND_PREFIXES as a compound word. Defaults to false.
+     * @returns {string} - "space" if lines are joined with a space, "soft-hyphen" if 
+     * the hyphen ending the current line is removed, "compound-hyphen" if it is kept
+     */
+    #getLineBreak(currentLine, subsequentLine, guessCompounds = false) {
+        if (!Book.#isHyphenBreak(currentLine.text, subsequentLine.text)) {
+            return "space";
+        }
 
-// Extremity tests
-constructorTestRunner("pageLinePage0Line1Test", PageLineText, [0, 1, ""], false);
-constructorTestRunner("pageLinePage1Line0Test", PageLineText, [1, 0, ""], false);
-constructorTestRunner(
-        "pageLinePage1LineMaxIntegerTest", PageLineText, [1, Number.MAX_SAFE_INTEGER, ""], true);
+        const lineEnd = this.getWords(currentLine.text).pop() ?? "";
+        const subsequentLineStart = this.getWords(subsequentLine.text).shift() ?? "";
+        const wordStart = lineEnd.slice(0, -1);
+        if (wordStart.includes("-") || /^[A-Z0-9À-ÖØ-Ý]/.test(subsequentLineStart)) {
+            return "compound-hyphen";
+        }
 
-// Tests for SearchResult class
-console.warn("Testing SearchResult class");
-constructorTestRunner("searchResultTest", SearchResult, [31, 8, "9780000528531"], true);
+        const vocabularySet = this.#getVocabulary();
+        const joinedWord = (wordStart + subsequentLineStart).toLowerCase();
+        const hyphenatedWord = (lineEnd + subsequentLineStart).toLowerCase();
+        if (vocabularySet.has(joinedWord)) {
+            return "soft-hyphen";
+        }
+        if (vocabularySet.has(hyphenatedWord) || 
+                (guessCompounds && Book.COMPOUND_PREFIXES.includes(wordStart.toLowerCase()))) {
+            return "compound-hyphen";
+        }
+        return "soft-hyphen";
+    }
 
-constructorTestRunner("searchResultNoArgTest", SearchResult, [], false);
-constructorTestRunner("searchResultNullTest", SearchResult, [null, null, null], false);
-constructorTestRunner("searchResultNullTest", SearchResult, [null, 8, "978000052831"], false);
-constructorTestRunner("searchResultNullTest", SearchResult, [31, null, "978000052831"], false);
-constructorTestRunner("searchResultNullTest", SearchResult, [31, 8, null], false);
-constructorTestRunner(
-        "searchResultUndefinedTest", SearchResult, [undefined, undefined, undefined], false);
-constructorTestRunner("searchResultInvalidISBNTest", SearchResult, [31, 8, "978000052831"], false);
-constructorTestRunner("searchResultInvalidISBNTest", SearchResult, [31, 8, 9780000528531], false);
-constructorTestRunner(
-        "searchResultInvalidPageNumTest", SearchResult, [-1, 8, "9780000528531"], false);
-constructorTestRunner(
-        "searchResultInvalidLineNumTest", SearchResult, [8, -1, "9780000528531"], false);
+    /**
+     * Gets the set of words spelt within lines of the book.
+     * @returns {Set} - Lowercased words
+     */
+    #getVocabulary() {
+        if (this.#vocabularyVersion !== this.#version) {
+            this.#vocabularyCache = new Set();
+            for (const pageLineTextObj of this.getOrderedLines()) {
+                for (const word of this.getWords(pageLineTextObj.text)) {
+                    this.#vocabularyCache.add(word.toLowerCase());
+                }
+            }
+            this.#vocabularyVersion = this.#version;
+        }
+        return this.#vocabularyCache;
+    }
 
-// Tests for findSearchTermInBooks()
-console.warn("Testing findSearchTermInBooks()");
-const emptyInputTest = findSearchTermInBooks("the", []);
-if (emptyInputTest.Results.length === 0) {
-    console.log("PASS: Empty input test");
-} else {
-    console.error("FAIL: Empty input test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(emptyInputTest.Results));
-}
+    /**
+     * Groups the ordered lines into runs of consecutive lines, where each line 
+     * is directly followed by the next one in the book. The last scanned line 
+     * of page N is assumed to be followed by line 1 of page N + 1.
+     * A line that was not scanned breaks the run.
+     * @param {object} [lineArr] - Array of ordered PageLineText objects to group; 
+     * defaults to every line of the book
+     * @returns {object} - Array of arrays of PageLineText objects
+     */
+    #getConsecutiveLineRuns(lineArr = this.getOrderedLines()) {
+        let lineRunArr = [];
+        let previousLine = null;
 
-const noResultTest = findSearchTermInBooks("Supercalifragilistic", twentyLeaguesIn);
-if (noResultTest.Results.length === 0) {
-    console.log("PASS: No result test");
-} else {
-    console.error("FAIL: No result test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(noResultTest.Results));
-}
+        for (const pageLineTextObj of lineArr) {
+            const isConsecutive = !isNull(previousLine) && 
+                    this.getNextLine(previousLine) === pageLineTextObj;
+            if (!isConsecutive) {
+                lineRunArr.push([]);
+            }
+            lineRunArr[lineRunArr.length - 1].push(pageLineTextObj);
+            previousLine = pageLineTextObj;
+        }
+        return lineRunArr;
+    }
 
-const caseSensitiveFailTest = findSearchTermInBooks("Profound", twentyLeaguesIn);
-if (caseSensitiveFailTest.Results.length === 0) {
-    console.log("PASS: Case sensitive fail test");
-} else {
-    console.error("FAIL: Case sensitive fail test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(caseSensitiveFailTest.Results));
-}
+    /**
+     * Checks whether a word is hyphen-breaked between two consecutive lines.
+     * @param {string} currentLineText - Current line text
+     * @param {string} subsequentLineText - Line text following the current
+     * @returns {boolean} - True if current line ends with a hyphenated word part 
+     * and subsequent line starts with a word; false otherwise
+     * @static
+     */
+    static #isHyphenBreak(currentLineText, subsequentLineText) {
+        return /[^\s—-]-$/.test(currentLineText) && /^[^\s—-]/.test(subsequentLineText);
+    }
 
-const caseSensitiveFailAllCapsTest = findSearchTermInBooks("PROFOUND", twentyLeaguesIn);
-if (caseSensitiveFailAllCapsTest.Results.length === 0) {
-    console.log("PASS: Case sensitive all capital letters fail test");
-} else {
-    console.error("FAIL: Case sensitive all capital letters fail test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(caseSensitiveFailAllCapsTest.Results));
-}
+    /**
+     * Performs a search of a boolean query in the book's scanned text.
+     * @param {QueryNode|string} query - Parsed query, or query text to be parsed 
+     * by QueryParser
+     * @param {SearchOptions|object} [options] - Search options, scope decides 
+     * whether the query is evaluated per line or per page
+     * @returns {object} - Array of successful matches
+     */
+    searchForQuery(query, options) {
+        return [...this.iterateQueryResults(query, options)].flat();
+    }
 
-const caseSensitiveSuccessTestExpected = {
-    "SearchTerm": "profound",
-    "Results": [
-        {
-            "ISBN": "9780000528531",
-            "Page": 31,
-            "Line": 9
+    /**
+     * Lazily performs a search of a boolean query in the book's scanned text, 
+     * evaluating a line (or a page, or a run of consecutive lines for a proximity 
+     * query) each time the next batch of results is requested.
+     * @param {QueryNode|string} query - Parsed query, or query text to be parsed 
+     * by QueryParser
+     * @param {SearchOptions|object} [options] - Search options, scope decides 
+     * whether the query is evaluated per line or per page
+     * @yields {object} - Array of successful matches of each line, page or run of 
+     * lines evaluated, empty if none matched so a consumer can stop between them
+     */
+    *iterateQueryResults(query, options) {
+        for (const { results } of this.iterateQueryBatches(query, options)) {
+            yield results;
         }
-    ]
-};
-const caseSensitiveSuccessTest = findSearchTermInBooks("profound", twentyLeaguesIn);
-if (JSON.stringify(caseSensitiveSuccessTestExpected) === 
-        JSON.stringify(caseSensitiveSuccessTest)) {
-    console.log("PASS: Case sensitive success test |", JSON.stringify(caseSensitiveSuccessTest));
-} else {
-    console.error("FAIL: Case sensitive success test");
-    console.error("Expected:", JSON.stringify(caseSensitiveSuccessTestExpected));
-    console.error("Received:", JSON.stringify(caseSensitiveSuccessTest));
-}
+    }
 
-const contractionTest = findSearchTermInBooks("Canadian's", twentyLeaguesIn);
-const contractionTestExpected = {
-    "SearchTerm": "Canadian's",
-    "Results": [
-        {
-            "ISBN": "9780000528531",
-            "Page": 31,
-            "Line": 9
+    /**
+     * Same as iterateQueryResults(), along with the page each batch of results 
+     * ends on, so that iterateBookResultBatches() can report progress by page.
+     * @param {QueryNode|string} query - Parsed query, or query text to be parsed
+     * @param {SearchOptions|object} [options] - Search options
+     * @yields {object} - { page, results } batch, where page is the last page 
+     * evaluated and results the array of successful matches, possibly empty
+     */
+    *iterateQueryBatches(query, options) {
+        const searchOptions = SearchOptions.from(options);
+        const queryNode = (query instanceof QueryNode) ? 
+                query : QueryParser.parse(query, searchOptions);
+        if (!searchOptions.matchesBook(this)) {
+            return;
         }
-    ]
-};
-if (JSON.stringify(contractionTestExpected) === JSON.stringify(contractionTest)) {
-    console.log("PASS: Contraction and possessive nouns test");
-} else {
-    console.error("FAIL: Contraction and possessive nouns test");
-    console.error("Expected:", JSON.stringify(contractionTestExpected));
-    console.error("Received:", JSON.stringify(contractionTest.Results));
-}
+        const lineArr = this.#getFilteredLines(searchOptions);
 
-const substringOfWordTest = findSearchTermInBooks("Canadian", twentyLeaguesIn);
-if (substringOfWordTest.Results.length === 0) {
-    console.log("PASS: Substring of word test");
-} else {
-    console.error("FAIL: Substring of word test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(substringOfWordTest.Results));
-}
+        // A proximity query on its own can span line and page breaks and 
+        // reports how far apart the words are
+        if (queryNode instanceof ProximityQueryNode) {
+            yield* this.#searchForProximity(queryNode, lineArr);
+            return;
+        }
 
-const substringOfLineBreakWordTest = findSearchTermInBooks("dark", twentyLeaguesIn);
-if (substringOfLineBreakWordTest.Results.length === 0) {
-    console.log("PASS: Substring of line-breaked word test");
-} else {
-    console.error("FAIL: Substring of line-breaked word test");
-    console.error("Expected:", JSON.stringify([]));
-    console.error("Received:", JSON.stringify(substringOfLineBreakWordTest.Results));
-}
+        if (searchOptions.scope === "page") {
+            // Ordered lines of the same page are next to each other
+            let pageLineContextArr = [];
+            for (const lineContext of this.#getLineContexts(lineArr)) {
+                if (pageLineContextArr.length > 0 && 
+                        pageLineContextArr[0].pageLineText.page !== lineContext.pageLineText.page) {
+                    yield this.#getPageQueryResults(queryNode, pageLineContextArr);
+                    pageLineContextArr = [];
+                }
+                pageLineContextArr.push(lineContext);
+            }
+            if (pageLineContextArr.length > 0) {
+                yield this.#getPageQueryResults(queryNode, pageLineContextArr);
+            }
+        } else {
+            for (const lineContext of this.#getLineContexts(lineArr)) {
+                const { pageLineText } = lineContext;
+                const resultArr = queryNode.evaluate([lineContext]) ? 
+                        [new SearchResult(pageLineText.page, pageLineText.line, this.#isbn)] : [];
+                yield { "page": pageLineText.page, "results": resultArr };
+            }
+        }
+    }
 
-const findLineBreakTermTest = findSearchTermInBooks("darkness", twentyLeaguesIn);
-const findLineBreakTermTestExpected = {
-    "SearchTerm": "darkness",
-    "Results": [
-        {
-            "ISBN": "9780000528531",
-            "Page": 31,
-            "Line": 8
-        },
-        {
-            "ISBN": "9780000528531",
-            "Page": 31,
-            "Line": 9
+    /**
+     * Performs a search of a proximity query over the book's word stream, 
+     * where the words of consecutive lines follow each other.
+     * @param {ProximityQueryNode} queryNode - Parsed proximity query
+     * @param {object} lineArr - Array of ordered PageLineText objects to search
+     * @yields {object} - { page, results } batch of each run of consecutive lines, results 
+     * holding one successful match per line holding either end of a match, in page and 
+     * line order. Each lists the matches on it under "Pairs", as { "Left", "Right", 
+     * "Distance" } objects where Left and Right are the { "Page", "Line" } of each end, 
+     * and the shortest of their distances under "Distance".
+     */
+    *#searchForProximity(queryNode, lineArr) {
+        for (const lineRunArr of this.#getConsecutiveLineRuns(lineArr)) {
+            const wordEntryArr = this.#getWordStream(lineRunArr);
+            const matchArr = queryNode.findMatches(wordEntryArr.map((wordEntry) => wordEntry.word));
+
+            // Both operands can match the same two words (e.g. "the NEAR/3 the"), 
+            // which are then a single match
+            let matchMap = new Map();
+            for (const match of matchArr) {
+                const firstIndex = Math.min(match.leftIndex, match.rightIndex);
+                const lastIndex = Math.max(match.leftIndex, match.rightIndex);
+                if (!matchMap.has(`${firstIndex}/${lastIndex}`)) {
+                    matchMap.set(`${firstIndex}/${lastIndex}`, { firstIndex, lastIndex, ...match });
+                }
+            }
+            const uniqueMatchArr = [...matchMap.values()].sort(
+                    (a, b) => (a.firstIndex - b.firstIndex) || (a.lastIndex - b.lastIndex));
+
+            // Lines of the run in order -> matches with an end on them
+            let linePairMap = new Map(lineRunArr.map((pageLineTextObj) => [pageLineTextObj, []]));
+            for (const { leftIndex, rightIndex, distance } of uniqueMatchArr) {
+                const pair = {
+                    "Left": Book.#getWordPosition(wordEntryArr[leftIndex]),
+                    "Right": Book.#getWordPosition(wordEntryArr[rightIndex]),
+                    "Distance": distance
+                };
+                for (const pageLineTextObj of new Set([
+                        ...wordEntryArr[leftIndex].lineArr, ...wordEntryArr[rightIndex].lineArr])) {
+                    linePairMap.get(pageLineTextObj).push(pair);
+                }
+            }
+
+            let resultArr = [];
+            for (const [pageLineTextObj, pairArr] of linePairMap) {
+                if (pairArr.length > 0) {
+                    resultArr.push(new SearchResult(pageLineTextObj.page, pageLineTextObj.line, 
+                            this.#isbn, {
+                                "Distance": Math.min(...pairArr.map((pair) => pair.Distance)),
+                                "Pairs": pairArr
+                            }));
+                }
+            }
+            yield { "page": lineRunArr[lineRunArr.length - 1].page, "results": resultArr };
         }
-    ]
-};
-if (JSON.stringify(findLineBreakTermTestExpected) === 
-        JSON.stringify(findLineBreakTermTest)) {
-    console.log("PASS: Find line-breaked term test |", findLineBreakTermTest)
-} else {
-    console.error("FAIL: Find line-breaked term test");
-    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected));
-    console.error("Received:", JSON.stringify(findLineBreakTermTest));
-}
+    }
 
-const sampleBook = [
-    {
-        "Title": "Example title",
-        "ISBN": "9780618260300",
-        "Content": [
-            {
-                "Page": 1,
-                "Line": 1,
-                "Text": "This is a déjà vu story about a pre-owned toy story with a résumé"
+    /**
+     * Gets where a word of a word stream is, see #getWordStream().
+     * @param {object} wordEntry - { word, lineArr } word
+     * @returns {object} - { "Page", "Line" } of the line the word starts on
+     * @static
+     */
+    static #getWordPosition(wordEntry) {
+        const [pageLineTextObj] = wordEntry.lineArr;
+        return { "Page": pageLineTextObj.page, "Line": pageLineTextObj.line };
+    }
+
+    /**
+     * Gets the words of a run of consecutive lines in reading order. 
+     * A hyphen-breaked word is a single word spanning both of its lines.
+     * @param {object} lineRunArr - Array of consecutive PageLineText objects
+     * @returns {object} - Array of { word, lineArr } objects, where lineArr holds 
+     * the PageLineText objects the word appears on
+     */
+    #getWordStream(lineRunArr) {
+        let wordEntryArr = [];
+
+        lineRunArr.forEach((pageLineTextObj, index) => {
+            let wordArr = this.getWords(pageLineTextObj.text);
+            const previousEntry = wordEntryArr[wordEntryArr.length - 1];
+
+            if (index > 0 && wordArr.length > 0 && !isNull(previousEntry) && 
+                    Book.#isHyphenBreak(lineRunArr[index - 1].text, pageLineTextObj.text)) {
+                previousEntry.word = previousEntry.word.replace(/-$/, "") + wordArr.shift();
+                previousEntry.lineArr.push(pageLineTextObj);
             }
-        ]
+            for (const word of wordArr) {
+                wordEntryArr.push({ "word": word, "lineArr": [pageLineTextObj] });
+            }
+        });
+        return wordEntryArr;
     }
-];
-const findHyphenatedTermTest = findSearchTermInBooks("pre-owned", sampleBook);
-const findHyphenatedTermTestExpected = {
-    "SearchTerm": "pre-owned",
-    "Results": [
-        {
-            "ISBN": "9780618260300",
-            "Page": 1,
-            "Line": 1
+
+    /**
+     * Gets the lines of a page matching a query.
+     * Only lines where a non-negated term matches are returned, since those 
+     * are the lines that made the page match.
+     * @param {QueryNode} queryNode - Parsed query
+     * @param {object} pageLineContextArr - Line contexts of a single page, not empty
+     * @returns {object} - { page, results } batch of the page, results being empty 
+     * if the page doesn't match
+     */
+    #getPageQueryResults(queryNode, pageLineContextArr) {
+        let resultArr = [];
+        if (queryNode.evaluate(pageLineContextArr)) {
+            for (const lineContext of pageLineContextArr) {
+                if (queryNode.matchesPositively(lineContext)) {
+                    resultArr.push(new SearchResult(
+                            lineContext.pageLineText.page, lineContext.pageLineText.line, this.#isbn));
+                }
+            }
         }
-    ]
-};
-if (JSON.stringify(findHyphenatedTermTestExpected) === 
-        JSON.stringify(findHyphenatedTermTest)) {
-    console.log("PASS: Find hyphenated term test |", findHyphenatedTermTest);
-} else {
-    console.error("FAIL: Find hyphenated term test");
-    console.error("Expected:", JSON.stringify(findHyphenatedTermTestExpected));
-    console.error("Received:", JSON.stringify(findHyphenatedTermTest));
-}
+        return { "page": pageLineContextArr[0].pageLineText.page, "results": resultArr };
+    }
 
-const findAccentedTermTest = findSearchTermInBooks("résumé", sampleBook);
-const findAccentedTermTestExpected = {
-    "SearchTerm": "résumé",
-    "Results": [
-        {
-            "ISBN": "9780618260300",
-            "Page": 1,
-            "Line": 1
+    /**
+     * Gets the ordered lines along with the words a query is evaluated against.
+     * A hyphen-breaked word counts as a word of both lines it is split across, 
+     * so "darkness" matches both halves of "dark-" and "ness".
+     * @param {object} lineArr - Array of ordered PageLineText objects to get contexts of
+     * @returns {object} - Array of { pageLineText, wordArr } objects in search order
+     */
+    #getLineContexts(lineArr) {
+        let lineContextMap = new Map();
+
+        for (const pageLineTextObj of lineArr) {
+            lineContextMap.set(pageLineTextObj, {
+                "pageLineText": pageLineTextObj,
+                "wordArr": this.getWords(pageLineTextObj.text)
+            });
         }
-    ]
-};
-if (JSON.stringify(findAccentedTermTestExpected) === 
-        JSON.stringify(findAccentedTermTest)) {
-    console.log("PASS: Find accented term test |", findAccentedTermTest);
-} else {
-    console.error("FAIL: Find accented term test");
-    console.error("Expected:", JSON.stringify(findAccentedTermTestExpected));
-    console.error("Received:", JSON.stringify(findAccentedTermTest));
-}
 
-const findTermWithSpaceTest = findSearchTermInBooks("déjà vu", sampleBook);
-const findTermWithSpaceTestExpected = {
-    "SearchTerm": "déjà vu",
-    "Results": [
-        {
-            "ISBN": "9780618260300",
-            "Page": 1,
-            "Line": 1
+        for (const pageLineTextObj of lineArr) {
+            const lineBreakedWordArr = this.getLineBreakedWords(pageLineTextObj);
+            if (lineBreakedWordArr.length > 0) {
+                const subsequentLine = this.getLineBreakContinuation(pageLineTextObj);
+                lineContextMap.get(pageLineTextObj).wordArr.push(...lineBreakedWordArr);
+                // Subsequent line may be filtered out of the search
+                lineContextMap.get(subsequentLine)?.wordArr.push(...lineBreakedWordArr);
+            }
         }
-    ]
-};
-if (JSON.stringify(findTermWithSpaceTestExpected) === 
-        JSON.stringify(findTermWithSpaceTest)) {
-    console.log("PASS: Find term with space test |", findTermWithSpaceTest);
-} else {
-    console.error("FAIL: Find term with space test");
-    console.error("Expected:", JSON.stringify(findTermWithSpaceTestExpected));
+        return [...lineContextMap.values()];
+    }
+
+    /**
+     * Adds any search term matches to result array.
+     * @param {PageLineText} pageLineTextObj - Current PageLineText object
+     * @param {TermMatcher} termMatcher - Matcher for the search term and options
+     * @param {object} resultArr - Result array, is modified if a match is found
+     */
+    #addSearchResult(pageLineTextObj, termMatcher, resultArr) {
+        const searchOptions = termMatcher.options;
+        let lineText = pageLineTextObj.text;
+        // Finding individual words within line
+        let wordArr = this.getWords(lineText);
+        
+        // Phrases like "Hello World" are handled by #searchForPhrase().
+        // Else statement tries to see if search term is hyphen-breaked
+        const wordMatchArr = wordArr.map((word) => termMatcher.matchWord(word))
+                .filter((wordMatch) => !isNull(wordMatch));
+        // The joined form of a hyphen-breaked word takes precedence over the hyphenated one
+        const lineBreakedMatch = (wordMatchArr.length > 0) ? null : 
+                this.getLineBreakedWords(pageLineTextObj).map((word) => termMatcher.matchWord(word))
+                    .find((wordMatch) => !isNull(wordMatch)) ?? null;
+
+        if (wordMatchArr.length > 0) {
+            resultArr.push(new SearchResult(pageLineTextObj.page, pageLineTextObj.line, 
+                    this.#isbn, termMatcher.getMatchDetails(wordMatchArr)));
+        } else if (!isNull(lineBreakedMatch)) {
+            /**
+             * If there is a word that wraps to the next line 
+             * (i.e. is hyphen-breaked), perform a look ahead check.
+             * 
+             * The word wraps to the first line of the next page only if the 
+             * page layout says this is the last line of the page, otherwise 
+             * there is no way to confirm if this is the case.
+             */
+            const details = termMatcher.getMatchDetails([lineBreakedMatch]);
+            const subsequentLine = this.getLineBreakContinuation(pageLineTextObj);
+            resultArr.push(new SearchResult(
+                    pageLineTextObj.page, pageLineTextObj.line, this.#isbn, details));
+            if (searchOptions.matchesLine(subsequentLine)) {
+                resultArr.push(new SearchResult(
+                        subsequentLine.page, subsequentLine.line, this.#isbn, details));
+            }
+        }
+    }
+
+    /**
+     * Finds the word that is line-breaked across a line and the line 
+     * following it with a hyphen.
+     * @param {PageLineText} pageLineTextObj - Current PageLineText object
+     * @returns {string} - The joined word without its hyphen if the line ends 
+     * with a hyphen-breaked word; null otherwise
+     */
+    getLineBreakedWord(pageLineTextObj) {
+        let currentLineText = pageLineTextObj.text;
+        let subsequentLine = this.getLineBreakContinuation(pageLineTextObj);
+
+        // It is possible that subsequent line is not scanned (undefined)
+        if (isNull(subsequentLine) || !currentLineText.endsWith("-")) {
+            return null;
+        }
+
+        let lineEnd = this.getWords(currentLineText).pop();
+        let subsequentLineStart = this.getWords(subsequentLine.text).shift();
+        if (isNull(subsequentLineStart)) {
+            return null;
+        }
+        lineEnd = lineEnd.replace(/-$/, "");
+
+        // Callers have to compare against the whole joined word instead of 
+        // using string.endsWith in case a different term can be matched.
+        // E.g. The hyphen-breaked "be-e" will give a false positive match
+        // to search term "because"
+        return lineEnd + subsequentLineStart;
+    }
+
+    /**
+     * Finds both forms a word that is line-breaked with a hyphen can take: joined 
+     * without the hyphen, as if it were a soft hyphen ("dark-" and "ness" give "darkness"), 
+     * and with it, as if the word were a compound ("pre-" and "owned" give "pre-owned"). 
+     * Searches match either form instead of guessing which one the book means, 
+     * so that e.g. "pre-" and "sent" still match "present".
+     * @param {PageLineText} pageLineTextObj - Current PageLineText object
+     * @returns {object} - Array of the joined word followed by the hyphenated word 
+     * if the line ends with a hyphen-breaked word; empty array otherwise
+     */
+    getLineBreakedWords(pageLineTextObj) {
+        const joinedWord = this.getLineBreakedWord(pageLineTextObj);
+        if (isNull(joinedWord)) {
+            return [];
+        }
+        const subsequentLine = this.getLineBreakContinuation(pageLineTextObj);
+        const hyphenatedWord = this.getWords(pageLineTextObj.text).pop() + 
+                this.getWords(subsequentLine.text).shift();
+        // Tokenizers that drop hyphens give the same word twice
+        return (hyphenatedWord === joinedWord) ? [joinedWord] : [joinedWord, hyphenatedWord];
+    }
+
+    /**
+     * String representation of scanned book's contents.
+     * @returns {string} - JSON string of book's content
+     */
+    toString() {
+        return JSON.stringify(this.#contentArr);
+    }
+}
+
+/**
+ * PageLine class, represents a line of text on a page of a book.
+ * 
+ * Should be treated as an abstract class that cannot not be instantiated by itself.
+ * Use SearchResult or PageLineText subclasses instead.
+ * 
+ * @abstract
+ */
+class PageLine {
+    #pageNum;
+    #lineNum;
+
+    /**
+     * Constructs a new PageLine object.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     */
+    constructor(pageNum, lineNum) {
+        if (this.constructor === PageLine) {
+            throw new Error("Abstract classes cannot be instantiated.");
+        }
+        if (!PageLine.#validatePageOrLineNum(pageNum)) {
+            throw new Error("Page number must be a non-zero, positive integer");
+        }
+        if (!PageLine.#validatePageOrLineNum(lineNum)) {
+            throw new Error("Line number must be a non-zero, positive integer");
+        }
+
+        this.#pageNum = pageNum;
+        this.#lineNum = lineNum;
+    }
+
+    /**
+     * Validates page or line number.
+     * @param {number} pageOrLineNum - Page or line number
+     * @returns {boolean} - True if pageNum is a non-zero, positive integer; false otherwise.
+     * @static
+     */
+    static #validatePageOrLineNum(pageOrLineNum) {
+        if (typeof(pageOrLineNum) !== "number") {
+            throw new Error("Page and/or line number must be a \"number\" type");
+        }
+        return pageOrLineNum > 0 && (pageOrLineNum % 1 === 0);
+    }
+
+    /**
+     * Getter for page number attribute.
+     * @returns {number} - Page number
+     */
+    get page() {
+        return this.#pageNum;
+    }
+
+    /**
+     * Getter for line number attribute.
+     * @return {number} - Line number
+     */
+    get line() {
+        return this.#lineNum;
+    }
+}
+
+/**
+ * SearchResult class represents a successful match of a search term within a 
+ * line on a book's page.
+ */
+class SearchResult extends PageLine {
+    #isbn;
+    #details;
+
+    /**
+     * Constructs a new SearchResult object.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     * @param {string} isbn - ISBN
+     * @param {object} [details] - Additional fields describing the match 
+     * (e.g. { "Distance": 3 }), appended after ISBN, Page and Line in JSON format
+     */
+    constructor(pageNum, lineNum, isbn, details = {}) {
+        super(pageNum, lineNum);
+
+        const isbnError = Book.getISBNError(isbn);
+        if (!isNull(isbnError)) {
+            throw new Error(`Invalid ISBN value "${isbn}"; ${isbnError}`);
+        }
+        if (isNull(details) || typeof(details) !== "object") {
+            throw new Error("details must be an \"object\" type and not a null value");
+        }
+
+        this.#isbn = Book.normalizeISBN(isbn);
+        this.#details = details;
+    }
+
+    /**
+     * Getter for details attribute.
+     * @return {object} - Additional fields describing the match
+     */
+    get details() {
+        return this.#details;
+    }
+
+    /**
+     * Getter for ISBN attribute.
+     * @return {string} - ISBN value
+     */
+    get isbn() {
+        return this.#isbn;
+    }
+
+    /**
+     * Converts SearchResult object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        /**
+         * This function is needed because in test cases, 
+         * caller calls JSON.stringify() which would result 
+         * in private properties being stringified in the wrong order
+         * (order of var declaration instead of the order 
+         * as defined by product requirements).
+         * E.g.
+         * {
+         *     #pageNum: 31,
+         *     #lineNum: 9,
+         *     #isbn: "9780000528537"
+         * }
+         */
+        return {
+            "ISBN": this.#isbn,
+            "Page": this.page,
+            "Line": this.line,
+            ...this.#details
+        };
+    }
+}
+
+/**
+ * PageLineText class represents a single line of text on a book's page.
+ */
+class PageLineText extends PageLine {
+    #text;
+
+    /**
+     * Constructs a new PageLineText object.
+     * @param {number} pageNum - Page number
+     * @param {number} lineNum - Line number
+     * @param {string} text - Line text
+     */
+    constructor(pageNum, lineNum, text) {
+        super(pageNum, lineNum);
+        // Note that it is possible for a line to be empty 
+        // (e.g. just whitespace for formatting)
+        this.#text = text.trim();
+    }
+
+    /**
+     * Getter for line text attribute.
+     * @return {string} - Line text
+     */
+    get text() {
+        return this.#text;
+    }
+
+    /**
+     * Converts PageLineText object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "Page": this.page,
+            "Line": this.line,
+            "Text": this.#text
+        };
+    }
+}
+
+/**
+ * LogicalText class represents the continuous text of a book reconstructed 
+ * from its lines, with a map from character offsets back to pages and lines.
+ */
+class LogicalText {
+    #text;
+    #segmentArr;
+
+    /**
+     * Constructs a new LogicalText object.
+     * @param {string} text - Logical text
+     * @param {object} segmentArr - Array of { "Page", "Line", "Start", "End" } objects 
+     * in offset order, where [Start, End) is the part of the text taken from that line
+     */
+    constructor(text, segmentArr) {
+        this.#text = text;
+        this.#segmentArr = segmentArr;
+    }
+
+    /**
+     * Getter for text attribute.
+     * @returns {string} - Logical text
+     */
+    get text() {
+        return this.#text;
+    }
+
+    /**
+     * Getter for segments attribute.
+     * @returns {object} - Array of { "Page", "Line", "Start", "End" } objects
+     */
+    get segments() {
+        return this.#segmentArr;
+    }
+
+    /**
+     * Finds the page and line a character of the text comes from.
+     * Spaces and newlines joining lines map to the end of the line before them.
+     * @param {number} offset - Character offset in the text
+     * @returns {object} - { "Page", "Line", "Column" } where Column is the character 
+     * offset in the line's text
+     */
+    getSource(offset) {
+        if (!Number.isInteger(offset) || offset < 0 || offset >= this.#text.length) {
+            throw new Error(`offset must be an integer from 0 to ${this.#text.length - 1}`);
+        }
+
+        // Binary search for the last segment starting at or before offset
+        let low = 0;
+        let high = this.#segmentArr.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.#segmentArr[middle]["Start"] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const segment = this.#segmentArr[low];
+        return {
+            "Page": segment["Page"],
+            "Line": segment["Line"],
+            "Column": Math.min(offset, segment["End"]) - segment["Start"]
+        };
+    }
+
+    /**
+     * Converts LogicalText object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "Text": this.#text,
+            "Segments": this.#segmentArr
+        };
+    }
+}
+
+/**
+ * Tokenizer class, abstract class splitting text into words.
+ * Custom tokenizers extend it and implement tokenize(), and normalize() 
+ * if their words are normalized.
+ */
+class Tokenizer {
+    static #defaultTokenizer = null;
+
+    /**
+     * Constructs a new Tokenizer object.
+     */
+    constructor() {
+        if (this.constructor === Tokenizer) {
+            throw new Error("Abstract classes cannot be instantiated.");
+        }
+    }
+
+    /**
+     * Gets the tokenizer used when none is given.
+     * @returns {Tokenizer} - Shared UnicodeTokenizer object
+     * @static
+     */
+    static get default() {
+        Tokenizer.#defaultTokenizer ??= new UnicodeTokenizer();
+        return Tokenizer.#defaultTokenizer;
+    }
+
+    /**
+     * Splits text into words.
+     * @param {string} text - Text to split
+     * @returns {object} - Array of { word, start, end } objects in the order they appear, 
+     * where word is normalized with normalize() and [start, end) are its character 
+     * offsets in text
+     * @abstract
+     */
+    tokenize(text) {
+        throw new Error("tokenize() must be implemented by Tokenizer subclasses");
+    }
+
+    /**
+     * Normalizes text the same way words are normalized, so search terms 
+     * can be compared to words. Leaves text unchanged by default.
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalize(text) {
+        return text;
+    }
+}
+
+/**
+ * RegexTokenizer class, a tokenizer whose words are the matches of a regular expression.
+ */
+class RegexTokenizer extends Tokenizer {
+    #wordRegex;
+
+    /**
+     * Constructs a new RegexTokenizer object.
+     * @param {RegExp} wordRegex - Regular expression matching a word, must have the "g" flag
+     */
+    constructor(wordRegex) {
+        super();
+        if (!(wordRegex instanceof RegExp) || !wordRegex.global) {
+            throw new Error("wordRegex must be a RegExp with the \"g\" flag");
+        }
+        this.#wordRegex = wordRegex;
+    }
+
+    tokenize(text) {
+        let tokenArr = [];
+        for (const wordMatch of text.matchAll(this.#wordRegex)) {
+            // Empty matches would never advance past their position
+            if (wordMatch[0] !== "") {
+                tokenArr.push({
+                    "word": this.normalize(wordMatch[0]),
+                    "start": wordMatch.index,
+                    "end": wordMatch.index + wordMatch[0].length
+                });
+            }
+        }
+        return tokenArr;
+    }
+}
+
+/**
+ * UnicodeTokenizer class, the default tokenizer. Words are made of letters, 
+ * combining marks and numbers of any script, e.g. "Ναυτίλος" or "Немо".
+ * 
+ * Contractions, possessive nouns and hyphenated words are single words, as are 
+ * numbers with separators (e.g. "20,000" or "3.5"). Digits are kept within 
+ * words since OCR often misreads letters as digits (e.g. "prof0und"), which 
+ * fuzzy matching has to see as a single word.
+ * Words are normalized with NFKC, so ligatures like "ﬁ" become "fi", and smart 
+ * punctuation becomes its ASCII equivalent (e.g. "Canadian’s" becomes "Canadian's").
+ */
+class UnicodeTokenizer extends RegexTokenizer {
+    // Numbers with separators first so "20,000" isn't split at the comma
+    static #WORD_REGEX = /\p{N}+(?:[.,]\p{N}+)+|[\p{L}\p{M}\p{N}'‘’ʼ\-‐‑]+/gu;
+
+    // Smart punctuation -> ASCII equivalent
+    static #PUNCTUATION_MAP = new Map([
+        ["‘", "'"], ["’", "'"], ["ʼ", "'"], ["“", "\""], ["”", "\""], ["‐", "-"], ["‑", "-"]
+    ]);
+
+    /**
+     * Constructs a new UnicodeTokenizer object.
+     */
+    constructor() {
+        super(UnicodeTokenizer.#WORD_REGEX);
+    }
+
+    normalize(text) {
+        return text.normalize("NFKC").replace(/[‘’ʼ“”‐‑]/g, 
+                (punctuation) => UnicodeTokenizer.#PUNCTUATION_MAP.get(punctuation));
+    }
+}
+
+/**
+ * SearchOptions class represents the optional settings of a search.
+ * Defaults reproduce the original behavior: case-sensitive, 
+ * accent-sensitive, whole-word matching.
+ */
+class SearchOptions {
+    #caseSensitive = true;
+    #accentSensitive = true;
+    #match = "word";
+    #syntax = "plain";
+    #scope = "line";
+    #ranked = false;
+    #maxEdits = 1;
+    #ocrWeighted = false;
+    #snippetWords = null;
+    #conflictPolicy = "throw";
+    #tokenizer = null;
+    #lenient = false;
+    #isbnArr = null;
+    #isbn13Set = null;
+    #title = null;
+    #pages = null;
+    #lines = null;
+    #limit = null;
+    #cursor = null;
+
+    // Plain options object the options were constructed from, see with()
+    #optionsObj;
+
+    /**
+     * Supported match modes.
+     * "word" - search term must be a whole word
+     * "prefix" - search term must be the start of a word (e.g. "Canadian" finds "Canadian's")
+     * "substring" - search term can be anywhere within a word
+     * "fuzzy" - word can be up to maxEdits edits away from search term (e.g. "protound")
+     * "wildcard" - search term is a pattern where "*" stands for any characters 
+     * and "?" for a single character (e.g. "dark*", "wom?n")
+     * "regex" - search term is a regular expression a whole word must match
+     * "stem" - word must share its English stem with search term 
+     * (e.g. "manage" finds "managed", "managing" and "manages")
+     */
+    static MATCH_MODES = ["word", "prefix", "substring", "fuzzy", "wildcard", "regex", "stem"];
+
+    /**
+     * Supported query syntaxes.
+     * "plain" - search term is a single word or a literal phrase
+     * "boolean" - search term is parsed by QueryParser (AND, OR, NOT, quotes and parentheses)
+     */
+    static SYNTAXES = ["plain", "boolean"];
+
+    /**
+     * Supported scopes a boolean query is evaluated over.
+     * "line" - every operand has to match on the same line
+     * "page" - operands can match on different lines of the same page
+     */
+    static SCOPES = ["line", "page"];
+
+    /**
+     * Constructs a new SearchOptions object.
+     * @param {object} [options] - Plain options object
+     * @param {boolean} [options.caseSensitive=true] - False to ignore letter case
+     * @param {boolean} [options.accentSensitive=true] - False to ignore diacritical 
+     * marks (e.g. "resume" finds "résumé")
+     * @param {string} [options.match="word"] - One of SearchOptions.MATCH_MODES
+     * @param {string} [options.syntax="plain"] - One of SearchOptions.SYNTAXES
+     * @param {string} [options.scope="line"] - One of SearchOptions.SCOPES, 
+     * only used by the boolean syntax
+     * @param {boolean} [options.ranked=false] - True to sort results by BM25 relevance 
+     * and add "Score" and "BookScore" fields; false to keep them in reading order
+     * @param {number} [options.maxEdits=1] - Maximum Levenshtein distance of 
+     * the "fuzzy" match mode
+     * @param {boolean} [options.ocrWeighted=false] - True to count common OCR 
+     * confusions (e.g. "rn" read as "m", "0" as "O") as half an edit in the 
+     * "fuzzy" match mode
+     * @param {number} [options.snippetWords] - Number of words of context before and 
+     * after a match to add as a snippet, along with the match's character offsets; 
+     * no snippets if not given
+     * @param {string} [options.conflictPolicy="throw"] - One of Book.CONFLICT_POLICIES, 
+     * how scanned lines sharing an ISBN, page and line are resolved when 
+     * the scanned text is ingested
+     * @param {Tokenizer} [options.tokenizer] - Splits the scanned text into words when 
+     * it is ingested and normalizes the search term; defaults to Tokenizer.default
+     * @param {boolean} [options.lenient=false] - True to skip invalid scanned text entries 
+     * and report them under "Problems" (see validateScannedText()); false to throw 
+     * an error on the first invalid entry
+     * @param {object} [options.isbns] - Array of ISBNs, only books with one of them 
+     * are searched; ISBN-10 and ISBN-13 forms of the same ISBN are interchangeable
+     * @param {RegExp|string} [options.title] - Only books with a matching title are 
+     * searched; a string must be found within the title, ignoring letter case
+     * @param {object} [options.pages] - { from, to } inclusive range of pages searched, 
+     * either end can be left out
+     * @param {object} [options.lines] - { from, to } inclusive range of lines searched 
+     * on every page, either end can be left out
+     * @param {number} [options.limit] - Maximum number of results returned; every result 
+     * if not given
+     * @param {string} [options.cursor] - "NextCursor" of a previous search with the same 
+     * search term, to get the page of results following it
+     */
+    constructor(options = {}) {
+        if (isNull(options) || typeof(options) !== "object") {
+            throw new Error("options must be an \"object\" type and not a null value");
+        }
+        this.#optionsObj = { ...options };
+
+        if (!isNull(options.caseSensitive)) {
+            if (typeof(options.caseSensitive) !== "boolean") {
+                throw new Error("caseSensitive option must be a \"boolean\" type");
+            }
+            this.#caseSensitive = options.caseSensitive;
+        }
+
+        if (!isNull(options.accentSensitive)) {
+            if (typeof(options.accentSensitive) !== "boolean") {
+                throw new Error("accentSensitive option must be a \"boolean\" type");
+            }
+            this.#accentSensitive = options.accentSensitive;
+        }
+
+        if (!isNull(options.match)) {
+            if (!SearchOptions.MATCH_MODES.includes(options.match)) {
+                throw new Error(
+                        `match option must be one of: ${SearchOptions.MATCH_MODES.join(", ")}`);
+            }
+            this.#match = options.match;
+        }
+
+        if (!isNull(options.syntax)) {
+            if (!SearchOptions.SYNTAXES.includes(options.syntax)) {
+                throw new Error(
+                        `syntax option must be one of: ${SearchOptions.SYNTAXES.join(", ")}`);
+            }
+            this.#syntax = options.syntax;
+        }
+
+        if (!isNull(options.scope)) {
+            if (!SearchOptions.SCOPES.includes(options.scope)) {
+                throw new Error(`scope option must be one of: ${SearchOptions.SCOPES.join(", ")}`);
+            }
+            this.#scope = options.scope;
+        }
+
+        if (!isNull(options.ranked)) {
+            if (typeof(options.ranked) !== "boolean") {
+                throw new Error("ranked option must be a \"boolean\" type");
+            }
+            this.#ranked = options.ranked;
+        }
+
+        if (!isNull(options.maxEdits)) {
+            if (typeof(options.maxEdits) !== "number" || !(options.maxEdits >= 0)) {
+                throw new Error("maxEdits option must be a non-negative \"number\" type");
+            }
+            this.#maxEdits = options.maxEdits;
+        }
+
+        if (!isNull(options.ocrWeighted)) {
+            if (typeof(options.ocrWeighted) !== "boolean") {
+                throw new Error("ocrWeighted option must be a \"boolean\" type");
+            }
+            this.#ocrWeighted = options.ocrWeighted;
+        }
+
+        if (!isNull(options.snippetWords)) {
+            if (!Number.isInteger(options.snippetWords) || options.snippetWords < 0) {
+                throw new Error("snippetWords option must be a non-negative integer");
+            }
+            this.#snippetWords = options.snippetWords;
+        }
+
+        if (!isNull(options.conflictPolicy)) {
+            if (!Book.CONFLICT_POLICIES.includes(options.conflictPolicy)) {
+                throw new Error("conflictPolicy option must be one of: " + 
+                        Book.CONFLICT_POLICIES.join(", "));
+            }
+            this.#conflictPolicy = options.conflictPolicy;
+        }
+
+        if (!isNull(options.tokenizer)) {
+            if (!(options.tokenizer instanceof Tokenizer)) {
+                throw new Error("tokenizer option must be a Tokenizer object");
+            }
+            this.#tokenizer = options.tokenizer;
+        }
+
+        if (!isNull(options.lenient)) {
+            if (typeof(options.lenient) !== "boolean") {
+                throw new Error("lenient option must be a \"boolean\" type");
+            }
+            this.#lenient = options.lenient;
+        }
+
+        if (!isNull(options.isbns)) {
+            if (!Array.isArray(options.isbns) || options.isbns.length === 0 || 
+                    !options.isbns.every((isbn) => Book.validateISBN(isbn))) {
+                throw new Error("isbns option must be a non-empty array of valid ISBNs");
+            }
+            this.#isbnArr = options.isbns.map((isbn) => Book.normalizeISBN(isbn));
+            this.#isbn13Set = new Set(this.#isbnArr.map((isbn) => Book.toISBN13(isbn)));
+        }
+
+        if (!isNull(options.title)) {
+            if (options.title instanceof RegExp) {
+                // Global and sticky regular expressions keep state between tests
+                this.#title = new RegExp(options.title.source, options.title.flags.replace(/[gy]/g, ""));
+            } else if (typeof(options.title) === "string" && options.title.length > 0) {
+                this.#title = options.title;
+            } else {
+                throw new Error("title option must be a RegExp object or a non-empty \"string\" type");
+            }
+        }
+
+        if (!isNull(options.pages)) {
+            this.#pages = SearchOptions.#validateRange(options.pages, "pages");
+        }
+
+        if (!isNull(options.lines)) {
+            this.#lines = SearchOptions.#validateRange(options.lines, "lines");
+        }
+
+        if (!isNull(options.limit)) {
+            if (!Number.isInteger(options.limit) || options.limit <= 0) {
+                throw new Error("limit option must be a positive integer");
+            }
+            this.#limit = options.limit;
+        }
+
+        if (!isNull(options.cursor)) {
+            if (typeof(options.cursor) !== "string") {
+                throw new Error("cursor option must be a \"string\" type");
+            }
+            this.#cursor = ResultCursor.parse(options.cursor);
+        }
+    }
+
+    /**
+     * Validates a { from, to } range option.
+     * @param {object} range - Range to validate
+     * @param {string} name - Option name, for error messages
+     * @returns {object} - { from, to } range, a missing end is null
+     * @static
+     */
+    static #validateRange(range, name) {
+        if (typeof(range) !== "object" || (isNull(range.from) && isNull(range.to))) {
+            throw new Error(`${name} option must be a { from, to } object with at least one end`);
+        }
+        for (const end of ["from", "to"]) {
+            if (!isNull(range[end]) && (!Number.isInteger(range[end]) || range[end] <= 0)) {
+                throw new Error(`${name} option ${end} must be a positive integer`);
+            }
+        }
+        if (!isNull(range.from) && !isNull(range.to) && range.from > range.to) {
+            throw new Error(`${name} option from must not be greater than to`);
+        }
+        return { "from": range.from ?? null, "to": range.to ?? null };
+    }
+
+    /**
+     * Converts a plain options object to a SearchOptions object.
+     * @param {SearchOptions|object} [options] - Options to convert; 
+     * null or undefined gives the default options
+     * @returns {SearchOptions} - options itself if already a SearchOptions object; 
+     * new SearchOptions object otherwise
+     * @static
+     */
+    static from(options) {
+        if (options instanceof SearchOptions) {
+            return options;
+        }
+        return new SearchOptions(options ?? {});
+    }
+
+    /**
+     * Creates a copy of these options with some of them replaced.
+     * @param {object} overrides - Plain options object of the options to replace
+     * @returns {SearchOptions} - New SearchOptions object
+     */
+    with(overrides) {
+        return new SearchOptions({ ...this.#optionsObj, ...overrides });
+    }
+
+    /**
+     * Getter for caseSensitive attribute.
+     * @returns {boolean} - True if letter case must match
+     */
+    get caseSensitive() {
+        return this.#caseSensitive;
+    }
+
+    /**
+     * Getter for accentSensitive attribute.
+     * @returns {boolean} - True if diacritical marks must match
+     */
+    get accentSensitive() {
+        return this.#accentSensitive;
+    }
+
+    /**
+     * Getter for match attribute.
+     * @returns {string} - Match mode
+     */
+    get match() {
+        return this.#match;
+    }
+
+    /**
+     * Getter for syntax attribute.
+     * @returns {string} - Query syntax
+     */
+    get syntax() {
+        return this.#syntax;
+    }
+
+    /**
+     * Getter for scope attribute.
+     * @returns {string} - Scope a boolean query is evaluated over
+     */
+    get scope() {
+        return this.#scope;
+    }
+
+    /**
+     * Getter for ranked attribute.
+     * @returns {boolean} - True if results are sorted by relevance
+     */
+    get ranked() {
+        return this.#ranked;
+    }
+
+    /**
+     * Getter for maxEdits attribute.
+     * @returns {number} - Maximum edit distance of fuzzy matches
+     */
+    get maxEdits() {
+        return this.#maxEdits;
+    }
+
+    /**
+     * Getter for ocrWeighted attribute.
+     * @returns {boolean} - True if OCR confusions count as half an edit
+     */
+    get ocrWeighted() {
+        return this.#ocrWeighted;
+    }
+
+    /**
+     * Getter for snippetWords attribute.
+     * @returns {number} - Words of context in snippets; null if no snippets
+     */
+    get snippetWords() {
+        return this.#snippetWords;
+    }
+
+    /**
+     * Getter for conflictPolicy attribute.
+     * @returns {string} - How conflicting scanned lines are resolved
+     */
+    get conflictPolicy() {
+        return this.#conflictPolicy;
+    }
+
+    /**
+     * Getter for tokenizer attribute.
+     * @returns {Tokenizer} - Tokenizer of the search; null if none was given
+     */
+    get tokenizer() {
+        return this.#tokenizer;
+    }
+
+    /**
+     * Getter for lenient attribute.
+     * @returns {boolean} - Whether invalid scanned text entries are skipped
+     */
+    get lenient() {
+        return this.#lenient;
+    }
+
+    /**
+     * Getter for isbns attribute.
+     * @returns {object} - Array of normalized ISBNs searched; null if not filtered by ISBN
+     */
+    get isbns() {
+        return isNull(this.#isbnArr) ? null : [...this.#isbnArr];
+    }
+
+    /**
+     * Getter for title attribute.
+     * @returns {RegExp|string} - Title filter; null if not filtered by title
+     */
+    get title() {
+        return this.#title;
+    }
+
+    /**
+     * Getter for pages attribute.
+     * @returns {object} - { from, to } range of pages searched; null if not filtered by page
+     */
+    get pages() {
+        return isNull(this.#pages) ? null : { ...this.#pages };
+    }
+
+    /**
+     * Getter for lines attribute.
+     * @returns {object} - { from, to } range of lines searched; null if not filtered by line
+     */
+    get lines() {
+        return isNull(this.#lines) ? null : { ...this.#lines };
+    }
+
+    /**
+     * Getter for limit attribute.
+     * @returns {number} - Maximum number of results returned; null if not limited
+     */
+    get limit() {
+        return this.#limit;
+    }
+
+    /**
+     * Getter for cursor attribute.
+     * @returns {ResultCursor} - Position the results continue from; null for the first page
+     */
+    get cursor() {
+        return this.#cursor;
+    }
+
+    /**
+     * Checks whether a book passes the ISBN and title filters of these options.
+     * @param {Book} bookObj - Book to check
+     * @returns {boolean} - True if the book is searched
+     */
+    matchesBook(bookObj) {
+        if (!isNull(this.#isbn13Set) && !this.#isbn13Set.has(Book.toISBN13(bookObj.isbn))) {
+            return false;
+        }
+        if (this.#title instanceof RegExp) {
+            return this.#title.test(bookObj.title);
+        }
+        return isNull(this.#title) || 
+                bookObj.title.toLowerCase().includes(this.#title.toLowerCase());
+    }
+
+    /**
+     * Checks whether a line passes the page and line filters of these options.
+     * @param {PageLineText} pageLineTextObj - Line to check
+     * @returns {boolean} - True if the line is searched
+     */
+    matchesLine(pageLineTextObj) {
+        return SearchOptions.#isWithin(pageLineTextObj.page, this.#pages) && 
+                SearchOptions.#isWithin(pageLineTextObj.line, this.#lines);
+    }
+
+    /**
+     * Checks whether a number is within a { from, to } range.
+     * @param {number} number - Number to check
+     * @param {object} range - Inclusive range, a null end is unbounded; null for no range
+     * @returns {boolean} - True if number is within range
+     * @static
+     */
+    static #isWithin(number, range) {
+        return isNull(range) || 
+                ((isNull(range.from) || number >= range.from) && (isNull(range.to) || number <= range.to));
+    }
+
+    /**
+     * Gets the active filters in the format echoed by search results.
+     * @returns {object} - { "ISBNs", "Title", "Pages", "Lines" } object holding only 
+     * the active filters, ranges as { "From", "To" }; null if no filter is active
+     */
+    getFiltersJSON() {
+        let filtersJSON = {};
+        if (!isNull(this.#isbnArr)) {
+            filtersJSON["ISBNs"] = [...this.#isbnArr];
+        }
+        if (!isNull(this.#title)) {
+            filtersJSON["Title"] = String(this.#title);
+        }
+        for (const [key, range] of [["Pages", this.#pages], ["Lines", this.#lines]]) {
+            if (!isNull(range)) {
+                filtersJSON[key] = {};
+                if (!isNull(range.from)) {
+                    filtersJSON[key]["From"] = range.from;
+                }
+                if (!isNull(range.to)) {
+                    filtersJSON[key]["To"] = range.to;
+                }
+            }
+        }
+        return (Object.keys(filtersJSON).length > 0) ? filtersJSON : null;
+    }
+
+    /**
+     * Normalizes text so that it can be compared according to these options.
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalize(text) {
+        let normalizedText = this.normalizeAccents(
+                (this.#tokenizer ?? Tokenizer.default).normalize(text));
+        if (!this.#caseSensitive) {
+            normalizedText = normalizedText.toLowerCase();
+        }
+        return normalizedText;
+    }
+
+    /**
+     * Removes diacritical marks from text if these options are accent-insensitive.
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalizeAccents(text) {
+        if (this.#accentSensitive) {
+            return text;
+        }
+        // Decompose accented characters (e.g. "é" to "e" and a combining acute accent)
+        // then drop the combining marks
+        return text.normalize("NFD").replace(/[\u0300-\u036F]/g, "");
+    }
+
+    /**
+     * Converts SearchOptions object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "caseSensitive": this.#caseSensitive,
+            "accentSensitive": this.#accentSensitive,
+            "match": this.#match,
+            "syntax": this.#syntax,
+            "scope": this.#scope,
+            "ranked": this.#ranked,
+            "maxEdits": this.#maxEdits,
+            "ocrWeighted": this.#ocrWeighted,
+            "snippetWords": this.#snippetWords,
+            "conflictPolicy": this.#conflictPolicy,
+            "tokenizer": this.#tokenizer?.constructor.name ?? null,
+            "lenient": this.#lenient,
+            "isbns": this.isbns,
+            "title": isNull(this.#title) ? null : String(this.#title),
+            "pages": this.pages,
+            "lines": this.lines,
+            "limit": this.#limit,
+            "cursor": this.#cursor?.toString() ?? null
+        };
+    }
+}
+
+/**
+ * TermMatcher class, decides whether words and lines match a search term 
+ * under a set of search options.
+ * The search term is normalized once up front instead of once per line.
+ */
+class TermMatcher {
+    #searchTerm;
+    #options;
+    #normalizedTerm;
+
+    /**
+     * Character sequences OCR commonly mistakes for one another, 
+     * each substitution costing OCR_CONFUSION_COST instead of a full edit.
+     * Substitutions apply in both directions.
+     */
+    static OCR_CONFUSIONS = [
+        ["rn", "m"], ["vv", "w"], ["cl", "d"], ["li", "h"], ["ii", "u"],
+        ["0", "o"], ["0", "O"], ["1", "l"], ["1", "I"], ["l", "I"], ["1", "i"],
+        ["5", "s"], ["5", "S"], ["8", "B"], ["f", "t"], ["c", "e"], ["h", "b"]
+    ];
+    static OCR_CONFUSION_COST = 0.5;
+
+    // Limits keeping regular expressions from taking too long to match
+    static MAX_PATTERN_LENGTH = 200;
+    static MAX_REGEX_WORD_LENGTH = 256;
+    static MAX_REGEX_BACKTRACKING_PATHS = 2 ** 22;
+
+    // Compiled pattern of the regex match mode
+    #wordRegex = null;
+
+    // Segments between the stars of a wildcard pattern, see #compileWildcard()
+    #wildcardSegmentArr = null;
+
+    // Stem of the search term and already stemmed words, for the stem match mode
+    #termStem = null;
+    #stemCache = new Map();
+
+    // Range of a numeric search term like "year:1860..1870"; null for other terms
+    #numericRange = null;
+
+    /**
+     * Constructs a new TermMatcher object.
+     * @param {string} searchTerm - Term to be searched
+     * @param {SearchOptions} options - Search options
+     */
+    constructor(searchTerm, options) {
+        if (isNull(searchTerm) || typeof(searchTerm) !== "string") {
+            throw new Error("searchTerm must be a \"string\" type and not a null value");
+        }
+        if (!(options instanceof SearchOptions)) {
+            throw new Error("options must be a SearchOptions object");
+        }
+
+        this.#searchTerm = searchTerm;
+        this.#options = options;
+        this.#normalizedTerm = this.normalizeText(searchTerm);
+
+        // Regular expressions can contain anything, so they're never numeric terms
+        if (options.match !== "regex") {
+            this.#numericRange = NumericRange.parse(searchTerm);
+        }
+
+        if (!isNull(this.#numericRange)) {
+            // Numeric terms are matched by value regardless of the match mode
+            return;
+        }
+
+        if (options.match === "wildcard") {
+            this.#wildcardSegmentArr = TermMatcher.#compileWildcard(this.#normalizedTerm);
+        } else if (options.match === "regex") {
+            this.#wordRegex = TermMatcher.#compileRegex(
+                    options.normalizeAccents(searchTerm), options.caseSensitive);
+        } else if (options.match === "stem") {
+            this.#termStem = PorterStemmer.stem(this.#normalizedTerm);
+        }
+    }
+
+    /**
+     * Compiles a wildcard pattern into the segments between its stars. Wildcards are 
+     * matched by #matchesWildcard() rather than as a regular expression, whose 
+     * backtracking over patterns like "*a*a*a*c" takes time exponential in the number of stars.
+     * @param {string} pattern - Wildcard pattern, "*" for any characters and 
+     * "?" for a single character
+     * @returns {object} - Array of segments, each an array of characters where "?" 
+     * stands for any character; a pattern without stars is a single segment
+     * @static
+     */
+    static #compileWildcard(pattern) {
+        return pattern.split("*").map((segment) => Array.from(segment));
+    }
+
+    /**
+     * Checks if a word matches a compiled wildcard pattern. 
+     * The first and last segments are anchored to the ends of the word and every 
+     * other segment is matched at its leftmost position after the previous one, 
+     * which leaves the most room for the segments after it, so no other position 
+     * is ever tried. Matching takes at most word length × pattern length steps.
+     * @param {object} segmentArr - Segments returned by #compileWildcard()
+     * @param {string} word - Normalized word
+     * @returns {boolean} - True if the word matches
+     * @static
+     */
+    static #matchesWildcard(segmentArr, word) {
+        const charArr = Array.from(word);
+        const matchesAt = (segment, position) => position >= 0 && 
+                position + segment.length <= charArr.length && 
+                segment.every((char, offset) => char === "?" || char === charArr[position + offset]);
+
+        const firstSegment = segmentArr[0];
+        if (segmentArr.length === 1) {
+            return charArr.length === firstSegment.length && matchesAt(firstSegment, 0);
+        }
+        const lastSegment = segmentArr[segmentArr.length - 1];
+        const end = charArr.length - lastSegment.length;
+        if (end < firstSegment.length || !matchesAt(firstSegment, 0) || !matchesAt(lastSegment, end)) {
+            return false;
+        }
+
+        let position = firstSegment.length;
+        for (const segment of segmentArr.slice(1, -1)) {
+            while (position + segment.length <= end && !matchesAt(segment, position)) {
+                position++;
+            }
+            if (position + segment.length > end) {
+                return false;
+            }
+            position += segment.length;
+        }
+        return true;
+    }
+
+    /**
+     * Compiles a user-supplied regular expression matching whole words.
+     * Rejects patterns that are prone to catastrophic backtracking, i.e. 
+     * backreferences and quantified groups containing a quantifier or 
+     * an alternation at any depth, such as "(a+)+", "((a+))+" or "(a|ab)*", 
+     * and patterns with too many quantifiers in a row, such as "a*a*a*a*c". 
+     * Words are also capped at MAX_REGEX_WORD_LENGTH characters before being matched.
+     * @param {string} pattern - Regular expression source
+     * @param {boolean} caseSensitive - False to ignore letter case
+     * @returns {RegExp} - Compiled pattern
+     * @static
+     */
+    static #compileRegex(pattern, caseSensitive) {
+        if (pattern.length > TermMatcher.MAX_PATTERN_LENGTH) {
+            throw new Error(`Regular expression cannot be longer than ${
+                    TermMatcher.MAX_PATTERN_LENGTH} characters`);
+        }
+        if (/\\[1-9]|\\k</.test(pattern)) {
+            throw new Error("Regular expression cannot contain backreferences");
+        }
+        if (TermMatcher.#hasNestedQuantifier(pattern)) {
+            throw new Error("Regular expression cannot repeat a group that contains a quantifier " + 
+                    "or alternation, since it can take exponential time to match");
+        }
+        if (TermMatcher.#countBacktrackingPaths(pattern) > TermMatcher.MAX_REGEX_BACKTRACKING_PATHS) {
+            throw new Error("Regular expression has too many quantifiers, " + 
+                    "since trying every way of repeating them can take too long to match");
+        }
+
+        try {
+            return new RegExp(`^(?:${pattern})$`, caseSensitive ? "u" : "iu");
+        } catch(e) {
+            throw new Error(`searchTerm cannot be compiled; ${e.message}`);
+        }
+    }
+
+    /**
+     * Checks if a regular expression repeats a group that contains a quantifier 
+     * or an alternation, however deeply nested within the group.
+     * @param {string} pattern - Regular expression source
+     * @returns {boolean} - True if a repeated group contains a quantifier or alternation
+     * @static
+     */
+    static #hasNestedQuantifier(pattern) {
+        // Whether each open group contains a quantifier or alternation so far, outermost first
+        let groupStack = [false];
+        for (let index = 0; index < pattern.length; index++) {
+            const char = pattern[index];
+            if (char === "\\") {
+                index++;
+            } else if (char === "[") {
+                // Parentheses and quantifier characters are literals within a character class
+                for (index++; index < pattern.length && pattern[index] !== "]"; index++) {
+                    if (pattern[index] === "\\") {
+                        index++;
+                    }
+                }
+            } else if (char === "(") {
+                groupStack.push(false);
+                // Skip the "?" of "(?:", "(?=", "(?<name>" and the like, which is not a quantifier
+                if (pattern[index + 1] === "?") {
+                    index++;
+                }
+            } else if (char === ")" && groupStack.length > 1) {
+                const hasRepetition = groupStack.pop();
+                const isQuantified = /^\s*(?:[*+]|\{\d+,?\d*\})/.test(pattern.slice(index + 1));
+                if (hasRepetition && isQuantified) {
+                    return true;
+                }
+                groupStack[groupStack.length - 1] ||= hasRepetition || isQuantified;
+            } else if ("*+?{|".includes(char)) {
+                groupStack[groupStack.length - 1] = true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Counts the ways a regular expression can split a word between its quantifiers, 
+     * an upper bound on how many times a failed match backtracks over the word. 
+     * Each quantifier repeats its atom any number of times within its bounds, and 
+     * at most MAX_REGEX_WORD_LENGTH times, so the count is at most the product of those numbers. 
+     * As the repetitions of k quantifiers share a word, it is also at most the number 
+     * of ways to split MAX_REGEX_WORD_LENGTH characters into k + 1 parts.
+     * @param {string} pattern - Regular expression source
+     * @returns {number} - Number of ways to repeat the quantifiers
+     * @static
+     */
+    static #countBacktrackingPaths(pattern) {
+        const maxRepeatCount = TermMatcher.MAX_REGEX_WORD_LENGTH;
+        // Escapes, character classes and "(?" are skipped as a whole so that their 
+        // "?", "*", "+" and braces aren't taken for quantifiers; a lazy "?" is part of its quantifier
+        const tokenRegex = /\\[pPu]\{[^}]*\}|\\.|\[(?:\\.|[^\]\\])*\]|\(\?|([*+?]|\{(\d+)(,?)(\d*)\})\??|./gs;
+
+        let pathCount = 1;
+        let splitCount = 1;
+        let quantifierCount = 0;
+        for (const [, quantifier, min, comma, max] of pattern.matchAll(tokenRegex)) {
+            if (isNull(quantifier)) {
+                continue;
+            }
+            let minCount = 0;
+            let maxCount = maxRepeatCount;
+            if (quantifier === "+") {
+                minCount = 1;
+            } else if (quantifier === "?") {
+                maxCount = 1;
+            } else if (!isNull(min)) {
+                minCount = Number(min);
+                if (comma === "") {
+                    maxCount = minCount;
+                } else if (max !== "") {
+                    maxCount = Math.min(Number(max), maxRepeatCount);
+                }
+            }
+            if (maxCount > minCount) {
+                quantifierCount++;
+                pathCount *= maxCount - minCount + 1;
+                splitCount = splitCount * (maxRepeatCount + quantifierCount) / quantifierCount;
+            }
+        }
+        return Math.min(pathCount, splitCount);
+    }
+
+    /**
+     * Getter for searchTerm attribute.
+     * @returns {string} - Search term as given
+     */
+    get searchTerm() {
+        return this.#searchTerm;
+    }
+
+    /**
+     * Getter for options attribute.
+     * @returns {SearchOptions} - Search options
+     */
+    get options() {
+        return this.#options;
+    }
+
+    /**
+     * Getter for normalizedTerm attribute.
+     * @returns {string} - Search term normalized with normalizeText()
+     */
+    get normalizedTerm() {
+        return this.#normalizedTerm;
+    }
+
+    /**
+     * Whether the search term is a phrase of multiple words like "Hello World".
+     * @returns {boolean} - True if search term contains a space; false otherwise
+     */
+    get isPhrase() {
+        // Patterns are always matched against single words
+        return this.#searchTerm.includes(" ") && isNull(this.#wordRegex) && 
+                isNull(this.#wildcardSegmentArr);
+    }
+
+    /**
+     * Whether only a word identical to the search term can match, 
+     * i.e. the default options.
+     * @returns {boolean} - True if matching is exact; false otherwise
+     */
+    get isExact() {
+        return this.#options.caseSensitive && this.#options.accentSensitive && 
+                this.#options.match === "word" && isNull(this.#numericRange);
+    }
+
+    /**
+     * Whether results should list the words that matched, for match modes 
+     * where the matched word can look different from the search term.
+     * @returns {boolean} - True if results list matched words; false otherwise
+     */
+    get reportsMatches() {
+        return ["fuzzy", "wildcard", "regex", "stem"].includes(this.#options.match) || 
+                !isNull(this.#numericRange);
+    }
+
+    /**
+     * Checks a single word against the search term.
+     * @param {string} word - Word found in a line; null or undefined never matches
+     * @returns {boolean} - True if word matches the search term; false otherwise
+     */
+    matchesWord(word) {
+        return !isNull(this.matchWord(word));
+    }
+
+    /**
+     * Checks a single word against the search term, describing the match.
+     * @param {string} word - Word found in a line; null or undefined never matches
+     * @returns {object} - { word } object, with the edit distance under 
+     * distance for fuzzy matches; null if word doesn't match
+     */
+    matchWord(word) {
+        if (isNull(word)) {
+            return null;
+        }
+
+        if (!isNull(this.#numericRange)) {
+            return this.#numericRange.matches(word) ? { "word": word } : null;
+        }
+
+        const normalizedWord = this.#options.normalize(word);
+        let isMatch;
+        switch (this.#options.match) {
+            case "prefix":
+                isMatch = normalizedWord.startsWith(this.#normalizedTerm);
+                break;
+            case "substring":
+                isMatch = normalizedWord.includes(this.#normalizedTerm);
+                break;
+            case "fuzzy": {
+                const distance = this.#getEditDistance(normalizedWord);
+                return (distance <= this.#options.maxEdits) ? 
+                        { "word": word, "distance": distance } : null;
+            }
+            case "wildcard":
+                isMatch = TermMatcher.#matchesWildcard(this.#wildcardSegmentArr, normalizedWord);
+                break;
+            case "regex":
+                isMatch = normalizedWord.length <= TermMatcher.MAX_REGEX_WORD_LENGTH && 
+                        this.#wordRegex.test(normalizedWord);
+                break;
+            case "stem":
+                if (!this.#stemCache.has(normalizedWord)) {
+                    this.#stemCache.set(normalizedWord, PorterStemmer.stem(normalizedWord));
+                }
+                isMatch = this.#stemCache.get(normalizedWord) === this.#termStem;
+                break;
+            default:
+                isMatch = normalizedWord === this.#normalizedTerm;
+        }
+        return isMatch ? { "word": word } : null;
+    }
+
+    /**
+     * Builds the result details listing matched words, see reportsMatches.
+     * @param {object} wordMatchArr - Array of matches returned by matchWord()
+     * @returns {object} - { "Matches": [...] } with one entry per distinct word; 
+     * empty object if this match mode doesn't report matches
+     */
+    getMatchDetails(wordMatchArr) {
+        if (!this.reportsMatches) {
+            return {};
+        }
+
+        let matchMap = new Map();
+        for (const wordMatch of wordMatchArr) {
+            if (!matchMap.has(wordMatch.word)) {
+                matchMap.set(wordMatch.word, isNull(wordMatch.distance) ? 
+                        { "Word": wordMatch.word } : 
+                        { "Word": wordMatch.word, "Distance": wordMatch.distance });
+            }
+        }
+        return { "Matches": [...matchMap.values()] };
+    }
+
+    /**
+     * Computes the Levenshtein distance between the search term and a word, 
+     * optionally weighting OCR confusions (see OCR_CONFUSIONS) as partial edits.
+     * @param {string} normalizedWord - Word normalized with the search options
+     * @returns {number} - Edit distance; Infinity if it obviously exceeds maxEdits
+     */
+    #getEditDistance(normalizedWord) {
+        const term = this.#normalizedTerm;
+        const confusionArr = this.#options.ocrWeighted ? TermMatcher.OCR_CONFUSIONS : [];
+
+        // Every change in length costs at least one edit, or one weighted OCR confusion
+        const minLengthChangeCost = this.#options.ocrWeighted ? TermMatcher.OCR_CONFUSION_COST : 1;
+        if (Math.abs(term.length - normalizedWord.length) * minLengthChangeCost > 
+                this.#options.maxEdits) {
+            return Infinity;
+        }
+
+        // distanceArr[i][j] is the distance between the first i characters 
+        // of the term and the first j characters of the word
+        let distanceArr = [];
+        for (let i = 0; i <= term.length; i++) {
+            distanceArr.push([]);
+            for (let j = 0; j <= normalizedWord.length; j++) {
+                if (i === 0 || j === 0) {
+                    distanceArr[i][j] = i + j;
+                    continue;
+                }
+                const substitutionCost = (term[i - 1] === normalizedWord[j - 1]) ? 0 : 1;
+                let distance = Math.min(
+                        distanceArr[i - 1][j] + 1,
+                        distanceArr[i][j - 1] + 1,
+                        distanceArr[i - 1][j - 1] + substitutionCost);
+
+                for (const [a, b] of confusionArr) {
+                    for (const [from, to] of [[a, b], [b, a]]) {
+                        if (i >= from.length && j >= to.length && 
+                                term.endsWith(from, i) && normalizedWord.endsWith(to, j)) {
+                            distance = Math.min(distance, distanceArr[i - from.length][j - to.length] + 
+                                    TermMatcher.OCR_CONFUSION_COST);
+                        }
+                    }
+                }
+                distanceArr[i][j] = distance;
+            }
+        }
+        return distanceArr[term.length][normalizedWord.length];
+    }
+
+    /**
+     * Normalizes text according to the search options, treating any run 
+     * of whitespace as a single space.
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    normalizeText(text) {
+        return this.#options.normalize(text).replace(/\s+/g, " ");
+    }
+
+    /**
+     * Checks a whole line of text for the search term as a phrase.
+     * @param {string} lineText - Line text
+     * @returns {boolean} - True if line contains the search term; false otherwise
+     */
+    matchesLine(lineText) {
+        return this.normalizeText(lineText).includes(this.#normalizedTerm);
+    }
+
+    /**
+     * Finds every occurrence of the search term as a phrase, 
+     * including overlapping ones.
+     * @param {string} normalizedText - Text already normalized with normalizeText()
+     * @returns {object} - Array of [start, end) character offset pairs
+     */
+    findOccurrences(normalizedText) {
+        let occurrenceArr = [];
+        let start = normalizedText.indexOf(this.#normalizedTerm);
+        while (start !== -1) {
+            occurrenceArr.push([start, start + this.#normalizedTerm.length]);
+            start = normalizedText.indexOf(this.#normalizedTerm, start + 1);
+        }
+        return occurrenceArr;
+    }
+}
+
+/**
+ * PorterStemmer class, reduces English words to their stem with the 
+ * Porter stemming algorithm, so that e.g. "managed", "managing" and 
+ * "manages" all become "manag".
+ * See https://tartarus.org/martin/PorterStemmer/def.txt
+ * 
+ * Stems are only meant for comparing words with each other; 
+ * they are often not words themselves.
+ */
+class PorterStemmer {
+    // Suffix replacements of steps 2, 3 and 4, longest suffixes first 
+    // since only the longest matching suffix of each step is considered
+    static #STEP_2_SUFFIXES = [
+        ["ational", "ate"], ["tional", "tion"], ["enci", "ence"], ["anci", "ance"],
+        ["izer", "ize"], ["bli", "ble"], ["alli", "al"], ["entli", "ent"], ["eli", "e"],
+        ["ousli", "ous"], ["ization", "ize"], ["ation", "ate"], ["ator", "ate"],
+        ["alism", "al"], ["iveness", "ive"], ["fulness", "ful"], ["ousness", "ous"],
+        ["aliti", "al"], ["iviti", "ive"], ["biliti", "ble"], ["logi", "log"]
+    ].sort((a, b) => b[0].length - a[0].length);
+    static #STEP_3_SUFFIXES = [
+        ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"],
+        ["ical", "ic"], ["ful", ""], ["ness", ""]
+    ].sort((a, b) => b[0].length - a[0].length);
+    static #STEP_4_SUFFIXES = [
+        "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment", 
+        "ent", "ion", "ou", "ism", "ate", "iti", "ous", "ive", "ize"
+    ].sort((a, b) => b.length - a.length);
+
+    /**
+     * Stems a word.
+     * @param {string} word - Word to stem, possessive endings like "'s" are dropped
+     * @returns {string} - Stem of the word
+     * @static
+     */
+    static stem(word) {
+        let stem = word.replace(/'s?$/, "");
+        // Words this short are left alone, as in the reference implementation
+        if (stem.length <= 2) {
+            return stem;
+        }
+
+        stem = PorterStemmer.#step1(stem);
+        stem = PorterStemmer.#replaceSuffix(stem, PorterStemmer.#STEP_2_SUFFIXES, 0);
+        stem = PorterStemmer.#replaceSuffix(stem, PorterStemmer.#STEP_3_SUFFIXES, 0);
+        stem = PorterStemmer.#step4(stem);
+        return PorterStemmer.#step5(stem);
+    }
+
+    /**
+     * Checks whether the letter at an index is a consonant. "y" is a 
+     * consonant at the start of a word or after a vowel.
+     * @param {string} word - Word
+     * @param {number} index - Index of the letter
+     * @returns {boolean} - True if letter is a consonant; false otherwise
+     * @static
+     */
+    static #isConsonant(word, index) {
+        const letter = word[index];
+        if ("aeiou".includes(letter)) {
+            return false;
+        }
+        if (letter === "y") {
+            return index === 0 || !PorterStemmer.#isConsonant(word, index - 1);
+        }
+        return true;
+    }
+
+    /**
+     * Measures a stem, i.e. m in [C](VC)^m[V] where C and V are 
+     * runs of consonants and vowels.
+     * @param {string} stem - Stem
+     * @returns {number} - Number of vowel-consonant sequences
+     * @static
+     */
+    static #measure(stem) {
+        let measure = 0;
+        let index = 0;
+        while (index < stem.length && PorterStemmer.#isConsonant(stem, index)) {
+            index++;
+        }
+        while (index < stem.length) {
+            while (index < stem.length && !PorterStemmer.#isConsonant(stem, index)) {
+                index++;
+            }
+            if (index >= stem.length) {
+                break;
+            }
+            while (index < stem.length && PorterStemmer.#isConsonant(stem, index)) {
+                index++;
+            }
+            measure++;
+        }
+        return measure;
+    }
+
+    /**
+     * Checks whether a stem contains a vowel.
+     * @param {string} stem - Stem
+     * @returns {boolean} - True if stem contains a vowel; false otherwise
+     * @static
+     */
+    static #hasVowel(stem) {
+        for (let index = 0; index < stem.length; index++) {
+            if (!PorterStemmer.#isConsonant(stem, index)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether a stem ends with a double consonant like "tt".
+     * @param {string} stem - Stem
+     * @returns {boolean} - True if stem ends with a double consonant; false otherwise
+     * @static
+     */
+    static #endsWithDoubleConsonant(stem) {
+        const last = stem.length - 1;
+        return last > 0 && stem[last] === stem[last - 1] && PorterStemmer.#isConsonant(stem, last);
+    }
+
+    /**
+     * Checks whether a stem ends consonant-vowel-consonant, where the last 
+     * consonant is not "w", "x" or "y" (e.g. "hop" but not "snow").
+     * @param {string} stem - Stem
+     * @returns {boolean} - True if stem ends consonant-vowel-consonant; false otherwise
+     * @static
+     */
+    static #endsWithCvc(stem) {
+        const last = stem.length - 1;
+        return last >= 2 && PorterStemmer.#isConsonant(stem, last - 2) && 
+                !PorterStemmer.#isConsonant(stem, last - 1) && 
+                PorterStemmer.#isConsonant(stem, last) && !"wxy".includes(stem[last]);
+    }
+
+    /**
+     * Replaces the longest matching suffix if what's left has a large enough measure.
+     * @param {string} word - Word
+     * @param {object} suffixArr - Array of [suffix, replacement] pairs, longest first
+     * @param {number} minMeasure - What's left must measure more than this
+     * @returns {string} - Word with suffix replaced, or word as is
+     * @static
+     */
+    static #replaceSuffix(word, suffixArr, minMeasure) {
+        for (const [suffix, replacement] of suffixArr) {
+            if (word.endsWith(suffix)) {
+                const stem = word.slice(0, -suffix.length);
+                return (PorterStemmer.#measure(stem) > minMeasure) ? stem + replacement : word;
+            }
+        }
+        return word;
+    }
+
+    /**
+     * Step 1, removes plurals and -ed or -ing, and turns terminal "y" to "i".
+     * @param {string} word - Word
+     * @returns {string} - Word after step 1
+     * @static
+     */
+    static #step1(word) {
+        let stem = word;
+
+        // Step 1a
+        if (stem.endsWith("sses") || stem.endsWith("ies")) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith("s") && !stem.endsWith("ss")) {
+            stem = stem.slice(0, -1);
+        }
+
+        // Step 1b
+        if (stem.endsWith("eed")) {
+            if (PorterStemmer.#measure(stem.slice(0, -3)) > 0) {
+                stem = stem.slice(0, -1);
+            }
+        } else {
+            const suffix = ["ed", "ing"].find((ending) => stem.endsWith(ending));
+            if (!isNull(suffix) && PorterStemmer.#hasVowel(stem.slice(0, -suffix.length))) {
+                stem = stem.slice(0, -suffix.length);
+                if (stem.endsWith("at") || stem.endsWith("bl") || stem.endsWith("iz")) {
+                    stem += "e";
+                } else if (PorterStemmer.#endsWithDoubleConsonant(stem) && 
+                        !"lsz".includes(stem[stem.length - 1])) {
+                    stem = stem.slice(0, -1);
+                } else if (PorterStemmer.#measure(stem) === 1 && PorterStemmer.#endsWithCvc(stem)) {
+                    stem += "e";
+                }
+            }
+        }
+
+        // Step 1c
+        if (stem.endsWith("y") && PorterStemmer.#hasVowel(stem.slice(0, -1))) {
+            stem = stem.slice(0, -1) + "i";
+        }
+        return stem;
+    }
+
+    /**
+     * Step 4, removes suffixes like -ance and -ment from long enough stems.
+     * @param {string} word - Word
+     * @returns {string} - Word after step 4
+     * @static
+     */
+    static #step4(word) {
+        const suffix = PorterStemmer.#STEP_4_SUFFIXES.find((ending) => word.endsWith(ending));
+        if (isNull(suffix)) {
+            return word;
+        }
+        const stem = word.slice(0, -suffix.length);
+        // -ion is only removed after "s" or "t", e.g. "adoption" but not "champion"
+        if (suffix === "ion" && !stem.endsWith("s") && !stem.endsWith("t")) {
+            return word;
+        }
+        return (PorterStemmer.#measure(stem) > 1) ? stem : word;
+    }
+
+    /**
+     * Step 5, removes a final "e" and turns a final "ll" to "l" on long enough stems.
+     * @param {string} word - Word
+     * @returns {string} - Word after step 5
+     * @static
+     */
+    static #step5(word) {
+        let stem = word;
+        if (stem.endsWith("e")) {
+            const measure = PorterStemmer.#measure(stem.slice(0, -1));
+            if (measure > 1 || (measure === 1 && !PorterStemmer.#endsWithCvc(stem.slice(0, -1)))) {
+                stem = stem.slice(0, -1);
+            }
+        }
+        if (stem.endsWith("ll") && PorterStemmer.#measure(stem) > 1) {
+            stem = stem.slice(0, -1);
+        }
+        return stem;
+    }
+}
+
+/**
+ * NumericRange class, a range of numbers that a numeric search term matches.
+ * 
+ * Numeric search terms are a field and a range, e.g. "year:1860..1870" or "num:>1000":
+ * "num" matches any number, including thousands separators, decimals and 
+ * ordinals (e.g. "20,000", "3.5" and "3rd"), while "year" only matches 
+ * whole numbers written without separators (e.g. "1869").
+ * Ranges are "a..b" (inclusive), "a.." or "..b" (open-ended), ">a", ">=a", 
+ * "<a", "<=a" or a single number "a".
+ */
+class NumericRange {
+    #field;
+    #min;
+    #max;
+    #isMinInclusive;
+    #isMaxInclusive;
+
+    // Field and range of a numeric search term
+    static #TERM_REGEX = /^(num|year):(.+)$/;
+
+    // Number written in a range, thousands separators are allowed
+    static #RANGE_NUMBER_REGEX = /^-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$/;
+
+    // Number written in text: sign, integer part, decimals and ordinal suffix
+    static #WORD_NUMBER_REGEX = /^(-?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(st|nd|rd|th)?$/i;
+
+    /**
+     * Constructs a new NumericRange object.
+     * @param {string} field - "num" or "year"
+     * @param {number} min - Lower bound; -Infinity if there is none
+     * @param {number} max - Upper bound; Infinity if there is none
+     * @param {boolean} isMinInclusive - Whether min itself is in the range
+     * @param {boolean} isMaxInclusive - Whether max itself is in the range
+     */
+    constructor(field, min, max, isMinInclusive, isMaxInclusive) {
+        if (min > max) {
+            throw new Error(`Numeric range lower bound ${min} is above upper bound ${max}`);
+        }
+        this.#field = field;
+        this.#min = min;
+        this.#max = max;
+        this.#isMinInclusive = isMinInclusive;
+        this.#isMaxInclusive = isMaxInclusive;
+    }
+
+    /**
+     * Parses a numeric search term.
+     * @param {string} searchTerm - Search term
+     * @returns {NumericRange} - Range of the search term; null if it isn't a numeric term
+     * @static
+     */
+    static parse(searchTerm) {
+        const termMatch = searchTerm.trim().match(NumericRange.#TERM_REGEX);
+        if (isNull(termMatch)) {
+            return null;
+        }
+        const [, field, range] = termMatch;
+
+        const comparisonMatch = range.match(/^(>=|<=|>|<)(.+)$/);
+        if (!isNull(comparisonMatch)) {
+            const [, comparison, numberText] = comparisonMatch;
+            const number = NumericRange.#parseRangeNumber(numberText, searchTerm);
+            return comparison.startsWith(">") ? 
+                    new NumericRange(field, number, Infinity, comparison === ">=", false) : 
+                    new NumericRange(field, -Infinity, number, false, comparison === "<=");
+        }
+
+        if (range.includes("..")) {
+            const [minText, maxText, ...restArr] = range.split("..");
+            if (restArr.length > 0 || (minText === "" && maxText === "")) {
+                throw new Error(`Invalid numeric range in search term "${searchTerm}"`);
+            }
+            return new NumericRange(field, 
+                    minText === "" ? -Infinity : NumericRange.#parseRangeNumber(minText, searchTerm), 
+                    maxText === "" ? Infinity : NumericRange.#parseRangeNumber(maxText, searchTerm), 
+                    true, true);
+        }
+
+        const number = NumericRange.#parseRangeNumber(range, searchTerm);
+        return new NumericRange(field, number, number, true, true);
+    }
+
+    /**
+     * Parses a bound of a range.
+     * @param {string} numberText - Bound, e.g. "1,000"
+     * @param {string} searchTerm - Search term the bound is from, for error messages
+     * @returns {number} - Value of the bound
+     * @static
+     */
+    static #parseRangeNumber(numberText, searchTerm) {
+        if (!NumericRange.#RANGE_NUMBER_REGEX.test(numberText)) {
+            throw new Error(`Invalid number "${numberText}" in search term "${searchTerm}"`);
+        }
+        return Number(numberText.replace(/,/g, ""));
+    }
+
+    /**
+     * Parses a word as a number.
+     * @param {string} word - Word found in a line, e.g. "20,000" or "3rd"
+     * @returns {object} - { value, isPlain } where isPlain is true for whole numbers 
+     * without separators or suffixes; null if word isn't a number
+     * @static
+     */
+    static parseNumber(word) {
+        const numberMatch = word.match(NumericRange.#WORD_NUMBER_REGEX);
+        if (isNull(numberMatch)) {
+            return null;
+        }
+        const [, sign, integerPart, decimalPart, ordinalSuffix] = numberMatch;
+        return {
+            "value": Number(sign + integerPart.replace(/,/g, "") + 
+                    (isNull(decimalPart) ? "" : "." + decimalPart)),
+            "isPlain": !integerPart.includes(",") && isNull(decimalPart) && isNull(ordinalSuffix)
+        };
+    }
+
+    /**
+     * Checks whether a word is a number within the range.
+     * @param {string} word - Word found in a line
+     * @returns {boolean} - True if word is a number of the field within the range; 
+     * false otherwise
+     */
+    matches(word) {
+        const number = NumericRange.parseNumber(word);
+        if (isNull(number) || (this.#field === "year" && !number.isPlain)) {
+            return false;
+        }
+        const isAboveMin = this.#isMinInclusive ? number.value >= this.#min : number.value > this.#min;
+        const isBelowMax = this.#isMaxInclusive ? number.value <= this.#max : number.value < this.#max;
+        return isAboveMin && isBelowMax;
+    }
+}
+
+/**
+ * QueryNode class, represents a node of a parsed boolean query.
+ * 
+ * Should be treated as an abstract class that cannot not be instantiated by itself.
+ * Use TermQueryNode, OperatorQueryNode or NotQueryNode subclasses instead.
+ * 
+ * Nodes are evaluated against an array of line contexts, each being a 
+ * { pageLineText, wordArr } object. The array holds a single line when 
+ * evaluating per line and every line of a page when evaluating per page.
+ * 
+ * @abstract
+ */
+class QueryNode {
+    /**
+     * Constructs a new QueryNode object.
+     */
+    constructor() {
+        if (this.constructor === QueryNode) {
+            throw new Error("Abstract classes cannot be instantiated.");
+        }
+    }
+
+    /**
+     * Evaluates the query against one or more lines.
+     * @param {object} lineContextArr - Array of line contexts
+     * @returns {boolean} - True if the lines satisfy the query; false otherwise
+     * @abstract
+     */
+    evaluate(lineContextArr) {
+        throw new Error("evaluate() must be implemented by QueryNode subclasses");
+    }
+
+    /**
+     * Checks whether a non-negated term of the query matches a line.
+     * @param {object} lineContext - Line context
+     * @returns {boolean} - True if a non-negated term matches the line; false otherwise
+     * @abstract
+     */
+    matchesPositively(lineContext) {
+        throw new Error("matchesPositively() must be implemented by QueryNode subclasses");
+    }
+
+    /**
+     * Gets the terms of the query that are not negated.
+     * @returns {object} - Array of TermQueryNode objects
+     * @abstract
+     */
+    getPositiveTerms() {
+        throw new Error("getPositiveTerms() must be implemented by QueryNode subclasses");
+    }
+}
+
+/**
+ * TermQueryNode class, a single word or quoted phrase of a query.
+ */
+class TermQueryNode extends QueryNode {
+    #termMatcher;
+
+    /**
+     * Constructs a new TermQueryNode object.
+     * @param {string} term - Word or phrase
+     * @param {SearchOptions} options - Search options the term is matched with
+     */
+    constructor(term, options) {
+        super();
+        this.#termMatcher = new TermMatcher(term, options);
+    }
+
+    /**
+     * Getter for term attribute.
+     * @returns {string} - Word or phrase
+     */
+    get term() {
+        return this.#termMatcher.searchTerm;
+    }
+
+    /**
+     * Getter for isPhrase attribute.
+     * @returns {boolean} - True if term is a phrase of multiple words
+     */
+    get isPhrase() {
+        return this.#termMatcher.isPhrase;
+    }
+
+    /**
+     * Getter for termMatcher attribute.
+     * @returns {TermMatcher} - Matcher for the term
+     */
+    get termMatcher() {
+        return this.#termMatcher;
+    }
+
+    getPositiveTerms() {
+        return [this];
+    }
+
+    /**
+     * Checks a single word against the term.
+     * @param {string} word - Word found in a line
+     * @returns {boolean} - True if word matches the term; false otherwise
+     */
+    matchesWord(word) {
+        return this.#termMatcher.matchesWord(word);
+    }
+
+    evaluate(lineContextArr) {
+        return lineContextArr.some((lineContext) => this.matchesPositively(lineContext));
+    }
+
+    matchesPositively(lineContext) {
+        if (this.#termMatcher.isPhrase) {
+            return this.#termMatcher.matchesLine(lineContext.pageLineText.text);
+        }
+        return lineContext.wordArr.some((word) => this.#termMatcher.matchesWord(word));
+    }
+
+    /**
+     * Converts TermQueryNode object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return this.#termMatcher.isPhrase ? { "Phrase": this.term } : { "Term": this.term };
+    }
+
+    /**
+     * String representation of the term as it would be written in a query.
+     * @returns {string} - Term, quoted if it is a phrase
+     */
+    toString() {
+        return this.#termMatcher.isPhrase ? `"${this.term}"` : this.term;
+    }
+}
+
+/**
+ * OperatorQueryNode class, an AND or OR of two or more operands.
+ */
+class OperatorQueryNode extends QueryNode {
+    #operator;
+    #operandArr;
+
+    /**
+     * Constructs a new OperatorQueryNode object.
+     * @param {string} operator - "AND" or "OR"
+     * @param {object} operandArr - Array of QueryNode objects
+     */
+    constructor(operator, operandArr) {
+        super();
+        if (operator !== "AND" && operator !== "OR") {
+            throw new Error("operator must be \"AND\" or \"OR\"");
+        }
+        this.#operator = operator;
+        this.#operandArr = operandArr;
+    }
+
+    /**
+     * Getter for operator attribute.
+     * @returns {string} - "AND" or "OR"
+     */
+    get operator() {
+        return this.#operator;
+    }
+
+    /**
+     * Getter for operands attribute.
+     * @returns {object} - Array of QueryNode objects
+     */
+    get operands() {
+        return this.#operandArr;
+    }
+
+    evaluate(lineContextArr) {
+        if (this.#operator === "AND") {
+            return this.#operandArr.every((operand) => operand.evaluate(lineContextArr));
+        }
+        return this.#operandArr.some((operand) => operand.evaluate(lineContextArr));
+    }
+
+    matchesPositively(lineContext) {
+        return this.#operandArr.some((operand) => operand.matchesPositively(lineContext));
+    }
+
+    getPositiveTerms() {
+        return this.#operandArr.flatMap((operand) => operand.getPositiveTerms());
+    }
+
+    /**
+     * Converts OperatorQueryNode object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "Operator": this.#operator,
+            "Operands": this.#operandArr.map((operand) => operand.toJSON())
+        };
+    }
+
+    /**
+     * String representation of the operation, fully parenthesized.
+     * @returns {string} - Operation as it would be written in a query
+     */
+    toString() {
+        return `(${this.#operandArr.join(` ${this.#operator} `)})`;
+    }
+}
+
+/**
+ * NotQueryNode class, the negation of an operand.
+ */
+class NotQueryNode extends QueryNode {
+    #operand;
+
+    /**
+     * Constructs a new NotQueryNode object.
+     * @param {QueryNode} operand - Negated query
+     */
+    constructor(operand) {
+        super();
+        this.#operand = operand;
+    }
+
+    /**
+     * Getter for operand attribute.
+     * @returns {QueryNode} - Negated query
+     */
+    get operand() {
+        return this.#operand;
+    }
+
+    evaluate(lineContextArr) {
+        return !this.#operand.evaluate(lineContextArr);
+    }
+
+    matchesPositively(lineContext) {
+        // A line is never returned because of what it doesn't contain
+        return false;
+    }
+
+    getPositiveTerms() {
+        return [];
+    }
+
+    /**
+     * Converts NotQueryNode object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "Operator": "NOT",
+            "Operands": [this.#operand.toJSON()]
+        };
+    }
+
+    /**
+     * String representation of the negation.
+     * @returns {string} - Negation as it would be written in a query
+     */
+    toString() {
+        return `NOT ${this.#operand}`;
+    }
+}
+
+/**
+ * ProximityQueryNode class, two words within a maximum number of words 
+ * of each other, e.g. "whale NEAR/5 ship" or "whale BEFORE/5 ship".
+ */
+class ProximityQueryNode extends QueryNode {
+    #leftOperand;
+    #rightOperand;
+    #maxDistance;
+    #ordered;
+
+    /**
+     * Constructs a new ProximityQueryNode object.
+     * @param {TermQueryNode} leftOperand - First word
+     * @param {TermQueryNode} rightOperand - Second word
+     * @param {number} maxDistance - Maximum distance in words, 1 meaning adjacent
+     * @param {boolean} ordered - True if the first word has to come before the second
+     */
+    constructor(leftOperand, rightOperand, maxDistance, ordered) {
+        super();
+        for (const operand of [leftOperand, rightOperand]) {
+            if (!(operand instanceof TermQueryNode) || operand.isPhrase) {
+                throw new Error("Proximity operands must be single words");
+            }
+        }
+        if (!Number.isInteger(maxDistance) || maxDistance < 1) {
+            throw new Error("Proximity distance must be a non-zero, positive integer");
+        }
+        this.#leftOperand = leftOperand;
+        this.#rightOperand = rightOperand;
+        this.#maxDistance = maxDistance;
+        this.#ordered = ordered;
+    }
+
+    /**
+     * Getter for operator attribute.
+     * @returns {string} - "BEFORE" if ordered; "NEAR" otherwise
+     */
+    get operator() {
+        return this.#ordered ? "BEFORE" : "NEAR";
+    }
+
+    /**
+     * Finds every pair of words within the maximum distance of each other.
+     * @param {object} wordArr - Array of words in reading order
+     * @returns {object} - Array of { leftIndex, rightIndex, distance } objects, 
+     * indexes being positions in wordArr
+     */
+    findMatches(wordArr) {
+        let matchArr = [];
+        const rightMatchArr = wordArr.map((word) => this.#rightOperand.matchesWord(word));
+
+        wordArr.forEach((word, leftIndex) => {
+            if (!this.#leftOperand.matchesWord(word)) {
+                return;
+            }
+            const startIndex = this.#ordered ? 
+                    leftIndex + 1 : Math.max(0, leftIndex - this.#maxDistance);
+            const endIndex = Math.min(wordArr.length - 1, leftIndex + this.#maxDistance);
+            for (let rightIndex = startIndex; rightIndex <= endIndex; rightIndex++) {
+                if (rightIndex !== leftIndex && rightMatchArr[rightIndex]) {
+                    matchArr.push({
+                        "leftIndex": leftIndex,
+                        "rightIndex": rightIndex,
+                        "distance": Math.abs(rightIndex - leftIndex)
+                    });
+                }
+            }
+        });
+        return matchArr;
+    }
+
+    evaluate(lineContextArr) {
+        const wordArr = lineContextArr.flatMap((lineContext) => lineContext.wordArr);
+        return this.findMatches(wordArr).length > 0;
+    }
+
+    matchesPositively(lineContext) {
+        return this.#leftOperand.matchesPositively(lineContext) || 
+                this.#rightOperand.matchesPositively(lineContext);
+    }
+
+    getPositiveTerms() {
+        return [this.#leftOperand, this.#rightOperand];
+    }
+
+    /**
+     * Converts ProximityQueryNode object to JSON format.
+     * @returns {object} - JSON format of object
+     */
+    toJSON() {
+        return {
+            "Operator": this.operator,
+            "Distance": this.#maxDistance,
+            "Operands": [this.#leftOperand.toJSON(), this.#rightOperand.toJSON()]
+        };
+    }
+
+    /**
+     * String representation of the proximity operation.
+     * @returns {string} - Operation as it would be written in a query
+     */
+    toString() {
+        return `(${this.#leftOperand} ${this.operator}/${this.#maxDistance} ${this.#rightOperand})`;
+    }
+}
+
+/**
+ * QueryParser class, parses boolean query text into a tree of QueryNode objects.
+ * 
+ * Grammar, from lowest to highest precedence:
+ *     query   = orExpr
+ *     orExpr  = andExpr { "OR" andExpr }
+ *     andExpr = notExpr { ["AND"] notExpr }    (adjacent operands are ANDed)
+ *     notExpr = "NOT" notExpr | nearExpr
+ *     nearExpr = primary [ ("NEAR/" n | "BEFORE/" n) primary ]
+ *     primary = word | "\"" phrase "\"" | "(" orExpr ")"
+ * 
+ * "a NEAR/n b" matches a and b within n words of each other in any order, 
+ * "a BEFORE/n b" only when a comes first. Both operands must be single words.
+ * On its own, a proximity query spans line breaks and each line holding an end 
+ * of a match lists its matches under "Pairs"; nested in other operators, it is 
+ * evaluated over the line or page like any other operand.
+ * 
+ * Operators must be uppercase so the lowercase words "and", "or" and "not" 
+ * can still be searched for. Quote an uppercase operator to search for it as a word.
+ */
+class QueryParser {
+    #tokenArr;
+    #position = 0;
+    #options;
+
+    /**
+     * Constructs a new QueryParser object. Use QueryParser.parse() instead.
+     * @param {object} tokenArr - Array of query tokens
+     * @param {SearchOptions} options - Search options terms are matched with
+     */
+    constructor(tokenArr, options) {
+        this.#tokenArr = tokenArr;
+        this.#options = options;
+    }
+
+    /**
+     * Parses boolean query text.
+     * @param {string} queryText - Query text, e.g. "\"dark ness\" OR (profound AND NOT Canadian)"
+     * @param {SearchOptions|object} [options] - Search options terms are matched with
+     * @returns {QueryNode} - Root of the parsed query
+     * @static
+     */
+    static parse(queryText, options) {
+        validateSearchTerm(queryText);
+
+        const parser = new QueryParser(QueryParser.#tokenize(queryText), SearchOptions.from(options));
+        if (parser.#tokenArr.length === 0) {
+            throw new Error("Query must contain at least one term");
+        }
+
+        const queryNode = parser.#parseOr();
+        if (parser.#position < parser.#tokenArr.length) {
+            throw new Error(`Unexpected "${parser.#tokenArr[parser.#position].value}" in query`);
+        }
+        return queryNode;
+    }
+
+    /**
+     * Splits query text into operator, parenthesis, word and phrase tokens.
+     * @param {string} queryText - Query text
+     * @returns {object} - Array of { type, value } tokens
+     * @static
+     */
+    static #tokenize(queryText) {
+        let tokenArr = [];
+        let index = 0;
+
+        while (index < queryText.length) {
+            const char = queryText[index];
+
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === "(" || char === ")") {
+                tokenArr.push({ "type": char, "value": char });
+                index++;
+            } else if (char === "\"") {
+                const closingIndex = queryText.indexOf("\"", index + 1);
+                if (closingIndex === -1) {
+                    throw new Error(`Unterminated quote at position ${index} in query`);
+                }
+                const phrase = queryText.substring(index + 1, closingIndex).trim();
+                if (phrase === "") {
+                    throw new Error(`Empty quotes at position ${index} in query`);
+                }
+                tokenArr.push({ "type": "term", "value": phrase });
+                index = closingIndex + 1;
+            } else {
+                let endIndex = index;
+                while (endIndex < queryText.length && !/[\s()"]/.test(queryText[endIndex])) {
+                    endIndex++;
+                }
+                const word = queryText.substring(index, endIndex);
+                const proximityMatch = word.match(/^(NEAR|BEFORE)\/(\d+)$/);
+                if (!isNull(proximityMatch)) {
+                    tokenArr.push({
+                        "type": "proximity",
+                        "value": word,
+                        "ordered": proximityMatch[1] === "BEFORE",
+                        "distance": Number(proximityMatch[2])
+                    });
+                } else {
+                    const isOperator = ["AND", "OR", "NOT"].includes(word);
+                    tokenArr.push({ "type": isOperator ? word : "term", "value": word });
+                }
+                index = endIndex;
+            }
+        }
+        return tokenArr;
+    }
+
+    /**
+     * Peeks at the type of the current token.
+     * @returns {string} - Token type; null if there are no tokens left
+     */
+    #peek() {
+        return this.#tokenArr[this.#position]?.type ?? null;
+    }
+
+    /**
+     * Parses an orExpr.
+     * @returns {QueryNode} - Parsed node
+     */
+    #parseOr() {
+        let operandArr = [this.#parseAnd()];
+        while (this.#peek() === "OR") {
+            this.#position++;
+            operandArr.push(this.#parseAnd());
+        }
+        return operandArr.length === 1 ? operandArr[0] : new OperatorQueryNode("OR", operandArr);
+    }
+
+    /**
+     * Parses an andExpr.
+     * @returns {QueryNode} - Parsed node
+     */
+    #parseAnd() {
+        let operandArr = [this.#parseNot()];
+        while (["AND", "NOT", "term", "("].includes(this.#peek())) {
+            if (this.#peek() === "AND") {
+                this.#position++;
+            }
+            operandArr.push(this.#parseNot());
+        }
+        return operandArr.length === 1 ? operandArr[0] : new OperatorQueryNode("AND", operandArr);
+    }
+
+    /**
+     * Parses a notExpr.
+     * @returns {QueryNode} - Parsed node
+     */
+    #parseNot() {
+        if (this.#peek() === "NOT") {
+            this.#position++;
+            return new NotQueryNode(this.#parseNot());
+        }
+        return this.#parseNear();
+    }
+
+    /**
+     * Parses a nearExpr.
+     * @returns {QueryNode} - Parsed node
+     */
+    #parseNear() {
+        const leftNode = this.#parsePrimary();
+        if (this.#peek() !== "proximity") {
+            return leftNode;
+        }
+        const token = this.#tokenArr[this.#position];
+        this.#position++;
+        return new ProximityQueryNode(leftNode, this.#parsePrimary(), token.distance, token.ordered);
+    }
+
+    /**
+     * Parses a primary.
+     * @returns {QueryNode} - Parsed node
+     */
+    #parsePrimary() {
+        const token = this.#tokenArr[this.#position];
+        if (isNull(token)) {
+            throw new Error("Query ended unexpectedly; expected a term");
+        }
+        this.#position++;
+
+        if (token.type === "term") {
+            return new TermQueryNode(token.value, this.#options);
+        }
+        if (token.type === "(") {
+            const queryNode = this.#parseOr();
+            if (this.#peek() !== ")") {
+                throw new Error("Missing closing parenthesis in query");
+            }
+            this.#position++;
+            return queryNode;
+        }
+        throw new Error(`Unexpected "${token.value}" in query; expected a term`);
+    }
+}
+
+/**
+ * RelevanceRanker class, scores books and pages against the terms of a search 
+ * with Okapi BM25 and sorts search results by those scores.
+ * 
+ * Every page is a document in the collection of pages of all searched books, 
+ * and every book is a document in the collection of searched books. 
+ * Entries sharing an ISBN are scored as the same book.
+ * See https://en.wikipedia.org/wiki/Okapi_BM25
+ */
+class RelevanceRanker {
+    // Term frequency saturation and document length normalization parameters, 
+    // commonly used defaults
+    static #K1 = 1.2;
+    static #B = 0.75;
+
+    // ISBN -> BM25 score of the book
+    #bookScoreMap;
+
+    // ISBN and page number joined by "/" -> BM25 score of the page
+    #pageScoreMap;
+
+    /**
+     * Constructs a new RelevanceRanker object.
+     * @param {object} bookArr - Array of searched Book objects
+     * @param {object} termMatcherArr - Array of TermMatcher objects, one per query term
+     */
+    constructor(bookArr, termMatcherArr) {
+        let bookDocumentMap = new Map();
+        let pageDocumentMap = new Map();
+
+        for (const bookObj of bookArr) {
+            let pageLineMap = new Map();
+            for (const pageLineTextObj of bookObj.getOrderedLines()) {
+                if (!pageLineMap.has(pageLineTextObj.page)) {
+                    pageLineMap.set(pageLineTextObj.page, []);
+                }
+                pageLineMap.get(pageLineTextObj.page).push(pageLineTextObj);
+            }
+
+            for (const [pageNum, lineArr] of pageLineMap) {
+                const pageDocument = 
+                        RelevanceRanker.#buildDocument(bookObj, lineArr, termMatcherArr);
+                RelevanceRanker.#addToDocument(
+                        pageDocumentMap, `${bookObj.isbn}/${pageNum}`, pageDocument);
+                RelevanceRanker.#addToDocument(bookDocumentMap, bookObj.isbn, pageDocument);
+            }
+        }
+
+        this.#bookScoreMap = RelevanceRanker.#score(bookDocumentMap, termMatcherArr.length);
+        this.#pageScoreMap = RelevanceRanker.#score(pageDocumentMap, termMatcherArr.length);
+    }
+
+    /**
+     * Counts every term in a set of lines.
+     * Words are counted with the term's options; phrases by their occurrences.
+     * @param {Book} bookObj - Book the lines belong to
+     * @param {object} lineArr - Array of PageLineText objects
+     * @param {object} termMatcherArr - Array of TermMatcher objects
+     * @returns {object} - { length, termFreqArr } where length is the word count and 
+     * termFreqArr the frequency of each term
+     * @static
+     */
+    static #buildDocument(bookObj, lineArr, termMatcherArr) {
+        // Forms of each word, a hyphen-breaked word counting once whichever form matches
+        let wordFormsArr = [];
+        for (const pageLineTextObj of lineArr) {
+            wordFormsArr = wordFormsArr.concat(bookObj.getWords(pageLineTextObj.text).map((word) => [word]));
+            const lineBreakedWordArr = bookObj.getLineBreakedWords(pageLineTextObj);
+            if (lineBreakedWordArr.length > 0) {
+                wordFormsArr.push(lineBreakedWordArr);
+            }
+        }
+        const text = lineArr.map((pageLineTextObj) => pageLineTextObj.text).join(" ");
+
+        return {
+            "length": wordFormsArr.length,
+            "termFreqArr": termMatcherArr.map((termMatcher) => termMatcher.isPhrase ? 
+                    termMatcher.findOccurrences(termMatcher.normalizeText(text)).length : 
+                    wordFormsArr.filter((formArr) => formArr.some((word) => termMatcher.matchesWord(word))).length)
+        };
+    }
+
+    /**
+     * Adds counts to a document, creating the document if it doesn't exist yet.
+     * @param {Map} documentMap - Documents keyed by identifier
+     * @param {string} key - Document identifier
+     * @param {object} counts - { length, termFreqArr } to add
+     * @static
+     */
+    static #addToDocument(documentMap, key, counts) {
+        const document = documentMap.get(key);
+        if (isNull(document)) {
+            documentMap.set(key, {
+                "length": counts.length,
+                "termFreqArr": [...counts.termFreqArr]
+            });
+            return;
+        }
+        document.length += counts.length;
+        counts.termFreqArr.forEach((termFreq, index) => {
+            document.termFreqArr[index] += termFreq;
+        });
+    }
+
+    /**
+     * Scores every document of a collection.
+     * @param {Map} documentMap - Documents keyed by identifier
+     * @param {number} termCount - Number of query terms
+     * @returns {Map} - BM25 scores keyed by document identifier
+     * @static
+     */
+    static #score(documentMap, termCount) {
+        const documentArr = [...documentMap.values()];
+        const documentCount = documentArr.length;
+        // Avoid dividing by zero when every document is empty
+        const averageLength = documentArr.reduce(
+                (total, document) => total + document.length, 0) / documentCount || 1;
+
+        let idfArr = [];
+        for (let termIndex = 0; termIndex < termCount; termIndex++) {
+            const matchingCount = documentArr.filter(
+                    (document) => document.termFreqArr[termIndex] > 0).length;
+            idfArr.push(Math.log(
+                    (documentCount - matchingCount + 0.5) / (matchingCount + 0.5) + 1));
+        }
+
+        let scoreMap = new Map();
+        for (const [key, document] of documentMap) {
+            let score = 0;
+            document.termFreqArr.forEach((termFreq, termIndex) => {
+                const lengthNorm = 1 - RelevanceRanker.#B + 
+                        RelevanceRanker.#B * document.length / averageLength;
+                score += idfArr[termIndex] * termFreq * (RelevanceRanker.#K1 + 1) / 
+                        (termFreq + RelevanceRanker.#K1 * lengthNorm);
+            });
+            scoreMap.set(key, score);
+        }
+        return scoreMap;
+    }
+
+    /**
+     * Sorts search results by book score, then page score. Results with equal 
+     * scores keep their order.
+     * @param {object} resultArr - Array of SearchResult objects
+     * @returns {object} - New array of SearchResult objects with "Score" (page score) 
+     * and "BookScore" fields, rounded to 4 decimal places
+     */
+    rank(resultArr) {
+        const rankedResultArr = resultArr.map((searchResult) => {
+            const pageScore = this.#pageScoreMap.get(`${searchResult.isbn}/${searchResult.page}`);
+            const bookScore = this.#bookScoreMap.get(searchResult.isbn);
+            return new SearchResult(searchResult.page, searchResult.line, searchResult.isbn, {
+                ...searchResult.details,
+                "Score": Number((pageScore ?? 0).toFixed(4)),
+                "BookScore": Number((bookScore ?? 0).toFixed(4))
+            });
+        });
+
+        // Array.prototype.sort is stable, so ties keep their order
+        return rankedResultArr.sort((a, b) => 
+                (b.details.BookScore - a.details.BookScore) || 
+                (b.details.Score - a.details.Score));
+    }
+}
+
+/**
+ * SnippetBuilder class, locates matches within result lines and adds the 
+ * matched text, its character offsets and a snippet of surrounding words.
+ * 
+ * Offsets are within the trimmed PageLineText.text of the result's line. 
+ * A match spanning lines (a hyphen-breaked word or a phrase) is located 
+ * as the part of it that is on the result's line.
+ */
+class SnippetBuilder {
+    #bookArr;
+    #termMatcherArr;
+    #contextWordCount;
+
+    /**
+     * Constructs a new SnippetBuilder object.
+     * @param {object} bookArr - Array of searched Book objects
+     * @param {object} termMatcherArr - Array of TermMatcher objects that can match a line
+     * @param {number} contextWordCount - Number of words before and after a match 
+     * to include in snippets
+     */
+    constructor(bookArr, termMatcherArr, contextWordCount) {
+        this.#bookArr = bookArr;
+        this.#termMatcherArr = termMatcherArr;
+        this.#contextWordCount = contextWordCount;
+    }
+
+    /**
+     * Adds match location and snippet fields to search results.
+     * @param {object} resultArr - Array of SearchResult objects
+     * @returns {object} - New array of SearchResult objects with "MatchedText", 
+     * "Start", "End" and "Snippet" fields, where "Snippet" is a 
+     * { Text, MatchStart, MatchEnd } object. Fields are left out of results 
+     * whose match can't be located.
+     */
+    addSnippets(resultArr) {
+        return resultArr.map((searchResult) => {
+            const bookObj = this.#bookArr.find((book) => book.isbn === searchResult.isbn && 
+                    !isNull(book.getLine(searchResult.page, searchResult.line)));
+            if (isNull(bookObj)) {
+                return searchResult;
+            }
+            const pageLineTextObj = bookObj.getLine(searchResult.page, searchResult.line);
+            const span = this.#locate(bookObj, pageLineTextObj);
+            if (isNull(span)) {
+                return searchResult;
+            }
+
+            return new SearchResult(searchResult.page, searchResult.line, searchResult.isbn, {
+                ...searchResult.details,
+                "MatchedText": pageLineTextObj.text.slice(span.start, span.end),
+                "Start": span.start,
+                "End": span.end,
+                "Snippet": this.#buildSnippet(bookObj, pageLineTextObj, span)
+            });
+        });
+    }
+
+    /**
+     * Renders a snippet as HTML, with the match wrapped in a <mark> element.
+     * @param {object} snippet - { Text, MatchStart, MatchEnd } object of a search result
+     * @returns {string} - HTML-escaped markup
+     * @static
+     */
+    static toHTML(snippet) {
+        const { Text: text, MatchStart: matchStart, MatchEnd: matchEnd } = snippet;
+        return escapeHTML(text.slice(0, matchStart)) + 
+                "<mark>" + escapeHTML(text.slice(matchStart, matchEnd)) + "</mark>" + 
+                escapeHTML(text.slice(matchEnd));
+    }
+
+    /**
+     * Finds the earliest match of any term within a line.
+     * @param {Book} bookObj - Book the line belongs to
+     * @param {PageLineText} pageLineTextObj - Line
+     * @returns {object} - { start, end } character offsets; null if no term matches
+     */
+    #locate(bookObj, pageLineTextObj) {
+        let spanArr = [];
+        for (const termMatcher of this.#termMatcherArr) {
+            const span = termMatcher.isPhrase ? 
+                    SnippetBuilder.#locatePhrase(bookObj, pageLineTextObj, termMatcher) : 
+                    SnippetBuilder.#locateWord(bookObj, pageLineTextObj, termMatcher);
+            if (!isNull(span)) {
+                spanArr.push(span);
+            }
+        }
+        spanArr.sort((a, b) => a.start - b.start);
+        return spanArr[0] ?? null;
+    }
+
+    /**
+     * Finds the first word of a line matching a term, including either half 
+     * of a hyphen-breaked word.
+     * @param {Book} bookObj - Book the line belongs to
+     * @param {PageLineText} pageLineTextObj - Line
+     * @param {TermMatcher} termMatcher - Word term
+     * @returns {object} - { start, end } character offsets; null if no word matches
+     * @static
+     */
+    static #locateWord(bookObj, pageLineTextObj, termMatcher) {
+        const wordSpanArr = bookObj.getWordSpans(pageLineTextObj.text);
+        const wordSpan = wordSpanArr.find((span) => termMatcher.matchesWord(span.word));
+        if (!isNull(wordSpan)) {
+            return wordSpan;
+        }
+        if (wordSpanArr.length === 0) {
+            return null;
+        }
+
+        // First half of a hyphen-breaked word ends this line
+        if (bookObj.getLineBreakedWords(pageLineTextObj).some((word) => termMatcher.matchesWord(word))) {
+            return wordSpanArr[wordSpanArr.length - 1];
+        }
+        // Second half of a hyphen-breaked word starts this line
+        const previousLine = bookObj.getPreviousLine(pageLineTextObj);
+        if (!isNull(previousLine) && 
+                bookObj.getLineBreakContinuation(previousLine) === pageLineTextObj && 
+                bookObj.getLineBreakedWords(previousLine).some((word) => termMatcher.matchesWord(word))) {
+            return wordSpanArr[0];
+        }
+        return null;
+    }
+
+    /**
+     * Finds a phrase within a line. If the phrase wraps to other lines, finds 
+     * the part of it on this line: the start of the phrase ending the line, 
+     * the end of the phrase starting the line, or the whole line.
+     * @param {Book} bookObj - Book the line belongs to
+     * @param {PageLineText} pageLineTextObj - Line
+     * @param {TermMatcher} termMatcher - Phrase term
+     * @returns {object} - { start, end } character offsets; null if phrase isn't on this line
+     * @static
+     */
+    static #locatePhrase(bookObj, pageLineTextObj, termMatcher) {
+        const text = pageLineTextObj.text;
+        const phrase = termMatcher.normalizedTerm;
+        const { normalizedText, indexArr } = SnippetBuilder.#normalizeWithIndexes(text, termMatcher);
+
+        // Maps [start, end) in the normalized text back to the line text
+        const toSpan = (start, end) => ({ "start": indexArr[start], "end": indexArr[end - 1] + 1 });
+
+        const fullIndex = normalizedText.indexOf(phrase);
+        if (fullIndex !== -1) {
+            return toSpan(fullIndex, fullIndex + phrase.length);
+        }
+        if (normalizedText === "" || phrase.includes(normalizedText)) {
+            return (normalizedText === "" || isNull(bookObj.getPreviousLine(pageLineTextObj)) || 
+                    isNull(bookObj.getNextLine(pageLineTextObj))) ? 
+                    null : toSpan(0, normalizedText.length);
+        }
+
+        // A hyphen-breaked word is joined without the hyphen or a space
+        const nextLine = bookObj.getNextLine(pageLineTextObj);
+        if (!isNull(nextLine)) {
+            const isHyphenBreak = /[^\s—-]-$/.test(text) && /^[^\s—-]/.test(nextLine.text);
+            const lineEnd = isHyphenBreak ? normalizedText.slice(0, -1) : normalizedText;
+            for (let length = Math.min(phrase.length - 1, lineEnd.length); length > 0; length--) {
+                const isJoined = isHyphenBreak || phrase[length] === " ";
+                if (isJoined && lineEnd.endsWith(phrase.slice(0, length))) {
+                    return toSpan(lineEnd.length - length, normalizedText.length);
+                }
+            }
+        }
+
+        const previousLine = bookObj.getPreviousLine(pageLineTextObj);
+        if (!isNull(previousLine)) {
+            const isHyphenBreak = /[^\s—-]-$/.test(previousLine.text) && /^[^\s—-]/.test(text);
+            for (let length = Math.min(phrase.length - 1, normalizedText.length); length > 0; length--) {
+                const isJoined = isHyphenBreak || phrase[phrase.length - length - 1] === " ";
+                if (isJoined && normalizedText.startsWith(phrase.slice(-length))) {
+                    return toSpan(0, length);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalizes text like TermMatcher.normalizeText(), keeping track of 
+     * where each normalized character came from.
+     * @param {string} text - Text to normalize
+     * @param {TermMatcher} termMatcher - Matcher whose options are used
+     * @returns {object} - { normalizedText, indexArr } where indexArr[i] is the 
+     * offset in text of normalizedText[i]
+     * @static
+     */
+    static #normalizeWithIndexes(text, termMatcher) {
+        let normalizedText = "";
+        let indexArr = [];
+        let index = 0;
+
+        // Iterating by code point so surrogate pairs are normalized together
+        for (const char of text) {
+            const normalizedChar = /\s/.test(char) ? " " : termMatcher.normalizeText(char);
+            if (!(normalizedChar === " " && normalizedText.endsWith(" "))) {
+                for (const unit of normalizedChar.split("")) {
+                    normalizedText += unit;
+                    indexArr.push(index);
+                }
+            }
+            index += char.length;
+        }
+        return { "normalizedText": normalizedText, "indexArr": indexArr };
+    }
+
+    /**
+     * Builds a snippet of a match with up to contextWordCount words on 
+     * either side, continuing on the previous or next lines if needed.
+     * @param {Book} bookObj - Book the line belongs to
+     * @param {PageLineText} pageLineTextObj - Line of the match
+     * @param {object} span - { start, end } character offsets of the match
+     * @returns {object} - { Text, MatchStart, MatchEnd } where [MatchStart, MatchEnd) 
+     * are the match's character offsets in Text
+     */
+    #buildSnippet(bookObj, pageLineTextObj, span) {
+        const text = pageLineTextObj.text;
+        const before = text.slice(0, span.start);
+        const after = text.slice(span.end);
+
+        // Partial words touching the match stay attached to it
+        const attachedBefore = before.match(/\S*$/)[0];
+        const attachedAfter = after.match(/^\S*/)[0];
+        let beforeWordArr = SnippetBuilder.#splitWords(
+                before.slice(0, before.length - attachedBefore.length));
+        let afterWordArr = SnippetBuilder.#splitWords(after.slice(attachedAfter.length));
+
+        let previousLine = bookObj.getPreviousLine(pageLineTextObj);
+        while (beforeWordArr.length < this.#contextWordCount && !isNull(previousLine)) {
+            beforeWordArr = SnippetBuilder.#splitWords(previousLine.text).concat(beforeWordArr);
+            previousLine = bookObj.getPreviousLine(previousLine);
+        }
+        let nextLine = bookObj.getNextLine(pageLineTextObj);
+        while (afterWordArr.length < this.#contextWordCount && !isNull(nextLine)) {
+            afterWordArr = afterWordArr.concat(SnippetBuilder.#splitWords(nextLine.text));
+            nextLine = bookObj.getNextLine(nextLine);
+        }
+
+        beforeWordArr = (this.#contextWordCount === 0) ? 
+                [] : beforeWordArr.slice(-this.#contextWordCount);
+        afterWordArr = afterWordArr.slice(0, this.#contextWordCount);
+
+        const prefix = beforeWordArr.join(" ") + (beforeWordArr.length > 0 ? " " : "") + 
+                attachedBefore;
+        const matchEnd = prefix.length + span.end - span.start;
+        return {
+            "Text": prefix + text.slice(span.start, span.end) + attachedAfter + 
+                    (afterWordArr.length > 0 ? " " : "") + afterWordArr.join(" "),
+            "MatchStart": prefix.length,
+            "MatchEnd": matchEnd
+        };
+    }
+
+    /**
+     * Splits text into whitespace-separated words, keeping punctuation.
+     * @param {string} text - Text to split
+     * @returns {object} - Array of words
+     * @static
+     */
+    static #splitWords(text) {
+        return text.split(/\s+/).filter((word) => word !== "");
+    }
+}
+
+/**
+ * ResultCursor class, the position in a sorted result array a page of results 
+ * continues from.
+ * 
+ * The cursor holds the sort key of the last result returned rather than its index, 
+ * so books changed between two pages (e.g. with Book.addPage()) don't make pages 
+ * overlap or skip results. Results sharing a sort key (e.g. a line matched by two 
+ * proximity matches) are told apart by how many of them were already returned.
+ * Cursors are passed around as opaque base64 strings.
+ */
+class ResultCursor {
+    #searchTerm;
+    #key;
+    #skip;
+
+    /**
+     * Constructs a new ResultCursor object.
+     * @param {string} searchTerm - The word or term of the search the cursor belongs to
+     * @param {object} key - Sort key of the last result returned, see ResultCursor.getKey()
+     * @param {number} skip - Number of results sharing the key that were returned
+     */
+    constructor(searchTerm, key, skip) {
+        this.#searchTerm = searchTerm;
+        this.#key = key;
+        this.#skip = skip;
+    }
+
+    /**
+     * Gets the sort key of a search result.
+     * @param {SearchResult} searchResult - Search result
+     * @param {boolean} ranked - True if results are sorted by relevance first
+     * @returns {object} - { "ISBN", "Page", "Line" } object, along with 
+     * "BookScore" and "Score" if ranked. ISBN is in its ISBN-13 form so 
+     * books scanned with an ISBN-10 sort among the others.
+     * @static
+     */
+    static getKey(searchResult, ranked) {
+        let key = { 
+            "ISBN": Book.toISBN13(searchResult.isbn), 
+            "Page": searchResult.page, 
+            "Line": searchResult.line 
+        };
+        if (ranked) {
+            key["BookScore"] = searchResult.details.BookScore;
+            key["Score"] = searchResult.details.Score;
+        }
+        return key;
+    }
+
+    /**
+     * Compares two sort keys. Ranked keys sort by descending book score, then 
+     * descending page score. Ties, and unranked keys, sort by ISBN, then 
+     * numeric page, then numeric line. The order only depends on the keys, 
+     * not on which books are searched or in what order they were scanned.
+     * @param {object} a - Sort key
+     * @param {object} b - Sort key
+     * @returns {number} - Negative if a sorts first, positive if b sorts first, 0 if equal
+     * @static
+     */
+    static compareKeys(a, b) {
+        return ((b.BookScore ?? 0) - (a.BookScore ?? 0)) || ((b.Score ?? 0) - (a.Score ?? 0)) || 
+                ((a.ISBN < b.ISBN) ? -1 : (a.ISBN > b.ISBN) ? 1 : 0) || 
+                (a.Page - b.Page) || (a.Line - b.Line);
+    }
+
+    /**
+     * Parses a cursor string.
+     * @param {string} cursorText - Cursor string, as returned by toString()
+     * @returns {ResultCursor} - Parsed cursor
+     * @static
+     */
+    static parse(cursorText) {
+        let cursorJSON;
+        try {
+            const bytes = Uint8Array.from(atob(cursorText), (char) => char.charCodeAt(0));
+            cursorJSON = JSON.parse(new TextDecoder().decode(bytes));
+        } catch(e) {
+            throw new Error(`Invalid cursor "${cursorText}"`);
+        }
+        const { SearchTerm: searchTerm, Key: key, Skip: skip } = cursorJSON ?? {};
+        if (typeof(searchTerm) !== "string" || isNull(key) || typeof(key.ISBN) !== "string" || 
+                !Number.isInteger(key.Page) || !Number.isInteger(key.Line) || 
+                !Number.isInteger(skip) || skip <= 0) {
+            throw new Error(`Invalid cursor "${cursorText}"`);
+        }
+        return new ResultCursor(searchTerm, key, skip);
+    }
+
+    /**
+     * Gets a page of sorted results.
+     * @param {object} resultArr - Array of SearchResult objects sorted by compareKeys()
+     * @param {string} searchTerm - The word or term searched for
+     * @param {boolean} ranked - True if results are sorted by relevance first
+     * @param {ResultCursor} cursor - Position the page starts after; null for the first page
+     * @param {number} limit - Maximum number of results in the page; null for no limit
+     * @returns {object} - { results, nextCursor } where nextCursor is the ResultCursor 
+     * the next page starts after, null if this is the last page
+     * @static
+     */
+    static paginate(resultArr, searchTerm, ranked, cursor, limit) {
+        let start = 0;
+        if (!isNull(cursor)) {
+            if (cursor.#searchTerm !== searchTerm || ("Score" in cursor.#key) !== ranked) {
+                throw new Error("cursor option must be a cursor returned by the same search");
+            }
+            while (start < resultArr.length && ResultCursor.compareKeys(
+                    ResultCursor.getKey(resultArr[start], ranked), cursor.#key) < 0) {
+                start++;
+            }
+            for (let skipped = 0; skipped < cursor.#skip && start < resultArr.length && 
+                    ResultCursor.compareKeys(ResultCursor.getKey(resultArr[start], ranked), 
+                        cursor.#key) === 0; skipped++) {
+                start++;
+            }
+        }
+
+        const end = isNull(limit) ? resultArr.length : Math.min(start + limit, resultArr.length);
+        let nextCursor = null;
+        if (end < resultArr.length && end > start) {
+            const key = ResultCursor.getKey(resultArr[end - 1], ranked);
+            let skip = 0;
+            while (end - 1 - skip >= 0 && ResultCursor.compareKeys(
+                    ResultCursor.getKey(resultArr[end - 1 - skip], ranked), key) === 0) {
+                skip++;
+            }
+            nextCursor = new ResultCursor(searchTerm, key, skip);
+        }
+        return { "results": resultArr.slice(start, end), "nextCursor": nextCursor };
+    }
+
+    /**
+     * Converts ResultCursor object to its opaque string form.
+     * @returns {string} - Base64 cursor string
+     */
+    toString() {
+        const bytes = new TextEncoder().encode(JSON.stringify(
+                { "SearchTerm": this.#searchTerm, "Key": this.#key, "Skip": this.#skip }));
+        return btoa(String.fromCharCode(...bytes));
+    }
+}
+
+/**
+ * Escapes text so it can be safely inserted into HTML.
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/**
+ * Gets the terms whose matches make a line a search result, 
+ * i.e. the non-negated terms of a boolean query.
+ * @param {string} searchTerm - The word or term searched for
+ * @param {QueryNode} queryNode - Parsed boolean query; null for plain searches
+ * @param {SearchOptions} options - Search options
+ * @returns {object} - Array of TermMatcher objects
+ */
+function getPositiveTermMatchers(searchTerm, queryNode, options) {
+    if (isNull(queryNode)) {
+        return [new TermMatcher(searchTerm, options)];
+    }
+    return queryNode.getPositiveTerms().map((termQueryNode) => termQueryNode.termMatcher);
+}
+
+/**
+ * Applies the optional result processing of a search: ranking, pagination and snippets.
+ * Snippets are only built for the returned page of results.
+ * @param {object} resultArr - Array of SearchResult objects in reading order
+ * @param {object} bookArr - Array of searched Book objects
+ * @param {string} searchTerm - The word or term searched for
+ * @param {QueryNode} queryNode - Parsed boolean query; null for plain searches
+ * @param {SearchOptions} options - Search options
+ * @returns {object} - { results, totalCount, nextCursor } where results is the array of 
+ * processed SearchResult objects, totalCount the number of results across every page 
+ * and nextCursor the cursor string of the next page, null if there is none
+ */
+function processResults(resultArr, bookArr, searchTerm, queryNode, options) {
+    let processedResultArr = resultArr;
+    // Pages continue from the sort key of their cursor, so paginated results are sorted 
+    // by ISBN, page and line rather than the order books were scanned in, which can 
+    // change between two pages. Array.prototype.sort is stable, so results of the 
+    // same line keep their order.
+    if (!isNull(options.limit) || !isNull(options.cursor)) {
+        processedResultArr = [...resultArr].sort((a, b) => ResultCursor.compareKeys(
+                ResultCursor.getKey(a, false), ResultCursor.getKey(b, false)));
+    }
+
+    const termMatcherArr = (options.ranked || !isNull(options.snippetWords)) ? 
+            getPositiveTermMatchers(searchTerm, queryNode, options) : null;
+    if (options.ranked) {
+        processedResultArr = new RelevanceRanker(bookArr, termMatcherArr).rank(processedResultArr);
+    }
+
+    const totalCount = processedResultArr.length;
+    const { results, nextCursor } = ResultCursor.paginate(processedResultArr, searchTerm, 
+            options.ranked, options.cursor, options.limit);
+    processedResultArr = results;
+
+    if (!isNull(options.snippetWords)) {
+        processedResultArr = new SnippetBuilder(bookArr, termMatcherArr, options.snippetWords)
+                .addSnippets(processedResultArr);
+    }
+    return {
+        "results": processedResultArr,
+        "totalCount": totalCount,
+        "nextCursor": nextCursor?.toString() ?? null
+    };
+}
+
+/**
+ * Validates a search term, throwing an error if it cannot be searched.
+ * @param {string} searchTerm - The word or term we're searching for
+ */
+function validateSearchTerm(searchTerm) {
+    if (isNull(searchTerm) || typeof(searchTerm) !== "string") {
+        throw new Error("searchTerm must be a \"string\" type and not a null value");
+    }
+
+    if (searchTerm === "") {
+        throw new Error("searchTerm must be a non-empty string");
+    }
+
+    if (!isNull(searchTerm.match(/[\u0000-\u001F\u007F-\u009F]/g))) {
+        throw new Error("searchTerm cannot have control characters");
+    }
+}
+
+/**
+ * Validates the scanned text JSON, throwing an error if it is not an object.
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text
+ */
+function validateScannedTextObj(scannedTextObj) {
+    if (isNull(scannedTextObj) || typeof(scannedTextObj) !== "object") {
+        throw new Error("scannedTextObj must be an \"object\" type and not a null value");
+    }
+}
+
+/**
+ * Builds the books of scanned text, merging every entry sharing an ISBN into a single 
+ * Book so that books scanned in several batches are searched as a whole.
+ * ISBN-10 and ISBN-13 forms of the same ISBN are considered the same book.
+ * A merged book keeps the title and ISBN of its first entry and is ordered by it. 
+ * Page layouts ("LinesPerPage", "Pages" and "LastLine" markers, see Book) of 
+ * every entry are applied to the merged book.
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Ingestion options: conflictPolicy, how lines 
+ * sharing an ISBN, page and line are resolved; tokenizer of the books; and lenient, 
+ * whether invalid entries are skipped instead of throwing an error
+ * @returns {object} - { books, conflicts, problems } where books is an array of Book 
+ * objects, conflicts is an array of { "ISBN", "Type": "Title", "Title", "ConflictingTitle" } 
+ * and { "ISBN", "Type": "Line", "Page", "Line", "KeptText", "DiscardedText" } objects and 
+ * problems is an array of { "Path", "Severity", "Message" } objects, see validateScannedText()
+ */
+function ingestScannedText(scannedTextObj, options) {
+    validateScannedTextObj(scannedTextObj);
+    const ingestOptions = SearchOptions.from(options);
+    const tokenizer = ingestOptions.tokenizer ?? Tokenizer.default;
+
+    // ISBN-13 -> merged Book object, in order of first appearance
+    let bookMap = new Map();
+    let conflictArr = [];
+    let problemArr = [];
+
+    // Errors are thrown unless lenient, in which case the entry at fault is skipped
+    function report(path, severity, message) {
+        if (severity === "error" && !ingestOptions.lenient) {
+            throw new Error(`Invalid scanned text at ${path === "" ? "root" : path}; ${message}`);
+        }
+        problemArr.push({ "Path": path, "Severity": severity, "Message": message });
+    }
+
+    if (!Array.isArray(scannedTextObj)) {
+        report("", "error", "scanned text must be an array of books");
+        return { "books": [], "conflicts": conflictArr, "problems": problemArr };
+    }
+
+    scannedTextObj.forEach((bookJSON, bookIndex) => {
+        const bookPath = `[${bookIndex}]`;
+        if (isNull(bookJSON) || typeof(bookJSON) !== "object" || Array.isArray(bookJSON)) {
+            report(bookPath, "error", "book must be an object");
+            return;
+        }
+        if (typeof(bookJSON["Title"]) !== "string" || bookJSON["Title"] === "") {
+            report(`${bookPath}.Title`, "error", "Title must be a non-empty string");
+            return;
+        }
+        if (typeof(bookJSON["ISBN"]) !== "string") {
+            report(`${bookPath}.ISBN`, "error", "ISBN must be a string");
+            return;
+        }
+        const isbnError = Book.getISBNError(bookJSON["ISBN"]);
+        if (!isNull(isbnError)) {
+            report(`${bookPath}.ISBN`, "error", `Invalid ISBN value "${bookJSON["ISBN"]}"; ${isbnError}`);
+            return;
+        }
+        if (!Array.isArray(bookJSON["Content"])) {
+            report(`${bookPath}.Content`, "error", "Content must be an array");
+            return;
+        }
+
+        const batchBook = new Book(
+                bookJSON["Title"], bookJSON["ISBN"], [], ingestOptions.conflictPolicy, {}, tokenizer);
+        const isbnKey = Book.toISBN13(batchBook.isbn);
+        if (!bookMap.has(isbnKey)) {
+            bookMap.set(isbnKey, batchBook);
+        }
+        const bookObj = bookMap.get(isbnKey);
+
+        if (bookObj.title !== batchBook.title) {
+            conflictArr.push({
+                "ISBN": bookObj.isbn,
+                "Type": "Title",
+                "Title": bookObj.title,
+                "ConflictingTitle": batchBook.title
+            });
+        }
+
+        ingestLayout(bookObj, bookJSON, bookPath, report);
+
+        if (bookJSON["Content"].length === 0) {
+            report(`${bookPath}.Content`, "warning", "Content has no lines");
+        }
+        bookJSON["Content"].forEach((contentJSON, contentIndex) => {
+            const contentPath = `${bookPath}.Content[${contentIndex}]`;
+            const lineConflict = ingestLine(bookObj, contentJSON, contentPath, report);
+            if (!isNull(lineConflict)) {
+                conflictArr.push(lineConflict);
+            }
+        });
+    });
+
+    return { "books": [...bookMap.values()], "conflicts": conflictArr, "problems": problemArr };
+}
+
+/**
+ * Applies the page layout of a scanned book entry, see ingestScannedText().
+ * @param {Book} bookObj - Book the entry is merged into
+ * @param {JSON} bookJSON - Scanned book entry
+ * @param {string} bookPath - JSON path of the entry, e.g. "[2]"
+ * @param {function} report - Reports a problem given its path, severity and message
+ */
+function ingestLayout(bookObj, bookJSON, bookPath, report) {
+    if (!isNull(bookJSON["LinesPerPage"])) {
+        try {
+            bookObj.setLayout({ "LinesPerPage": bookJSON["LinesPerPage"] });
+        } catch (e) {
+            report(`${bookPath}.LinesPerPage`, "error", e.message);
+        }
+    }
+
+    if (isNull(bookJSON["Pages"])) {
+        return;
+    }
+    if (!Array.isArray(bookJSON["Pages"])) {
+        report(`${bookPath}.Pages`, "error", "Pages layout must be an array");
+        return;
+    }
+    bookJSON["Pages"].forEach((pageLayoutJSON, pageIndex) => {
+        try {
+            if (isNull(pageLayoutJSON) || typeof(pageLayoutJSON) !== "object") {
+                throw new Error("page layout must be an object");
+            }
+            bookObj.setLayout({ "Pages": [pageLayoutJSON] });
+        } catch (e) {
+            report(`${bookPath}.Pages[${pageIndex}]`, "error", e.message);
+        }
+    });
+}
+
+/**
+ * Adds a scanned line entry to a book, see ingestScannedText().
+ * @param {Book} bookObj - Book the entry is merged into
+ * @param {JSON} contentJSON - Scanned line entry
+ * @param {string} contentPath - JSON path of the entry, e.g. "[2].Content[57]"
+ * @param {function} report - Reports a problem given its path, severity and message
+ * @returns {object} - Line conflict, see ingestScannedText(); null if the line 
+ * didn't conflict or was skipped
+ */
+function ingestLine(bookObj, contentJSON, contentPath, report) {
+    if (isNull(contentJSON) || typeof(contentJSON) !== "object" || Array.isArray(contentJSON)) {
+        report(contentPath, "error", "Content entry must be an object");
+        return null;
+    }
+    for (const field of ["Page", "Line"]) {
+        const value = contentJSON[field];
+        if (typeof(value) !== "number" || !Number.isInteger(value) || value < 1) {
+            report(`${contentPath}.${field}`, "error", `${field} must be a positive integer`);
+            return null;
+        }
+    }
+    if (typeof(contentJSON["Text"]) !== "string") {
+        report(`${contentPath}.Text`, "error", "Text must be a string");
+        return null;
+    }
+
+    const existingLine = bookObj.getLine(contentJSON["Page"], contentJSON["Line"]);
+    let isStored;
+    try {
+        isStored = bookObj.addLine(contentJSON["Page"], contentJSON["Line"], contentJSON["Text"]);
+    } catch (e) {
+        report(contentPath, "error", e.message);
+        return null;
+    }
+
+    if (!isNull(contentJSON["LastLine"])) {
+        if (typeof(contentJSON["LastLine"]) !== "boolean") {
+            report(`${contentPath}.LastLine`, "warning", "LastLine must be a boolean; ignored");
+        } else if (contentJSON["LastLine"]) {
+            try {
+                bookObj.setLastLine(contentJSON["Page"], contentJSON["Line"]);
+            } catch (e) {
+                report(`${contentPath}.LastLine`, "error", e.message);
+            }
+        }
+    }
+
+    if (isNull(existingLine)) {
+        return null;
+    }
+    // Comparing the trimmed texts, like the stored lines
+    const newText = contentJSON["Text"].trim();
+    return {
+        "ISBN": bookObj.isbn,
+        "Type": "Line",
+        "Page": existingLine.page,
+        "Line": existingLine.line,
+        "KeptText": isStored ? newText : existingLine.text,
+        "DiscardedText": isStored ? existingLine.text : newText
+    };
+}
+
+/**
+ * Validates the whole scanned text instead of stopping at the first problem.
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Options the scanned text would be 
+ * ingested with, e.g. with { conflictPolicy: "keep-last" } duplicate lines are 
+ * not a problem
+ * @returns {object} - Array of { "Path", "Severity", "Message" } objects, where Path is 
+ * the JSON path of the problem (e.g. "[2].Content[57].Line", "" for the whole input) and 
+ * Severity is "error" for entries that are skipped by a lenient search or "warning" 
+ * for entries that can be searched but are likely a mistake
+ */
+function validateScannedText(scannedTextObj, options) {
+    if (isNull(scannedTextObj) || typeof(scannedTextObj) !== "object") {
+        return [{ "Path": "", "Severity": "error", "Message": "scanned text must be an array of books" }];
+    }
+    const searchOptions = SearchOptions.from(options);
+    return ingestScannedText(scannedTextObj, {
+        "conflictPolicy": searchOptions.conflictPolicy,
+        "tokenizer": searchOptions.tokenizer,
+        "lenient": true
+    }).problems;
+}
+
+/**
+ * Searches for matches in scanned text.
+ * @param {string} searchTerm - The word or term we're searching for. 
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Search options, e.g. 
+ * { caseSensitive: false, accentSensitive: false, match: "prefix" }.
+ * With { syntax: "boolean" } the search term is parsed as a query 
+ * like "\"dark ness\" OR (profound AND NOT Canadian)".
+ * @returns {JSON} - Search results. Boolean queries also echo the parsed 
+ * query under "Query". Active ISBN, title, page and line filters are echoed 
+ * under "Filters". Results are in reading order unless ranked: books in the order 
+ * they were scanned, then page, then line, same as iterateSearchResults(). 
+ * Paginated searches (see the limit and cursor options) are instead sorted by ISBN, 
+ * then numeric page, then numeric line, so that pages neither overlap nor skip results 
+ * when the books are reordered or added to between them. They also return the number 
+ * of results across every page under "TotalCount" and the cursor of the next 
+ * page under "NextCursor", null on the last page. Conflicts resolved while 
+ * merging entries sharing an ISBN are listed under "Conflicts". Lenient searches list skipped 
+ * invalid entries under "Problems".
+ */
+ function findSearchTermInBooks(searchTerm, scannedTextObj, options) {
+    validateSearchTerm(searchTerm);
+    validateScannedTextObj(scannedTextObj);
+    const searchOptions = SearchOptions.from(options);
+
+    // Parse once up front so a malformed query fails before any book is built
+    let queryNode = null;
+    if (searchOptions.syntax === "boolean") {
+        queryNode = QueryParser.parse(searchTerm, searchOptions);
+    }
+
+    let overallResultArr = [];
+    const { books: bookArr, conflicts: conflictArr, problems: problemArr } = 
+            ingestScannedText(scannedTextObj, searchOptions);
+
+    // Iterating over each distinct book scanned to find the search term in scanned lines
+    for (const bookObj of bookArr) {
+        let resultArr = isNull(queryNode) ? 
+                bookObj.searchForTerm(searchTerm, searchOptions) : 
+                bookObj.searchForQuery(queryNode, searchOptions);
+        overallResultArr = overallResultArr.concat(resultArr);
+    }
+
+    const resultPage = processResults(
+            overallResultArr, bookArr, searchTerm, queryNode, searchOptions);
+
+    return buildResultJSON(searchTerm, queryNode, resultPage, searchOptions, 
+            conflictArr, searchOptions.lenient ? problemArr : null);
+}
+
+/**
+ * Searches for matches of several terms in scanned text at once.
+ * The scanned text is ingested and every line tokenized a single time into a BookIndex, 
+ * then each term is looked up in it: words and hyphen-breaked words by their index 
+ * entries, phrases over the already built books.
+ * @param {object} searchTerms - Array of words or terms we're searching for
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Search options applied to every term, 
+ * same as findSearchTermInBooks() except cursor, which belongs to a single term
+ * @returns {object} - Array of search results, one per search term in the same order, 
+ * each the same as findSearchTermInBooks() would return for that term
+ */
+function findSearchTermsInBooks(searchTerms, scannedTextObj, options) {
+    validateSearchTerms(searchTerms);
+    validateScannedTextObj(scannedTextObj);
+    const searchOptions = SearchOptions.from(options);
+    return new BookIndex(scannedTextObj, searchOptions).searchAll(searchTerms, searchOptions);
+}
+
+/**
+ * Validates an array of search terms, throwing an error if any cannot be searched.
+ * @param {object} searchTerms - Array of words or terms we're searching for
+ */
+function validateSearchTerms(searchTerms) {
+    if (!Array.isArray(searchTerms)) {
+        throw new Error("searchTerms must be an array of \"string\" types");
+    }
+    searchTerms.forEach((searchTerm, index) => {
+        try {
+            validateSearchTerm(searchTerm);
+        } catch(e) {
+            throw new Error(`Invalid search term at index ${index}; ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Lazily searches for matches in scanned text, yielding each result as soon as 
+ * the book it is in finds it instead of building every result up front. 
+ * Results are in the reading order of each book, books in the order they were 
+ * scanned, and aren't sorted, ranked or paginated with a cursor since that 
+ * needs every result. The scanned text is still ingested as a whole, since 
+ * entries sharing an ISBN can be anywhere in it.
+ * Like any generator, nothing is validated or searched until the first 
+ * result is requested.
+ * @param {string} searchTerm - The word or term we're searching for
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Search options, same as findSearchTermInBooks() 
+ * except ranked and cursor, which are not supported; limit stops the search after 
+ * that many results, visiting books by ISBN to yield the same results as findSearchTermInBooks()
+ * @yields {SearchResult} - Each successful match
+ */
+function* iterateSearchResults(searchTerm, scannedTextObj, options) {
+    for (const { results } of iterateResultBatches(searchTerm, scannedTextObj, options)) {
+        yield* results;
+    }
+}
+
+// Milliseconds iterateSearchResultsAsync() searches before letting other tasks run
+const ASYNC_SEARCH_TIME_SLICE = 10;
+
+/**
+ * Lazily searches for matches in scanned text, same as iterateSearchResults(), 
+ * as an async iterator that can be cancelled. Long stretches of lines without 
+ * a match are searched in slices of ASYNC_SEARCH_TIME_SLICE milliseconds, so 
+ * the page stays responsive and an abort is noticed between lines.
+ * @param {string} searchTerm - The word or term we're searching for
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+ * Will not be modified.
+ * @param {SearchOptions|object} [options] - Search options, same as iterateSearchResults()
+ * @param {AbortSignal} [signal] - Signal cancelling the search; the iterator 
+ * then rejects with the signal's reason
+ * @yields {SearchResult} - Each successful match
+ */
+async function* iterateSearchResultsAsync(searchTerm, scannedTextObj, options, signal) {
+    if (!isNull(signal) && !(signal instanceof AbortSignal)) {
+        throw new Error("signal must be an AbortSignal object");
+    }
+    signal?.throwIfAborted();
+
+    let sliceStartTime = Date.now();
+    for (const { results } of iterateResultBatches(searchTerm, scannedTextObj, options)) {
+        if (Date.now() - sliceStartTime >= ASYNC_SEARCH_TIME_SLICE) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            sliceStartTime = Date.now();
+        }
+        signal?.throwIfAborted();
+
+        for (const searchResult of results) {
+            yield searchResult;
+            signal?.throwIfAborted();
+        }
+    }
+}
+
+/**
+ * Lazily searches for matches in scanned text one line, page or run of 
+ * lines at a time, see iterateBookResultBatches().
+ * @param {string} searchTerm - The word or term we're searching for
+ * @param {JSON} scannedTextObj - A JSON object representing the scanned text
+ * @param {SearchOptions|object} [options] - Search options, same as iterateSearchResults()
+ * @yields {object} - { book, page, results } batch, see iterateBookResultBatches()
+ */
+function* iterateResultBatches(searchTerm, scannedTextObj, options) {
+    validateSearchTerm(searchTerm);
+    validateScannedTextObj(scannedTextObj);
+    const searchOptions = SearchOptions.from(options);
+    yield* iterateBookResultBatches(
+            searchTerm, ingestScannedText(scannedTextObj, searchOptions).books, searchOptions);
+}
+
+/**
+ * Lazily searches for matches in already ingested books one line, page or run 
+ * of lines at a time, see Book.iterateTermBatches() and Book.iterateQueryBatches().
+ * @param {string} searchTerm - The word or term we're searching for
+ * @param {object} bookArr - Array of Book objects to search, in order
+ * @param {SearchOptions|object} [options] - Search options, same as iterateSearchResults()
+ * @yields {object} - { book, page, results } batch of what was searched, where book and 
+ * page are the Book object and last page searched and results the array of successful 
+ * matches, possibly empty
+ */
+function* iterateBookResultBatches(searchTerm, bookArr, options) {
+    validateSearchTerm(searchTerm);
+    const searchOptions = SearchOptions.from(options);
+    if (searchOptions.ranked || !isNull(searchOptions.cursor)) {
+        throw new Error("ranked and cursor options need every result and cannot be used " + 
+                "when iterating over results");
+    }
+
+    let queryNode = null;
+    if (searchOptions.syntax === "boolean") {
+        queryNode = QueryParser.parse(searchTerm, searchOptions);
+    }
+    const snippetBuilder = isNull(searchOptions.snippetWords) ? null : new SnippetBuilder(bookArr, 
+            getPositiveTermMatchers(searchTerm, queryNode, searchOptions), searchOptions.snippetWords);
+    let remainingCount = searchOptions.limit ?? Infinity;
+    // Limited searches return the first results by ISBN, page and line, like paginated ones
+    const searchedBookArr = isNull(searchOptions.limit) ? bookArr : [...bookArr].sort((a, b) => 
+            (Book.toISBN13(a.isbn) < Book.toISBN13(b.isbn)) ? -1 : 
+                (Book.toISBN13(a.isbn) > Book.toISBN13(b.isbn)) ? 1 : 0);
+
+    for (const bookObj of searchedBookArr) {
+        const batchIterator = isNull(queryNode) ? 
+                bookObj.iterateTermBatches(searchTerm, searchOptions) : 
+                bookObj.iterateQueryBatches(queryNode, searchOptions);
+        for (const { page, results } of batchIterator) {
+            const limitedResultArr = results.slice(0, remainingCount);
+            remainingCount -= limitedResultArr.length;
+            yield {
+                "book": bookObj,
+                "page": page,
+                "results": isNull(snippetBuilder) ? 
+                        limitedResultArr : snippetBuilder.addSnippets(limitedResultArr)
+            };
+            if (remainingCount === 0) {
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Builds the search result JSON.
+ * @param {string} searchTerm - The word or term searched for
+ * @param {QueryNode} queryNode - Parsed boolean query; null for plain searches
+ * @param {object} resultPage - Page of results from processResults()
+ * @param {SearchOptions} searchOptions - Search options, active filters are echoed
+ * @param {object} [conflictArr] - Conflicts from ingestScannedText(), left out if empty
+ * @param {object} [problemArr] - Problems from ingestScannedText(), left out if null
+ * @returns {JSON} - Search results
+ */
+function buildResultJSON(searchTerm, queryNode, resultPage, searchOptions, 
+        conflictArr = [], problemArr = null) {
+    let resultJSON = {
+        "SearchTerm": searchTerm
+    };
+    if (!isNull(queryNode)) {
+        resultJSON["Query"] = queryNode.toJSON();
+    }
+    const filtersJSON = searchOptions.getFiltersJSON();
+    if (!isNull(filtersJSON)) {
+        resultJSON["Filters"] = filtersJSON;
+    }
+    resultJSON["Results"] = resultPage.results;
+    if (!isNull(searchOptions.limit) || !isNull(searchOptions.cursor)) {
+        resultJSON["TotalCount"] = resultPage.totalCount;
+        resultJSON["NextCursor"] = resultPage.nextCursor;
+    }
+    if (conflictArr.length > 0) {
+        resultJSON["Conflicts"] = conflictArr;
+    }
+    if (!isNull(problemArr)) {
+        resultJSON["Problems"] = problemArr;
+    }
+
+    return resultJSON;
+}
+
+/**
+ * BookIndex class, an inverted index over one or more scanned books.
+ * 
+ * Ingests the scanned text JSON once and maps every word to the lines 
+ * it appears on, so repeated searches against the same books don't have 
+ * to rebuild every Book and re-tokenize every line.
+ * Results have the same shape and order as findSearchTermInBooks().
+ * Books changed after ingestion (e.g. with Book.addPage()) are re-indexed 
+ * before the next search.
+ */
+class BookIndex {
+    // Book objects in the order they were ingested
+    #bookArr = [];
+
+    // Book.version of each book when it was last indexed, in the same order as #bookArr
+    #indexedVersionArr = [];
+
+    // Conflicts resolved while merging entries sharing an ISBN, from ingestScannedText()
+    #conflictArr;
+
+    // Tokenizer the books are indexed with
+    #tokenizer;
+
+    // Invalid entries skipped by a lenient ingestion; null if ingestion wasn't lenient
+    #problemArr;
+
+    /**
+     * Every indexed line, the position in this array is the line's ordinal.
+     * Ordinals follow book ingestion order, then page and line order, 
+     * so sorting postings by ordinal gives the same result order as 
+     * searching the books one after another.
+     */
+    #lineRefArr = [];
+
+    // Word -> ascending array of ordinals of lines containing that word
+    #postings = new Map();
+
+    // Hyphen-breaked word -> ascending array of ordinals of lines the word starts on
+    #lineBreakedPostings = new Map();
+
+    /**
+     * Constructs a new BookIndex object.
+     * @param {JSON} scannedTextObj - A JSON object representing the scanned text. 
+     * Will not be modified. Entries sharing an ISBN are merged into one book.
+     * @param {SearchOptions|object} [options] - Ingestion options, see ingestScannedText(). 
+     * The tokenizer is also used by every search of the index.
+     */
+    constructor(scannedTextObj, options) {
+        const ingestOptions = SearchOptions.from(options);
+        const { books, conflicts, problems } = ingestScannedText(scannedTextObj, ingestOptions);
+        this.#tokenizer = ingestOptions.tokenizer ?? Tokenizer.default;
+        this.#bookArr = books;
+        this.#conflictArr = conflicts;
+        this.#problemArr = ingestOptions.lenient ? problems : null;
+        this.#rebuild();
+    }
+
+    /**
+     * Re-indexes every book if any of them changed since they were indexed.
+     * Ordinals depend on the lines of every preceding book, so the 
+     * whole index is rebuilt rather than only the changed books.
+     */
+    #refresh() {
+        const isStale = this.#bookArr.some(
+                (bookObj, index) => bookObj.version !== this.#indexedVersionArr[index]);
+        if (isStale) {
+            this.#rebuild();
+        }
+    }
+
+    /**
+     * Builds the index from scratch.
+     */
+    #rebuild() {
+        this.#lineRefArr = [];
+        this.#postings = new Map();
+        this.#lineBreakedPostings = new Map();
+        this.#indexedVersionArr = this.#bookArr.map((bookObj) => bookObj.version);
+
+        for (const bookObj of this.#bookArr) {
+            this.#indexBook(bookObj);
+        }
+    }
+
+    /**
+     * Adds every line of a book to the index.
+     * @param {Book} bookObj - Book to be indexed
+     */
+    #indexBook(bookObj) {
+        for (const pageLineTextObj of bookObj.getOrderedLines()) {
+            const ordinal = this.#lineRefArr.length;
+            this.#lineRefArr.push({ "book": bookObj, "pageLineText": pageLineTextObj });
+
+            // A word repeated within the same line only needs one posting
+            for (const word of new Set(bookObj.getWords(pageLineTextObj.text))) {
+                BookIndex.#addPosting(this.#postings, word, ordinal);
+            }
+
+            for (const lineBreakedWord of bookObj.getLineBreakedWords(pageLineTextObj)) {
+                BookIndex.#addPosting(this.#lineBreakedPostings, lineBreakedWord, ordinal);
+            }
+        }
+    }
+
+    /**
+     * Appends a line ordinal to a term's posting list.
+     * @param {Map} postings - Posting lists keyed by term
+     * @param {string} term - Indexed term
+     * @param {number} ordinal - Line ordinal
+     * @static
+     */
+    static #addPosting(postings, term, ordinal) {
+        if (!postings.has(term)) {
+            postings.set(term, []);
+        }
+        postings.get(term).push(ordinal);
+    }
+
+    /**
+     * Getter for books attribute.
+     * @returns {object} - Array of indexed Book objects
+     */
+    get books() {
+        return this.#bookArr;
+    }
+
+    /**
+     * Getter for conflicts attribute.
+     * @returns {object} - Conflicts resolved while merging entries sharing an ISBN, 
+     * same as "Conflicts" of findSearchTermInBooks()
+     */
+    get conflicts() {
+        return this.#conflictArr;
+    }
+
+    /**
+     * Getter for problems attribute.
+     * @returns {object} - Invalid entries skipped while ingesting, same as "Problems" 
+     * of findSearchTermInBooks(); null if ingestion wasn't lenient
+     */
+    get problems() {
+        return this.#problemArr;
+    }
+
+    /**
+     * Finds the posting lists of every indexed term matching the search term.
+     * With the default options this is a single lookup; otherwise every distinct 
+     * indexed term is checked, which is still far fewer checks than every word 
+     * of every line.
+     * @param {Map} postings - Posting lists keyed by term
+     * @param {TermMatcher} termMatcher - Matcher for the search term and options
+     * @returns {Map} - Line ordinal -> array of matches returned by TermMatcher.matchWord()
+     * @static
+     */
+    static #lookUp(postings, termMatcher) {
+        let ordinalMatchMap = new Map();
+        const termArr = termMatcher.isExact ? [termMatcher.normalizedTerm] : postings.keys();
+
+        for (const term of termArr) {
+            const wordMatch = termMatcher.matchWord(term);
+            if (isNull(wordMatch)) {
+                continue;
+            }
+            for (const ordinal of postings.get(term) ?? []) {
+                if (!ordinalMatchMap.has(ordinal)) {
+                    ordinalMatchMap.set(ordinal, []);
+                }
+                ordinalMatchMap.get(ordinal).push(wordMatch);
+            }
+        }
+        return ordinalMatchMap;
+    }
+
+    /**
+     * Orders the matches of a line the way they appear in it, as Book.searchForTerm() 
+     * reports them, rather than the order of the index entries they were found in.
+     * @param {Book} bookObj - Book of the line
+     * @param {PageLineText} pageLineTextObj - Matched line
+     * @param {object} wordMatchArr - Array of matches returned by TermMatcher.matchWord()
+     * @returns {object} - Array of the matches in line order
+     * @static
+     */
+    static #toLineOrder(bookObj, pageLineTextObj, wordMatchArr) {
+        // A single match needs no ordering, which saves re-tokenizing the line
+        if (wordMatchArr.length < 2) {
+            return wordMatchArr;
+        }
+        const wordArr = bookObj.getWords(pageLineTextObj.text);
+        return [...wordMatchArr].sort(
+                (a, b) => wordArr.indexOf(a.word) - wordArr.indexOf(b.word));
+    }
+
+    /**
+     * Keeps the match of the first form of a hyphen-breaked word that Book.getLineBreakedWords() 
+     * lists, the only one Book.searchForTerm() reports when both forms match.
+     * @param {Book} bookObj - Book of the line
+     * @param {PageLineText} pageLineTextObj - Line the hyphen-breaked word starts on
+     * @param {object} wordMatchArr - Array of matches returned by TermMatcher.matchWord()
+     * @returns {object} - Array of the single match kept
+     * @static
+     */
+    static #getFirstForm(bookObj, pageLineTextObj, wordMatchArr) {
+        if (wordMatchArr.length < 2) {
+            return wordMatchArr;
+        }
+        const formArr = bookObj.getLineBreakedWords(pageLineTextObj);
+        return [wordMatchArr.reduce((first, wordMatch) => 
+                (formArr.indexOf(wordMatch.word) < formArr.indexOf(first.word)) ? wordMatch : first)];
+    }
+
+    /**
+     * Searches for matches in the indexed books.
+     * @param {string} searchTerm - The word or term we're searching for
+     * @param {SearchOptions|object} [options] - Search options, same as findSearchTermInBooks()
+     * @returns {JSON} - Search results, same shape as findSearchTermInBooks()
+     */
+    search(searchTerm, options) {
+        validateSearchTerm(searchTerm);
+        let searchOptions = SearchOptions.from(options);
+        // Words are indexed by the index's tokenizer, so the search term is normalized by it too
+        if (isNull(searchOptions.tokenizer)) {
+            searchOptions = searchOptions.with({ "tokenizer": this.#tokenizer });
+        } else if (searchOptions.tokenizer !== this.#tokenizer) {
+            throw new Error("tokenizer option must be the tokenizer the index was built with");
+        }
+        const termMatcher = new TermMatcher(searchTerm, searchOptions);
+        this.#refresh();
+
+        let overallResultArr = [];
+        let queryNode = null;
+
+        // Boolean queries are evaluated per line or page rather than per word
+        if (searchOptions.syntax === "boolean") {
+            queryNode = QueryParser.parse(searchTerm, searchOptions);
+            for (const bookObj of this.#bookArr) {
+                overallResultArr = overallResultArr.concat(
+                        bookObj.searchForQuery(queryNode, searchOptions));
+            }
+        } else if (termMatcher.isPhrase) {
+            // Phrases can start or end in the middle of a word, so they can't be 
+            // looked up by whole words. Fall back to scanning the already built books.
+            for (const bookObj of this.#bookArr) {
+                overallResultArr = overallResultArr.concat(
+                        bookObj.searchForTerm(searchTerm, termMatcher.options));
+            }
+        } else {
+            const directMatchMap = BookIndex.#lookUp(this.#postings, termMatcher);
+            const lineBreakedMatchMap = BookIndex.#lookUp(this.#lineBreakedPostings, termMatcher);
+            const ordinalArr = [...new Set([...directMatchMap.keys(), ...lineBreakedMatchMap.keys()])]
+                    .sort((a, b) => a - b);
+
+            for (const ordinal of ordinalArr) {
+                const { book, pageLineText } = this.#lineRefArr[ordinal];
+                if (!searchOptions.matchesBook(book) || !searchOptions.matchesLine(pageLineText)) {
+                    continue;
+                }
+                // Same as Book.searchForTerm(), a direct match on a line takes 
+                // precedence over a hyphen-breaked match starting on it
+                const isDirect = directMatchMap.has(ordinal);
+                const details = termMatcher.getMatchDetails(isDirect ? 
+                        BookIndex.#toLineOrder(book, pageLineText, directMatchMap.get(ordinal)) : 
+                        BookIndex.#getFirstForm(book, pageLineText, lineBreakedMatchMap.get(ordinal)));
+
+                overallResultArr.push(new SearchResult(
+                        pageLineText.page, pageLineText.line, book.isbn, details));
+                const subsequentLine = isDirect ? 
+                        null : book.getLineBreakContinuation(pageLineText);
+                if (!isNull(subsequentLine) && searchOptions.matchesLine(subsequentLine)) {
+                    overallResultArr.push(new SearchResult(
+                            subsequentLine.page, subsequentLine.line, book.isbn, details));
+                }
+            }
+        }
+
+        const resultPage = processResults(
+                overallResultArr, this.#bookArr, searchTerm, queryNode, searchOptions);
+
+        return buildResultJSON(searchTerm, queryNode, resultPage, searchOptions, 
+                this.#conflictArr, this.#problemArr);
+    }
+
+    /**
+     * Searches for matches of several terms in the indexed books.
+     * @param {object} searchTerms - Array of words or terms we're searching for
+     * @param {SearchOptions|object} [options] - Search options applied to every term, 
+     * same as search() except cursor, which belongs to a single term
+     * @returns {object} - Array of search results, one per search term in the same order
+     */
+    searchAll(searchTerms, options) {
+        validateSearchTerms(searchTerms);
+        const searchOptions = SearchOptions.from(options);
+        if (!isNull(searchOptions.cursor)) {
+            throw new Error("cursor option cannot be used when searching for several terms");
+        }
+        return searchTerms.map((searchTerm) => this.search(searchTerm, searchOptions));
+    }
+}
+
+/**
+ * SearchWorkerHost class, the worker side of searches run in a Web Worker 
+ * (see search_worker.js and SearchWorkerClient).
+ * 
+ * Handles the messages posted by SearchWorkerClient:
+ * { "Type": "load", "Id", "ScannedText", "Options" } ingests the scanned text once 
+ * and answers { "Type": "loaded", "Id", "BookCount", "PageCount", "Conflicts", "Problems" }.
+ * { "Type": "search", "Id", "SearchTerm", "Options" } searches the loaded books in 
+ * slices of TIME_SLICE milliseconds. After each slice it posts the results found in it, 
+ * { "Type": "results", "Id", "Results" }, and how far the search got, 
+ * { "Type": "progress", "Id", "BooksProcessed", "BookCount", "PagesProcessed", "PageCount" }. 
+ * It ends with { "Type": "done", "Id", "SearchTerm", "TotalCount" }.
+ * { "Type": "cancel", "Id" } stops a search between two slices, which then ends 
+ * with { "Type": "cancelled", "Id" }.
+ * A message that fails is answered with { "Type": "error", "Id", "Message" }.
+ */
+class SearchWorkerHost {
+    // Milliseconds a search runs before posting its progress and handling other messages
+    static TIME_SLICE = 50;
+
+    #postMessage;
+
+    // Loaded Book objects; null until scanned text is loaded
+    #bookArr = null;
+
+    // Ascending page numbers of each loaded book, in the same order as #bookArr
+    #pageNumArrs = [];
+
+    // Ids of the searches running, a search stops once its id is removed
+    #activeSearchIdSet = new Set();
+
+    /**
+     * Constructs a new SearchWorkerHost object.
+     * @param {function} postMessage - Posts a message back to the page, 
+     * e.g. (message) => self.postMessage(message)
+     */
+    constructor(postMessage) {
+        if (typeof(postMessage) !== "function") {
+            throw new Error("postMessage must be a \"function\" type");
+        }
+        this.#postMessage = postMessage;
+    }
+
+    /**
+     * Handles a message posted by SearchWorkerClient.
+     * @param {object} message - Message with a "Type" and an "Id"
+     * @returns {Promise} - Settles once the message is handled, which for a search is 
+     * once it is done, cancelled or failed
+     */
+    async handleMessage(message) {
+        try {
+            switch (message?.Type) {
+                case "load":
+                    this.#load(message);
+                    break;
+                case "search":
+                    await this.#search(message);
+                    break;
+                case "cancel":
+                    this.#activeSearchIdSet.delete(message.Id);
+                    break;
+                default:
+                    throw new Error(`Unknown message type "${message?.Type}"`);
+            }
+        } catch(e) {
+            this.#postMessage({ "Type": "error", "Id": message?.Id ?? null, "Message": e.message });
+        }
+    }
+
+    /**
+     * Ingests scanned text, replacing any previously loaded books.
+     * @param {object} message - "load" message
+     */
+    #load({ Id: id, ScannedText: scannedTextObj, Options: options }) {
+        const { books, conflicts, problems } = ingestScannedText(scannedTextObj, options);
+        this.#bookArr = books;
+        this.#pageNumArrs = books.map((bookObj) => 
+                [...new Set(bookObj.getOrderedLines().map((pageLineTextObj) => pageLineTextObj.page))]);
+        this.#postMessage({
+            "Type": "loaded",
+            "Id": id,
+            "BookCount": books.length,
+            "PageCount": this.#getPageCount(books.length),
+            "Conflicts": conflicts,
+            "Problems": SearchOptions.from(options).lenient ? problems : null
+        });
+    }
+
+    /**
+     * Searches the loaded books a slice at a time.
+     * @param {object} message - "search" message
+     */
+    async #search({ Id: id, SearchTerm: searchTerm, Options: options }) {
+        if (isNull(this.#bookArr)) {
+            throw new Error("No scanned text has been loaded");
+        }
+        this.#activeSearchIdSet.add(id);
+
+        try {
+            let pendingResultArr = [];
+            let totalCount = 0;
+            let sliceStartTime = Date.now();
+            for (const { book, page, results } of 
+                    iterateBookResultBatches(searchTerm, this.#bookArr, options)) {
+                pendingResultArr.push(...results);
+                totalCount += results.length;
+                if (Date.now() - sliceStartTime < SearchWorkerHost.TIME_SLICE) {
+                    continue;
+                }
+
+                this.#postProgress(id, pendingResultArr, this.#bookArr.indexOf(book), page);
+                pendingResultArr = [];
+                // Lets the worker handle messages posted meanwhile, e.g. "cancel"
+                await new Promise((resolve) => setTimeout(resolve, 0));
+                if (!this.#activeSearchIdSet.has(id)) {
+                    this.#postMessage({ "Type": "cancelled", "Id": id });
+                    return;
+                }
+                sliceStartTime = Date.now();
+            }
+
+            this.#postProgress(id, pendingResultArr, this.#bookArr.length, null);
+            this.#postMessage(
+                    { "Type": "done", "Id": id, "SearchTerm": searchTerm, "TotalCount": totalCount });
+        } finally {
+            this.#activeSearchIdSet.delete(id);
+        }
+    }
+
+    /**
+     * Posts the results found since the last progress, if any, then the progress.
+     * @param {number} id - Id of the search
+     * @param {object} resultArr - Array of SearchResult objects found since the last progress
+     * @param {number} bookIndex - Index of the book being searched; number of books when done
+     * @param {number} page - Last page searched of that book; null when done
+     */
+    #postProgress(id, resultArr, bookIndex, page) {
+        if (resultArr.length > 0) {
+            this.#postMessage({ "Type": "results", "Id": id, 
+                    "Results": resultArr.map((searchResult) => searchResult.toJSON()) });
+        }
+        const pagesProcessed = this.#getPageCount(bookIndex) + (isNull(page) ? 
+                0 : this.#pageNumArrs[bookIndex].filter((pageNum) => pageNum <= page).length);
+        this.#postMessage({
+            "Type": "progress",
+            "Id": id,
+            "BooksProcessed": bookIndex,
+            "BookCount": this.#bookArr.length,
+            "PagesProcessed": pagesProcessed,
+            "PageCount": this.#getPageCount(this.#bookArr.length)
+        });
+    }
+
+    /**
+     * Counts the scanned pages of the first books loaded.
+     * @param {number} bookCount - Number of books to count the pages of
+     * @returns {number} - Number of pages
+     */
+    #getPageCount(bookCount) {
+        return this.#pageNumArrs.slice(0, bookCount)
+                .reduce((total, pageNumArr) => total + pageNumArr.length, 0);
+    }
+}
+
+/**
+ * SearchWorkerClient class, the page side of searches run in a Web Worker, 
+ * so that searching a big scanned text doesn't freeze the page.
+ * 
+ * The scanned text is posted to the worker once with load(), then any number 
+ * of searches can be run against it. Results are plain JSON objects, since 
+ * class instances lose their private fields when posted between threads.
+ * Browsers only run workers for pages served over HTTP(S), not opened from a file.
+ * E.g.
+ * const client = new SearchWorkerClient(new Worker("search_worker.js"));
+ * await client.load(scannedTextObj);
+ * const resultJSON = await client.search("the", {}, { "onProgress": console.log });
+ */
+class SearchWorkerClient {
+    #worker;
+    #nextId = 1;
+
+    // Id -> { resolve, reject, onProgress, onResults, signal, resultArr } of requests awaiting an answer
+    #requestMap = new Map();
+
+    /**
+     * Constructs a new SearchWorkerClient object.
+     * @param {Worker|MessagePort} worker - Worker running search_worker.js, or a 
+     * MessagePort connected to a SearchWorkerHost
+     */
+    constructor(worker) {
+        if (isNull(worker) || typeof(worker.postMessage) !== "function") {
+            throw new Error("worker must be a Worker or MessagePort object");
+        }
+        this.#worker = worker;
+        this.#worker.onmessage = (event) => this.#handleMessage(event.data);
+    }
+
+    /**
+     * Posts scanned text to the worker, replacing any previously loaded scanned text.
+     * @param {JSON} scannedTextObj - A JSON object representing the scanned text
+     * @param {object} [options] - Plain ingestion options, see ingestScannedText(); 
+     * the worker always uses the default tokenizer
+     * @returns {Promise} - Resolves with { "BookCount", "PageCount", "Conflicts", "Problems" } 
+     * once the scanned text is ingested, rejects if it is invalid
+     */
+    load(scannedTextObj, options = {}) {
+        validateScannedTextObj(scannedTextObj);
+        SearchWorkerClient.#validateOptions(options);
+        return this.#request({ "Type": "load", "ScannedText": scannedTextObj, "Options": options });
+    }
+
+    /**
+     * Runs a search in the worker against the loaded scanned text.
+     * @param {string} searchTerm - The word or term we're searching for
+     * @param {object} [options] - Plain search options, same as iterateSearchResults()
+     * @param {object} [callbacks] - Optional callbacks and signal
+     * @param {function} [callbacks.onProgress] - Called with { "BooksProcessed", "BookCount", 
+     * "PagesProcessed", "PageCount" } as the search progresses
+     * @param {function} [callbacks.onResults] - Called with each array of results 
+     * found since the last progress, in the order books were scanned
+     * @param {AbortSignal} [callbacks.signal] - Signal cancelling the search
+     * @returns {Promise} - Resolves with { "SearchTerm", "Results", "TotalCount" } holding 
+     * every result once the search is done; rejects with the signal's reason if cancelled
+     */
+    search(searchTerm, options = {}, { onProgress, onResults, signal } = {}) {
+        validateSearchTerm(searchTerm);
+        SearchWorkerClient.#validateOptions(options);
+        if (!isNull(signal) && !(signal instanceof AbortSignal)) {
+            throw new Error("signal must be an AbortSignal object");
+        }
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return this.#request({ "Type": "search", "SearchTerm": searchTerm, "Options": options }, 
+                { "onProgress": onProgress, "onResults": onResults, "signal": signal });
+    }
+
+    /**
+     * Stops the worker. Requests awaiting an answer are rejected.
+     */
+    terminate() {
+        for (const request of this.#requestMap.values()) {
+            request.reject(new Error("Search worker was terminated"));
+        }
+        this.#requestMap.clear();
+        if (typeof(this.#worker.terminate) === "function") {
+            this.#worker.terminate();
+        } else {
+            this.#worker.close();
+        }
+    }
+
+    /**
+     * Posts a request to the worker.
+     * @param {object} message - Message without its "Id"
+     * @param {object} [handlers] - { onProgress, onResults, signal } of a search
+     * @returns {Promise} - Settles once the worker answers the request
+     */
+    #request(message, handlers = {}) {
+        const id = this.#nextId++;
+        return new Promise((resolve, reject) => {
+            this.#requestMap.set(id, { ...handlers, "resolve": resolve, "reject": reject, "resultArr": [] });
+            handlers.signal?.addEventListener("abort", 
+                    () => this.#worker.postMessage({ "Type": "cancel", "Id": id }), { "once": true });
+            this.#worker.postMessage({ ...message, "Id": id });
+        });
+    }
+
+    /**
+     * Handles a message posted by the worker, see SearchWorkerHost.
+     * @param {object} message - Message with a "Type" and an "Id"
+     */
+    #handleMessage(message) {
+        const request = this.#requestMap.get(message.Id);
+        if (isNull(request)) {
+            return;
+        }
+        const { Type: type, Id: id, ...payload } = message;
+
+        switch (type) {
+            case "progress":
+                request.onProgress?.(payload);
+                return;
+            case "results":
+                request.resultArr.push(...payload.Results);
+                request.onResults?.(payload.Results);
+                return;
+            case "loaded":
+                request.resolve(payload);
+                break;
+            case "done":
+                request.resolve({ 
+                    "SearchTerm": payload.SearchTerm, 
+                    "Results": request.resultArr, 
+                    "TotalCount": payload.TotalCount 
+                });
+                break;
+            case "cancelled":
+                request.reject(request.signal.reason);
+                break;
+            default:
+                request.reject(new Error(payload.Message));
+        }
+        this.#requestMap.delete(id);
+    }
+
+    /**
+     * Validates options posted to the worker, so invalid ones fail before being posted.
+     * @param {object} options - Plain options object
+     * @static
+     */
+    static #validateOptions(options) {
+        if (options instanceof SearchOptions) {
+            throw new Error("options must be a plain object to be posted to a worker");
+        }
+        if (!isNull(SearchOptions.from(options).tokenizer)) {
+            throw new Error("tokenizer option cannot be posted to a worker");
+        }
+    }
+}
+
+// Node.js scripts such as book_search_cli.js require this file; browsers and workers use its globals
+if (typeof(module) !== "undefined") {
+    module.exports = {
+        Book, PageLine, PageLineText, SearchResult, LogicalText, 
+        Tokenizer, RegexTokenizer, UnicodeTokenizer, SearchOptions, 
+        QueryParser, SnippetBuilder, BookIndex, SearchWorkerHost, SearchWorkerClient, 
+        findSearchTermInBooks, findSearchTermsInBooks, iterateSearchResults, iterateSearchResultsAsync, 
+        ingestScannedText, validateScannedText, escapeHTML, isNull
+    };
+}
+
+/** Example input object. */
+const twentyLeaguesIn = [
+    {
+        "Title": "Twenty Thousand Leagues Under the Sea",
+        "ISBN": "9780000528537",
+        "Content": [
+            {
+                "Page": 31,
+                "Line": 8,
+                "Text": "now simply went on by her own momentum.  The dark-"
+            },
+            {
+                "Page": 31,
+                "Line": 9,
+                "Text": "ness was then profound; and however good the Canadian\'s"
+            },
+            {
+                "Page": 31,
+                "Line": 10,
+                "Text": "eyes were, I asked myself how he had managed to see, and"
+            } 
+        ] 
+    }
+];
+    
+/** Example output object */
+const twentyLeaguesOut = {
+    "SearchTerm": "the",
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9
+        }
+    ]
+};
+
+/*
+ _   _ _   _ ___ _____   _____ _____ ____ _____ ____  
+| | | | \ | |_ _|_   _| |_   _| ____/ ___|_   _/ ___| 
+| | | |  \| || |  | |     | | |  _| \___ \ | | \___ \ 
+| |_| | |\  || |  | |     | | | |___ ___) || |  ___) |
+ \___/|_| \_|___| |_|     |_| |_____|____/ |_| |____/ 
+                                                      
+ */
+
+/* We have provided two unit tests. They're really just `if` statements that 
+ * output to the console. We've provided two tests as examples, and 
+ * they should pass with a correct implementation of `findSearchTermInBooks`. 
+ * 
+ * Please add your unit tests below.
+ * */
+
+/**
+ * Runs the unit tests. They are left unindented within this function so that 
+ * they read as the top-level script they started as, see the end of this file.
+ */
+function runTests() {
+/** We can check that, given a known input, we get a known output. */
+const test1result = findSearchTermInBooks("the", twentyLeaguesIn);
+if (JSON.stringify(twentyLeaguesOut) === JSON.stringify(test1result)) {
+    console.log("PASS: Test 1");
+} else {
+    console.error("FAIL: Test 1");
+    console.error("Expected:", twentyLeaguesOut);
+    console.error("Received:", test1result);
+}
+
+/** We could choose to check that we get the right number of results. */
+const test2result = findSearchTermInBooks("the", twentyLeaguesIn); 
+if (test2result.Results.length == 1) {
+    console.log("PASS: Test 2");
+} else {
+    console.error("FAIL: Test 2");
+    console.error("Expected:", twentyLeaguesOut.Results.length);
+    console.error("Received:", test2result.Results.length);
+}
+
+/**
+ * Helper method for running tests on a class constructor.
+ * @param {string} testName - Name of test
+ * @param {object} className - Class name
+ * @param {object} args - Array of arguments to pass to constructor 
+ * in the order they are stored
+ * @param {boolean} shouldPass - True if test is supposed to pass; false otherwise
+ */
+function constructorTestRunner(testName, className, args, shouldPass) {
+    try {
+        // Assume className is a valid class with a constructor
+        let newObj = new className(...args);
+        if (shouldPass) {
+            console.log("PASS:", testName, "|", JSON.stringify(newObj), "|", ...args);
+        } else {
+            console.error("FAIL:", testName, "|", 
+                    `${className} should not be instantiated with these arguments:`, ...args);
+        }
+    } catch(e) {
+        if (!shouldPass) {
+            console.log("PASS:", testName, "|", e.toString());
+        } else {
+            console.error("FAIL:", testName, "|", e);
+        }
+    }
+}
+
+// Tests for Book class
+console.warn("Testing Book class");
+constructorTestRunner(
+        "bookConstructorTest",
+        Book,
+        [twentyLeaguesIn[0]["Title"], 
+        twentyLeaguesIn[0]["ISBN"], 
+        twentyLeaguesIn[0]["Content"]],
+        true
+    );
+constructorTestRunner("bookEmptyContentTest", Book,["Example title", "9780000528537", []], true);
+
+constructorTestRunner("bookNoArgTest", Book, [], false);
+constructorTestRunner("bookNullArgTest", Book, [null, null, null], false);
+// Trying to hit as much code coverage as possible which is why passing different
+// combinations of arguments
+constructorTestRunner("bookNullArgTest", Book, [null, "9780000528537", []], false);
+constructorTestRunner("bookNullArgTest", Book, ["Example title", null, []], false);
+constructorTestRunner("bookNullArgTest", Book, ["Example title", "9780000528537", null], false);
+constructorTestRunner("bookUndefinedArgTest", Book, [undefined, undefined, undefined], false);
+constructorTestRunner("bookEmptyTitleTest", Book, ["", "9780000528537", []], false);
+constructorTestRunner(
+        "bookInvalidContentTest",
+        Book,
+        ["Example title", "9780000528537", ["Hello There"]],
+        false
+    );
+constructorTestRunner("bookInvalidISBNTest", Book, ["Example title", "1", []], false);
+
+// Tests for static ISBN validation function
+if (Book.validateISBN("9780618260300")) {
+    console.log("PASS:", "book13DigitISBNValidateTest");
+} else {
+    console.error("FAIL:", "book13DigitISBNValidateTest");
+}
+
+if (Book.validateISBN("0000000000")) {
+    console.log("PASS:", "book10DigitISBNValidateTest");
+} else {
+    console.error("FAIL:", "book10DigitISBNValidateTest");
+}
+
+if (Book.validateISBN("080442957X") && Book.validateISBN("080442957x")) {
+    console.log("PASS:", "book10DigitXCheckDigitISBNValidateTest");
+} else {
+    console.error("FAIL:", "book10DigitXCheckDigitISBNValidateTest");
+}
+
+if (Book.validateISBN("978-0000528537") && Book.validateISBN("978-0-618-26030-0") && 
+        Book.validateISBN("0 618 26030 7")) {
+    console.log("PASS:", "bookISBNDelimiterValidateTest");
+} else {
+    console.error("FAIL:", "bookISBNDelimiterValidateTest");
+}
+
+if (!Book.validateISBN("978--0618260300") && !Book.validateISBN("-9780618260300")) {
+    console.log("PASS:", "bookISBNInvalidDelimiterValidateTest");
+} else {
+    console.error("FAIL:", "bookISBNInvalidDelimiterValidateTest");
+}
+
+if (!Book.validateISBN("0000000000000")) {
+    console.log("PASS:", "bookISBNInvalidPrefixValidateTest");
+} else {
+    console.error("FAIL:", "bookISBNInvalidPrefixValidateTest");
+}
+
+if (!Book.validateISBN("978-0000528531") && !Book.validateISBN("0618260308")) {
+    console.log("PASS:", "bookISBNChecksumValidateTest");
+} else {
+    console.error("FAIL:", "bookISBNChecksumValidateTest");
+}
+
+const isbnErrorTests = [
+    ["123", "must have 10 or 13 digits but has 3"],
+    ["9780618260301", "ISBN-13 check digit must be \"0\" but is \"1\""],
+    ["06182603X7", "\"X\" can only be the check digit of an ISBN-10"]
+];
+for (const [isbn, expectedError] of isbnErrorTests) {
+    if (Book.getISBNError(isbn) === expectedError) {
+        console.log("PASS:", "bookISBNErrorTest", "|", isbn, "|", expectedError);
+    } else {
+        console.error("FAIL:", "bookISBNErrorTest", "|", isbn);
+        console.error("Expected:", expectedError);
+        console.error("Received:", Book.getISBNError(isbn));
+    }
+}
+
+if (Book.toISBN13("0-618-26030-7") === "9780618260300" && 
+        Book.toISBN10("978-0-618-26030-0") === "0618260307" && 
+        Book.toISBN13("080442957X") === "9780804429573" && 
+        Book.toISBN10("9780804429573") === "080442957X") {
+    console.log("PASS:", "bookISBNConversionTest");
+} else {
+    console.error("FAIL:", "bookISBNConversionTest");
+}
+
+try {
+    Book.toISBN10("9791032305690");
+    console.error("FAIL:", "bookISBN979ConversionTest");
+} catch(e) {
+    console.log("PASS:", "bookISBN979ConversionTest", "|", e.toString());
+}
+
+const hyphenatedISBNBook = new Book("Example title", "978-0-618-26030-0", []);
+if (hyphenatedISBNBook.isbn === "9780618260300" && 
+        new SearchResult(1, 1, "0 618 26030 7").isbn === "0618260307") {
+    console.log("PASS:", "bookISBNNormalizationTest");
+} else {
+    console.error("FAIL:", "bookISBNNormalizationTest");
+}
+
+// Both constructors surface the reason an ISBN is invalid
+for (const [testName, construct] of [
+        ["bookISBNChecksumErrorTest", (isbn) => new Book("Example title", isbn, [])],
+        ["searchResultISBNChecksumErrorTest", (isbn) => new SearchResult(1, 1, isbn)]]) {
+    for (const [isbn, expectedError] of [
+            ["9780618260301", "ISBN-13 check digit must be \"0\" but is \"1\""],
+            ["0000000000000", "ISBN-13 must begin with \"978\" or \"979\""]]) {
+        try {
+            construct(isbn);
+            console.error("FAIL:", testName, "|", `ISBN should be rejected: ${isbn}`);
+        } catch(e) {
+            if (e.message.includes(expectedError)) {
+                console.log("PASS:", testName, "|", e.toString());
+            } else {
+                console.error("FAIL:", testName, "|", isbn);
+                console.error("Expected:", expectedError);
+                console.error("Received:", e.toString());
+            }
+        }
+    }
+}
+
+if (!Book.validateISBN("123")) {
+    console.log("PASS:", "bookInvalidISBNValidateTest");
+} else {
+    console.error("FAIL:", "bookInvalidISBNValidateTest");
+}
+
+try {
+    Book.validateISBN(9780000528537);
+} catch(e) {
+    console.log("PASS:", "bookISBNValidateNumberTest", "|", e.toString());
+}
+
+// Tests for PageLine abstract class
+console.warn("Testing PageLine abstract class");
+constructorTestRunner("pageLineConstructorTest", PageLine, [31, 8], false);
+
+// Tests for PageLineText class
+console.warn("Testing PageLineText class");
+constructorTestRunner("pageLineTextTest", PageLineText, [31, 8, "Example text"], true);
+constructorTestRunner("pageLineTextEmptyStringTest", PageLineText, [31, 8, ""], true);
+
+constructorTestRunner("pageLineTextNoArgTest", PageLineText, [], false);
+constructorTestRunner("pageLineTextNullArgTest", PageLineText, [null, null, null], false);
+constructorTestRunner(
+        "pageLineTextNullArgTest", PageLineText, [null, 8, "Example text"], false);
+constructorTestRunner(
+        "pageLineTextNullArgTest", PageLineText, [31, null, "Example text"], false);
+constructorTestRunner("pageLineTextNullArgTest", PageLineText, [31, 8, null], false);
+constructorTestRunner(
+        "pageLineTextUndefinedArgTest", PageLineText, [undefined, undefined, undefined], false);
+constructorTestRunner(
+        "pageLineTextInvalidPageNumTest", PageLineText, [-1, 8, "Example text"], false);
+constructorTestRunner(
+        "pageLineTextInvalidLineNumTest", PageLineText, [31, -1, "Example text"], false);
+constructorTestRunner("pageLineTextInvalidTextTest", PageLineText, [31, -1, null], false);
+
+// Extremity tests
+constructorTestRunner("pageLinePage0Line1Test", PageLineText, [0, 1, ""], false);
+constructorTestRunner("pageLinePage1Line0Test", PageLineText, [1, 0, ""], false);
+constructorTestRunner(
+        "pageLinePage1LineMaxIntegerTest", PageLineText, [1, Number.MAX_SAFE_INTEGER, ""], true);
+
+// Tests for SearchResult class
+console.warn("Testing SearchResult class");
+constructorTestRunner("searchResultTest", SearchResult, [31, 8, "9780000528537"], true);
+
+constructorTestRunner("searchResultNoArgTest", SearchResult, [], false);
+constructorTestRunner("searchResultNullTest", SearchResult, [null, null, null], false);
+constructorTestRunner("searchResultNullTest", SearchResult, [null, 8, "978000052831"], false);
+constructorTestRunner("searchResultNullTest", SearchResult, [31, null, "978000052831"], false);
+constructorTestRunner("searchResultNullTest", SearchResult, [31, 8, null], false);
+constructorTestRunner(
+        "searchResultUndefinedTest", SearchResult, [undefined, undefined, undefined], false);
+constructorTestRunner("searchResultInvalidISBNTest", SearchResult, [31, 8, "978000052831"], false);
+constructorTestRunner("searchResultInvalidISBNTest", SearchResult, [31, 8, 9780000528537], false);
+constructorTestRunner(
+        "searchResultInvalidPageNumTest", SearchResult, [-1, 8, "9780000528537"], false);
+constructorTestRunner(
+        "searchResultInvalidLineNumTest", SearchResult, [8, -1, "9780000528537"], false);
+
+// Tests for findSearchTermInBooks()
+console.warn("Testing findSearchTermInBooks()");
+const emptyInputTest = findSearchTermInBooks("the", []);
+if (emptyInputTest.Results.length === 0) {
+    console.log("PASS: Empty input test");
+} else {
+    console.error("FAIL: Empty input test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(emptyInputTest.Results));
+}
+
+const noResultTest = findSearchTermInBooks("Supercalifragilistic", twentyLeaguesIn);
+if (noResultTest.Results.length === 0) {
+    console.log("PASS: No result test");
+} else {
+    console.error("FAIL: No result test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(noResultTest.Results));
+}
+
+const caseSensitiveFailTest = findSearchTermInBooks("Profound", twentyLeaguesIn);
+if (caseSensitiveFailTest.Results.length === 0) {
+    console.log("PASS: Case sensitive fail test");
+} else {
+    console.error("FAIL: Case sensitive fail test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(caseSensitiveFailTest.Results));
+}
+
+const caseSensitiveFailAllCapsTest = findSearchTermInBooks("PROFOUND", twentyLeaguesIn);
+if (caseSensitiveFailAllCapsTest.Results.length === 0) {
+    console.log("PASS: Case sensitive all capital letters fail test");
+} else {
+    console.error("FAIL: Case sensitive all capital letters fail test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(caseSensitiveFailAllCapsTest.Results));
+}
+
+const caseSensitiveSuccessTestExpected = {
+    "SearchTerm": "profound",
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9
+        }
+    ]
+};
+const caseSensitiveSuccessTest = findSearchTermInBooks("profound", twentyLeaguesIn);
+if (JSON.stringify(caseSensitiveSuccessTestExpected) === 
+        JSON.stringify(caseSensitiveSuccessTest)) {
+    console.log("PASS: Case sensitive success test |", JSON.stringify(caseSensitiveSuccessTest));
+} else {
+    console.error("FAIL: Case sensitive success test");
+    console.error("Expected:", JSON.stringify(caseSensitiveSuccessTestExpected));
+    console.error("Received:", JSON.stringify(caseSensitiveSuccessTest));
+}
+
+const contractionTest = findSearchTermInBooks("Canadian's", twentyLeaguesIn);
+const contractionTestExpected = {
+    "SearchTerm": "Canadian's",
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9
+        }
+    ]
+};
+if (JSON.stringify(contractionTestExpected) === JSON.stringify(contractionTest)) {
+    console.log("PASS: Contraction and possessive nouns test");
+} else {
+    console.error("FAIL: Contraction and possessive nouns test");
+    console.error("Expected:", JSON.stringify(contractionTestExpected));
+    console.error("Received:", JSON.stringify(contractionTest.Results));
+}
+
+const substringOfWordTest = findSearchTermInBooks("Canadian", twentyLeaguesIn);
+if (substringOfWordTest.Results.length === 0) {
+    console.log("PASS: Substring of word test");
+} else {
+    console.error("FAIL: Substring of word test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(substringOfWordTest.Results));
+}
+
+const substringOfLineBreakWordTest = findSearchTermInBooks("dark", twentyLeaguesIn);
+if (substringOfLineBreakWordTest.Results.length === 0) {
+    console.log("PASS: Substring of line-breaked word test");
+} else {
+    console.error("FAIL: Substring of line-breaked word test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(substringOfLineBreakWordTest.Results));
+}
+
+const findLineBreakTermTest = findSearchTermInBooks("darkness", twentyLeaguesIn);
+const findLineBreakTermTestExpected = {
+    "SearchTerm": "darkness",
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 8
+        },
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9
+        }
+    ]
+};
+if (JSON.stringify(findLineBreakTermTestExpected) === 
+        JSON.stringify(findLineBreakTermTest)) {
+    console.log("PASS: Find line-breaked term test |", findLineBreakTermTest)
+} else {
+    console.error("FAIL: Find line-breaked term test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected));
+    console.error("Received:", JSON.stringify(findLineBreakTermTest));
+}
+
+const sampleBook = [
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "Content": [
+            {
+                "Page": 1,
+                "Line": 1,
+                "Text": "This is a déjà vu story about a pre-owned toy story with a résumé"
+            }
+        ]
+    }
+];
+const findHyphenatedTermTest = findSearchTermInBooks("pre-owned", sampleBook);
+const findHyphenatedTermTestExpected = {
+    "SearchTerm": "pre-owned",
+    "Results": [
+        {
+            "ISBN": "9780618260300",
+            "Page": 1,
+            "Line": 1
+        }
+    ]
+};
+if (JSON.stringify(findHyphenatedTermTestExpected) === 
+        JSON.stringify(findHyphenatedTermTest)) {
+    console.log("PASS: Find hyphenated term test |", findHyphenatedTermTest);
+} else {
+    console.error("FAIL: Find hyphenated term test");
+    console.error("Expected:", JSON.stringify(findHyphenatedTermTestExpected));
+    console.error("Received:", JSON.stringify(findHyphenatedTermTest));
+}
+
+const findAccentedTermTest = findSearchTermInBooks("résumé", sampleBook);
+const findAccentedTermTestExpected = {
+    "SearchTerm": "résumé",
+    "Results": [
+        {
+            "ISBN": "9780618260300",
+            "Page": 1,
+            "Line": 1
+        }
+    ]
+};
+if (JSON.stringify(findAccentedTermTestExpected) === 
+        JSON.stringify(findAccentedTermTest)) {
+    console.log("PASS: Find accented term test |", findAccentedTermTest);
+} else {
+    console.error("FAIL: Find accented term test");
+    console.error("Expected:", JSON.stringify(findAccentedTermTestExpected));
+    console.error("Received:", JSON.stringify(findAccentedTermTest));
+}
+
+const findTermWithSpaceTest = findSearchTermInBooks("déjà vu", sampleBook);
+const findTermWithSpaceTestExpected = {
+    "SearchTerm": "déjà vu",
+    "Results": [
+        {
+            "ISBN": "9780618260300",
+            "Page": 1,
+            "Line": 1
+        }
+    ]
+};
+if (JSON.stringify(findTermWithSpaceTestExpected) === 
+        JSON.stringify(findTermWithSpaceTest)) {
+    console.log("PASS: Find term with space test |", findTermWithSpaceTest);
+} else {
+    console.error("FAIL: Find term with space test");
+    console.error("Expected:", JSON.stringify(findTermWithSpaceTestExpected));
     console.error("Received:", JSON.stringify(findTermWithSpaceTest));
 }
 
-const findRepeatedTermTest = findSearchTermInBooks("story", sampleBook);
-const findRepeatedTermTestExpected = {
-    "SearchTerm": "story",
-    "Results": [
+const findRepeatedTermTest = findSearchTermInBooks("story", sampleBook);
+const findRepeatedTermTestExpected = {
+    "SearchTerm": "story",
+    "Results": [
+        {
+            "ISBN": "9780618260300",
+            "Page": 1,
+            "Line": 1
+        }
+    ]
+};
+if (JSON.stringify(findRepeatedTermTestExpected) === 
+        JSON.stringify(findRepeatedTermTest)) {
+    console.log("PASS: Find repeated term in same line test |", findRepeatedTermTest);
+} else {
+    console.error("FAIL: Find repeated term in same line test");
+    console.error("Expected:", JSON.stringify(findRepeatedTermTestExpected));
+    console.error("Received:", JSON.stringify(findRepeatedTermTest));
+}
+
+const lordOfTheRings = [
+    {
+        "Title": "Fellowship of the Ring",
+        "ISBN": "9780007149216",
+        "Content": [
+            {
+                "Page": 455,
+                "Line": 36,
+                "Text": "'As was agreed, I shall here blindfold the eyes of Gimli the"
+            },
+            {
+                "Page": 348,
+                "Line": 41,
+                "Text": "'Could we not still send messages to him and obtain his"
+            }
+        ] 
+    },
+    {
+        "Title": "The Two Towers",
+        "ISBN": "0345339711",
+        "Content": [
+            {
+                "Page": 4,
+                "Line": 1,
+                "Text": "As he ran the cries came louder, but fainter now and des-"
+            },
+            {
+                "Page": 12,
+                "Line": 7,
+                "Text": "Like a deer he sprang away. Through the trees he sped. On"
+            },
+            {
+                "Page": 6,
+                "Line": 11,
+                "Text": "'And I,' said Legolas, 'will take all the arrows that I can"
+            }
+        ] 
+    },
+    {
+        "Title": "The Return of the King",
+        "ISBN": "0007488343",
+        "Content": [
+            {
+                "Page": 846,
+                "Line": 1,
+                "Text": "'It is also called kingsfoil,' said Aragorn: 'and maybe you know it by that"
+            },
+            {
+                "Page": 823,
+                "Line": 35,
+                "Text": "clenched his hand. She should not die, so fair, so desparate! At least she"
+            },
+            {
+                "Page": 913,
+                "Line": 20,
+                "Text": "'So that was the job I felt I had to do when I started,' thought Sam: 'to"
+            }
+        ] 
+    },
+    {
+        "Title": "The Hobbit",
+        "ISBN": "0618260307",
+        "Content": []
+    },
+    {
+        "Title": "The Silmarillion",
+        "ISBN": "0618126988",
+        "Content": [
+            {
+                "Page": 1,
+                "Line": 1,
+                "Text": ""
+            }
+        ]
+    }
+];
+const findTermInMultipleBooksTest = findSearchTermInBooks("I", lordOfTheRings);
+const findTermInMultipleBooksTestExpected = {
+    "SearchTerm": "I",
+    "Results": [
+        {
+            "ISBN": "9780007149216",
+            "Page": 455,
+            "Line": 36
+        },
+        {
+            "ISBN": "0345339711",
+            "Page": 6,
+            "Line": 11
+        },
+        {
+            "ISBN": "0007488343",
+            "Page": 913,
+            "Line": 20
+        }
+    ]
+};
+if (JSON.stringify(findTermInMultipleBooksTestExpected) === 
+        JSON.stringify(findTermInMultipleBooksTest)) {
+    console.log("PASS: Find term in multiple books test |", findTermInMultipleBooksTest);
+} else {
+    console.error("FAIL: Find term in multiple books test");
+    console.error("Expected:", JSON.stringify(findTermInMultipleBooksTestExpected));
+    console.error("Received:", JSON.stringify(findTermInMultipleBooksTest));
+}
+
+// Tests for BookIndex class
+console.warn("Testing BookIndex class");
+constructorTestRunner("bookIndexConstructorTest", BookIndex, [lordOfTheRings], true);
+constructorTestRunner("bookIndexEmptyInputTest", BookIndex, [[]], true);
+constructorTestRunner("bookIndexNullArgTest", BookIndex, [null], false);
+constructorTestRunner("bookIndexInvalidBookTest", BookIndex, [[{ "Title": "" }]], false);
+
+const twentyLeaguesIndex = new BookIndex(twentyLeaguesIn);
+const bookIndexSearchTest = twentyLeaguesIndex.search("the");
+if (JSON.stringify(twentyLeaguesOut) === JSON.stringify(bookIndexSearchTest)) {
+    console.log("PASS: Book index search test |", JSON.stringify(bookIndexSearchTest));
+} else {
+    console.error("FAIL: Book index search test");
+    console.error("Expected:", JSON.stringify(twentyLeaguesOut));
+    console.error("Received:", JSON.stringify(bookIndexSearchTest));
+}
+
+const bookIndexLineBreakTest = twentyLeaguesIndex.search("darkness");
+if (JSON.stringify(findLineBreakTermTestExpected) === JSON.stringify(bookIndexLineBreakTest)) {
+    console.log("PASS: Book index line-breaked term test |", JSON.stringify(bookIndexLineBreakTest));
+} else {
+    console.error("FAIL: Book index line-breaked term test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexLineBreakTest));
+}
+
+const bookIndexRepeatedSearchTest = new BookIndex(lordOfTheRings);
+const bookIndexMultipleBooksTest = bookIndexRepeatedSearchTest.search("I");
+if (JSON.stringify(findTermInMultipleBooksTestExpected) === 
+        JSON.stringify(bookIndexMultipleBooksTest)) {
+    console.log("PASS: Book index multiple books test |", JSON.stringify(bookIndexMultipleBooksTest));
+} else {
+    console.error("FAIL: Book index multiple books test");
+    console.error("Expected:", JSON.stringify(findTermInMultipleBooksTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexMultipleBooksTest));
+}
+
+const bookIndexPhraseTest = new BookIndex(sampleBook).search("déjà vu");
+if (JSON.stringify(findTermWithSpaceTestExpected) === JSON.stringify(bookIndexPhraseTest)) {
+    console.log("PASS: Book index phrase test |", JSON.stringify(bookIndexPhraseTest));
+} else {
+    console.error("FAIL: Book index phrase test");
+    console.error("Expected:", JSON.stringify(findTermWithSpaceTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexPhraseTest));
+}
+
+const bookIndexNoResultTest = twentyLeaguesIndex.search("dark");
+if (bookIndexNoResultTest.Results.length === 0) {
+    console.log("PASS: Book index no result test");
+} else {
+    console.error("FAIL: Book index no result test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(bookIndexNoResultTest.Results));
+}
+
+// Tests for search options
+console.warn("Testing SearchOptions class");
+constructorTestRunner("searchOptionsDefaultTest", SearchOptions, [], true);
+constructorTestRunner("searchOptionsTest", SearchOptions, 
+        [{ "caseSensitive": false, "accentSensitive": false, "match": "prefix" }], true);
+constructorTestRunner("searchOptionsNullArgTest", SearchOptions, [null], false);
+constructorTestRunner(
+        "searchOptionsInvalidCaseTest", SearchOptions, [{ "caseSensitive": "no" }], false);
+constructorTestRunner(
+        "searchOptionsInvalidAccentTest", SearchOptions, [{ "accentSensitive": 0 }], false);
+constructorTestRunner("searchOptionsInvalidMatchTest", SearchOptions, [{ "match": "soundex" }], false);
+
+const caseInsensitiveTest = findSearchTermInBooks(
+        "PROFOUND", twentyLeaguesIn, { "caseSensitive": false });
+if (JSON.stringify(caseSensitiveSuccessTestExpected.Results) === 
+        JSON.stringify(caseInsensitiveTest.Results)) {
+    console.log("PASS: Case insensitive test |", JSON.stringify(caseInsensitiveTest));
+} else {
+    console.error("FAIL: Case insensitive test");
+    console.error("Expected:", JSON.stringify(caseSensitiveSuccessTestExpected.Results));
+    console.error("Received:", JSON.stringify(caseInsensitiveTest.Results));
+}
+
+const accentInsensitiveTest = findSearchTermInBooks(
+        "resume", sampleBook, { "accentSensitive": false });
+if (JSON.stringify(findAccentedTermTestExpected.Results) === 
+        JSON.stringify(accentInsensitiveTest.Results)) {
+    console.log("PASS: Accent insensitive test |", JSON.stringify(accentInsensitiveTest));
+} else {
+    console.error("FAIL: Accent insensitive test");
+    console.error("Expected:", JSON.stringify(findAccentedTermTestExpected.Results));
+    console.error("Received:", JSON.stringify(accentInsensitiveTest.Results));
+}
+
+const accentSensitiveFailTest = findSearchTermInBooks("resume", sampleBook);
+if (accentSensitiveFailTest.Results.length === 0) {
+    console.log("PASS: Accent sensitive fail test");
+} else {
+    console.error("FAIL: Accent sensitive fail test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(accentSensitiveFailTest.Results));
+}
+
+const prefixMatchTest = findSearchTermInBooks("Canadian", twentyLeaguesIn, { "match": "prefix" });
+if (JSON.stringify(contractionTestExpected.Results) === JSON.stringify(prefixMatchTest.Results)) {
+    console.log("PASS: Prefix match test |", JSON.stringify(prefixMatchTest));
+} else {
+    console.error("FAIL: Prefix match test");
+    console.error("Expected:", JSON.stringify(contractionTestExpected.Results));
+    console.error("Received:", JSON.stringify(prefixMatchTest.Results));
+}
+
+const prefixMatchLineBreakTest = findSearchTermInBooks(
+        "darkn", twentyLeaguesIn, { "match": "prefix" });
+if (JSON.stringify(findLineBreakTermTestExpected.Results) === 
+        JSON.stringify(prefixMatchLineBreakTest.Results)) {
+    console.log("PASS: Prefix match line-breaked term test |", 
+            JSON.stringify(prefixMatchLineBreakTest));
+} else {
+    console.error("FAIL: Prefix match line-breaked term test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected.Results));
+    console.error("Received:", JSON.stringify(prefixMatchLineBreakTest.Results));
+}
+
+const substringMatchTest = findSearchTermInBooks(
+        "ANADIAN", twentyLeaguesIn, { "match": "substring", "caseSensitive": false });
+if (JSON.stringify(contractionTestExpected.Results) === JSON.stringify(substringMatchTest.Results)) {
+    console.log("PASS: Substring match test |", JSON.stringify(substringMatchTest));
+} else {
+    console.error("FAIL: Substring match test");
+    console.error("Expected:", JSON.stringify(contractionTestExpected.Results));
+    console.error("Received:", JSON.stringify(substringMatchTest.Results));
+}
+
+const caseInsensitivePhraseTest = findSearchTermInBooks(
+        "DEJA VU", sampleBook, { "caseSensitive": false, "accentSensitive": false });
+if (JSON.stringify(findTermWithSpaceTestExpected.Results) === 
+        JSON.stringify(caseInsensitivePhraseTest.Results)) {
+    console.log("PASS: Case and accent insensitive phrase test |", 
+            JSON.stringify(caseInsensitivePhraseTest));
+} else {
+    console.error("FAIL: Case and accent insensitive phrase test");
+    console.error("Expected:", JSON.stringify(findTermWithSpaceTestExpected.Results));
+    console.error("Received:", JSON.stringify(caseInsensitivePhraseTest.Results));
+}
+
+const bookIndexOptionsTest = twentyLeaguesIndex.search(
+        "canadian", { "caseSensitive": false, "match": "prefix" });
+if (JSON.stringify(contractionTestExpected.Results) === 
+        JSON.stringify(bookIndexOptionsTest.Results)) {
+    console.log("PASS: Book index search options test |", JSON.stringify(bookIndexOptionsTest));
+} else {
+    console.error("FAIL: Book index search options test");
+    console.error("Expected:", JSON.stringify(contractionTestExpected.Results));
+    console.error("Received:", JSON.stringify(bookIndexOptionsTest.Results));
+}
+
+// Tests for boolean queries
+console.warn("Testing boolean queries");
+constructorTestRunner("queryNodeConstructorTest", QueryNode, [], false);
+
+const parsedQueryTest = QueryParser.parse("\"dark ness\" OR (profound AND NOT Canadian)");
+const parsedQueryTestExpected = "(\"dark ness\" OR (profound AND NOT Canadian))";
+if (parsedQueryTest.toString() === parsedQueryTestExpected) {
+    console.log("PASS: Parse query test |", parsedQueryTest.toString());
+} else {
+    console.error("FAIL: Parse query test");
+    console.error("Expected:", parsedQueryTestExpected);
+    console.error("Received:", parsedQueryTest.toString());
+}
+
+const implicitAndQueryTest = QueryParser.parse("profound Canadian's OR eyes");
+const implicitAndQueryTestExpected = "((profound AND Canadian's) OR eyes)";
+if (implicitAndQueryTest.toString() === implicitAndQueryTestExpected) {
+    console.log("PASS: Parse implicit AND query test |", implicitAndQueryTest.toString());
+} else {
+    console.error("FAIL: Parse implicit AND query test");
+    console.error("Expected:", implicitAndQueryTestExpected);
+    console.error("Received:", implicitAndQueryTest.toString());
+}
+
+for (const [testName, queryText] of [
+        ["parseUnbalancedParenthesesTest", "(profound AND eyes"],
+        ["parseUnterminatedQuoteTest", "\"dark ness"],
+        ["parseDanglingOperatorTest", "profound AND"],
+        ["parseLeadingOperatorTest", "OR profound"],
+        ["parseEmptyGroupTest", "()"]]) {
+    try {
+        QueryParser.parse(queryText);
+        console.error("FAIL:", testName, "|", `Query should not be parsed: ${queryText}`);
+    } catch(e) {
+        console.log("PASS:", testName, "|", e.toString());
+    }
+}
+
+const booleanQueryTest = findSearchTermInBooks(
+        "\"dark ness\" OR (profound AND NOT Canadian)", twentyLeaguesIn, { "syntax": "boolean" });
+const booleanQueryTestExpected = {
+    "SearchTerm": "\"dark ness\" OR (profound AND NOT Canadian)",
+    "Query": {
+        "Operator": "OR",
+        "Operands": [
+            { "Phrase": "dark ness" },
+            {
+                "Operator": "AND",
+                "Operands": [
+                    { "Term": "profound" },
+                    { "Operator": "NOT", "Operands": [{ "Term": "Canadian" }] }
+                ]
+            }
+        ]
+    },
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9
+        }
+    ]
+};
+if (JSON.stringify(booleanQueryTestExpected) === JSON.stringify(booleanQueryTest)) {
+    console.log("PASS: Boolean query test |", JSON.stringify(booleanQueryTest));
+} else {
+    console.error("FAIL: Boolean query test");
+    console.error("Expected:", JSON.stringify(booleanQueryTestExpected));
+    console.error("Received:", JSON.stringify(booleanQueryTest));
+}
+
+const booleanQueryNotTest = findSearchTermInBooks(
+        "profound AND NOT Canadian", twentyLeaguesIn, { "syntax": "boolean", "match": "prefix" });
+if (booleanQueryNotTest.Results.length === 0) {
+    console.log("PASS: Boolean query NOT test");
+} else {
+    console.error("FAIL: Boolean query NOT test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(booleanQueryNotTest.Results));
+}
+
+const booleanQueryLineBreakTest = findSearchTermInBooks(
+        "darkness", twentyLeaguesIn, { "syntax": "boolean" });
+if (JSON.stringify(findLineBreakTermTestExpected.Results) === 
+        JSON.stringify(booleanQueryLineBreakTest.Results)) {
+    console.log("PASS: Boolean query line-breaked term test |", 
+            JSON.stringify(booleanQueryLineBreakTest.Results));
+} else {
+    console.error("FAIL: Boolean query line-breaked term test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected.Results));
+    console.error("Received:", JSON.stringify(booleanQueryLineBreakTest.Results));
+}
+
+const booleanQueryLineScopeTest = findSearchTermInBooks(
+        "momentum AND profound", twentyLeaguesIn, { "syntax": "boolean" });
+if (booleanQueryLineScopeTest.Results.length === 0) {
+    console.log("PASS: Boolean query line scope test");
+} else {
+    console.error("FAIL: Boolean query line scope test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(booleanQueryLineScopeTest.Results));
+}
+
+const booleanQueryPageScopeTest = findSearchTermInBooks(
+        "momentum AND profound", twentyLeaguesIn, { "syntax": "boolean", "scope": "page" });
+const booleanQueryPageScopeTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9
+    }
+];
+if (JSON.stringify(booleanQueryPageScopeTestExpected) === 
+        JSON.stringify(booleanQueryPageScopeTest.Results)) {
+    console.log("PASS: Boolean query page scope test |", 
+            JSON.stringify(booleanQueryPageScopeTest.Results));
+} else {
+    console.error("FAIL: Boolean query page scope test");
+    console.error("Expected:", JSON.stringify(booleanQueryPageScopeTestExpected));
+    console.error("Received:", JSON.stringify(booleanQueryPageScopeTest.Results));
+}
+
+const bookIndexBooleanQueryTest = twentyLeaguesIndex.search(
+        "\"dark ness\" OR (profound AND NOT Canadian)", { "syntax": "boolean" });
+if (JSON.stringify(booleanQueryTestExpected) === JSON.stringify(bookIndexBooleanQueryTest)) {
+    console.log("PASS: Book index boolean query test |", JSON.stringify(bookIndexBooleanQueryTest));
+} else {
+    console.error("FAIL: Book index boolean query test");
+    console.error("Expected:", JSON.stringify(booleanQueryTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexBooleanQueryTest));
+}
+
+// Tests for phrases spanning lines and pages
+console.warn("Testing phrases spanning lines and pages");
+const phraseExtraWhitespaceTest = findSearchTermInBooks(
+        "went on by her own momentum. The dark", twentyLeaguesIn);
+const phraseExtraWhitespaceTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8
+    }
+];
+if (JSON.stringify(phraseExtraWhitespaceTestExpected) === 
+        JSON.stringify(phraseExtraWhitespaceTest.Results)) {
+    console.log("PASS: Phrase with extra whitespace test |", 
+            JSON.stringify(phraseExtraWhitespaceTest.Results));
+} else {
+    console.error("FAIL: Phrase with extra whitespace test");
+    console.error("Expected:", JSON.stringify(phraseExtraWhitespaceTestExpected));
+    console.error("Received:", JSON.stringify(phraseExtraWhitespaceTest.Results));
+}
+
+const phraseAcrossLinesTest = findSearchTermInBooks(
+        "the Canadian's eyes were", twentyLeaguesIn);
+const phraseAcrossLinesTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10
+    }
+];
+if (JSON.stringify(phraseAcrossLinesTestExpected) === 
+        JSON.stringify(phraseAcrossLinesTest.Results)) {
+    console.log("PASS: Phrase across lines test |", JSON.stringify(phraseAcrossLinesTest.Results));
+} else {
+    console.error("FAIL: Phrase across lines test");
+    console.error("Expected:", JSON.stringify(phraseAcrossLinesTestExpected));
+    console.error("Received:", JSON.stringify(phraseAcrossLinesTest.Results));
+}
+
+const phraseAcrossHyphenBreakTest = findSearchTermInBooks(
+        "The darkness was then", twentyLeaguesIn);
+if (JSON.stringify(findLineBreakTermTestExpected.Results) === 
+        JSON.stringify(phraseAcrossHyphenBreakTest.Results)) {
+    console.log("PASS: Phrase across hyphen break test |", 
+            JSON.stringify(phraseAcrossHyphenBreakTest.Results));
+} else {
+    console.error("FAIL: Phrase across hyphen break test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected.Results));
+    console.error("Received:", JSON.stringify(phraseAcrossHyphenBreakTest.Results));
+}
+
+const pageBreakBook = [
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "Content": [
+            {
+                "Page": 2,
+                "Line": 1,
+                "Text": "under the sea."
+            },
+            {
+                "Page": 1,
+                "Line": 40,
+                "Text": "Twenty thousand leagues"
+            },
+            {
+                "Page": 3,
+                "Line": 2,
+                "Text": "Twenty thousand leagues"
+            },
+            {
+                "Page": 4,
+                "Line": 1,
+                "Text": "under the sea."
+            }
+        ]
+    }
+];
+const phraseAcrossPagesTest = findSearchTermInBooks("leagues under the sea", pageBreakBook);
+const phraseAcrossPagesTestExpected = [
+    {
+        "ISBN": "9780618260300",
+        "Page": 1,
+        "Line": 40
+    },
+    {
+        "ISBN": "9780618260300",
+        "Page": 2,
+        "Line": 1
+    },
+    {
+        "ISBN": "9780618260300",
+        "Page": 3,
+        "Line": 2
+    },
+    {
+        "ISBN": "9780618260300",
+        "Page": 4,
+        "Line": 1
+    }
+];
+if (JSON.stringify(phraseAcrossPagesTestExpected) === 
+        JSON.stringify(phraseAcrossPagesTest.Results)) {
+    console.log("PASS: Phrase across pages test |", JSON.stringify(phraseAcrossPagesTest.Results));
+} else {
+    console.error("FAIL: Phrase across pages test");
+    console.error("Expected:", JSON.stringify(phraseAcrossPagesTestExpected));
+    console.error("Received:", JSON.stringify(phraseAcrossPagesTest.Results));
+}
+
+const phraseAcrossGapTest = findSearchTermInBooks("thousand leagues under", [
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "Content": [
+            {
+                "Page": 1,
+                "Line": 1,
+                "Text": "Twenty thousand leagues"
+            },
+            {
+                "Page": 1,
+                "Line": 3,
+                "Text": "under the sea."
+            }
+        ]
+    }
+]);
+if (phraseAcrossGapTest.Results.length === 0) {
+    console.log("PASS: Phrase across unscanned line test");
+} else {
+    console.error("FAIL: Phrase across unscanned line test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(phraseAcrossGapTest.Results));
+}
+
+// Tests for proximity queries
+console.warn("Testing proximity queries");
+constructorTestRunner("searchResultDetailsTest", SearchResult, 
+        [31, 8, "9780000528537", { "Distance": 3 }], true);
+constructorTestRunner(
+        "searchResultInvalidDetailsTest", SearchResult, [31, 8, "9780000528537", null], false);
+
+const proximityQueryTest = findSearchTermInBooks(
+        "momentum NEAR/3 was", twentyLeaguesIn, { "syntax": "boolean" });
+const proximityQueryTestExpected = {
+    "SearchTerm": "momentum NEAR/3 was",
+    "Query": {
+        "Operator": "NEAR",
+        "Distance": 3,
+        "Operands": [{ "Term": "momentum" }, { "Term": "was" }]
+    },
+    "Results": [
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 8,
+            "Distance": 3,
+            "Pairs": [{ "Left": { "Page": 31, "Line": 8 }, "Right": { "Page": 31, "Line": 9 }, "Distance": 3 }]
+        },
+        {
+            "ISBN": "9780000528537",
+            "Page": 31,
+            "Line": 9,
+            "Distance": 3,
+            "Pairs": [{ "Left": { "Page": 31, "Line": 8 }, "Right": { "Page": 31, "Line": 9 }, "Distance": 3 }]
+        }
+    ]
+};
+if (JSON.stringify(proximityQueryTestExpected) === JSON.stringify(proximityQueryTest)) {
+    console.log("PASS: Proximity query across lines test |", JSON.stringify(proximityQueryTest));
+} else {
+    console.error("FAIL: Proximity query across lines test");
+    console.error("Expected:", JSON.stringify(proximityQueryTestExpected));
+    console.error("Received:", JSON.stringify(proximityQueryTest));
+}
+
+const proximityTooFarTest = findSearchTermInBooks(
+        "momentum NEAR/2 was", twentyLeaguesIn, { "syntax": "boolean" });
+if (proximityTooFarTest.Results.length === 0) {
+    console.log("PASS: Proximity query too far test");
+} else {
+    console.error("FAIL: Proximity query too far test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(proximityTooFarTest.Results));
+}
+
+const proximityUnorderedTest = findSearchTermInBooks(
+        "profound NEAR/3 darkness", twentyLeaguesIn, { "syntax": "boolean" });
+const proximityUnorderedTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8,
+        "Distance": 3,
+        "Pairs": [{ "Left": { "Page": 31, "Line": 9 }, "Right": { "Page": 31, "Line": 8 }, "Distance": 3 }]
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9,
+        "Distance": 3,
+        "Pairs": [{ "Left": { "Page": 31, "Line": 9 }, "Right": { "Page": 31, "Line": 8 }, "Distance": 3 }]
+    }
+];
+if (JSON.stringify(proximityUnorderedTestExpected) === 
+        JSON.stringify(proximityUnorderedTest.Results)) {
+    console.log("PASS: Proximity query unordered test |", 
+            JSON.stringify(proximityUnorderedTest.Results));
+} else {
+    console.error("FAIL: Proximity query unordered test");
+    console.error("Expected:", JSON.stringify(proximityUnorderedTestExpected));
+    console.error("Received:", JSON.stringify(proximityUnorderedTest.Results));
+}
+
+const proximityOrderedTest = findSearchTermInBooks(
+        "profound BEFORE/3 darkness", twentyLeaguesIn, { "syntax": "boolean" });
+if (proximityOrderedTest.Results.length === 0) {
+    console.log("PASS: Proximity query ordered test");
+} else {
+    console.error("FAIL: Proximity query ordered test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(proximityOrderedTest.Results));
+}
+
+// Lines holding several matches are a single result listing all of them
+const whaleShipBook = [
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "Content": [
+            { "Page": 1, "Line": 1, "Text": "The whale rammed the ship and the" },
+            { "Page": 1, "Line": 2, "Text": "ship sank while the whale swam" },
+            { "Page": 1, "Line": 3, "Text": "away from every other" },
+            { "Page": 1, "Line": 4, "Text": "ship." }
+        ]
+    }
+];
+const proximityPairsTest = findSearchTermInBooks("whale NEAR/10 ship", whaleShipBook, { "syntax": "boolean" });
+const proximityPairsTestLines = proximityPairsTest.Results.map((result) => result.line);
+const proximityPairsTestLineTwo = proximityPairsTest.Results[1]?.details;
+if (JSON.stringify([1, 2, 4]) === JSON.stringify(proximityPairsTestLines) && 
+        proximityPairsTestLineTwo.Distance === 4 && 
+        JSON.stringify(proximityPairsTestLineTwo.Pairs) === JSON.stringify([
+            { "Left": { "Page": 1, "Line": 1 }, "Right": { "Page": 1, "Line": 2 }, "Distance": 6 },
+            { "Left": { "Page": 1, "Line": 2 }, "Right": { "Page": 1, "Line": 1 }, "Distance": 7 },
+            { "Left": { "Page": 1, "Line": 2 }, "Right": { "Page": 1, "Line": 2 }, "Distance": 4 },
+            { "Left": { "Page": 1, "Line": 2 }, "Right": { "Page": 1, "Line": 4 }, "Distance": 6 }
+        ])) {
+    console.log("PASS: Proximity query pairs test |", JSON.stringify(proximityPairsTest.Results));
+} else {
+    console.error("FAIL: Proximity query pairs test");
+    console.error("Received:", JSON.stringify(proximityPairsTest.Results));
+}
+
+const nestedProximityTest = findSearchTermInBooks(
+        "(then NEAR/6 Canadian's) AND NOT momentum", twentyLeaguesIn, { "syntax": "boolean" });
+if (JSON.stringify(caseSensitiveSuccessTestExpected.Results) === 
+        JSON.stringify(nestedProximityTest.Results)) {
+    console.log("PASS: Nested proximity query test |", JSON.stringify(nestedProximityTest.Results));
+} else {
+    console.error("FAIL: Nested proximity query test");
+    console.error("Expected:", JSON.stringify(caseSensitiveSuccessTestExpected.Results));
+    console.error("Received:", JSON.stringify(nestedProximityTest.Results));
+}
+
+for (const [testName, queryText] of [
+        ["parseProximityPhraseTest", "\"dark ness\" NEAR/3 profound"],
+        ["parseProximityZeroDistanceTest", "dark NEAR/0 profound"],
+        ["parseProximityMissingOperandTest", "dark NEAR/3"]]) {
+    try {
+        QueryParser.parse(queryText);
+        console.error("FAIL:", testName, "|", `Query should not be parsed: ${queryText}`);
+    } catch(e) {
+        console.log("PASS:", testName, "|", e.toString());
+    }
+}
+
+// Tests for relevance ranking
+console.warn("Testing relevance ranking");
+const rankingBooks = [
+    {
+        "Title": "Moby Dick",
+        "ISBN": "9780142437247",
+        "Content": [
+            {
+                "Page": 1,
+                "Line": 1,
+                "Text": "Call me Ishmael. Some years ago, never mind how long, I went to sea"
+            },
+            {
+                "Page": 1,
+                "Line": 2,
+                "Text": "on a ship, and I saw the whale."
+            },
+            {
+                "Page": 2,
+                "Line": 1,
+                "Text": "The whale, the whale! A whale off the bow of the ship."
+            }
+        ]
+    },
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "Content": [
+            {
+                "Page": 7,
+                "Line": 3,
+                "Text": "A ship."
+            }
+        ]
+    }
+];
+
+const rankedSearchTest = findSearchTermInBooks("whale", rankingBooks, { "ranked": true });
+const rankedSearchTestPages = rankedSearchTest.Results.map((result) => result.page);
+if (JSON.stringify([2, 1]) === JSON.stringify(rankedSearchTestPages) && 
+        rankedSearchTest.Results[0].details.Score > rankedSearchTest.Results[1].details.Score) {
+    console.log("PASS: Ranked search page order test |", JSON.stringify(rankedSearchTest));
+} else {
+    console.error("FAIL: Ranked search page order test");
+    console.error("Expected pages:", JSON.stringify([2, 1]));
+    console.error("Received:", JSON.stringify(rankedSearchTest));
+}
+
+const rankedBookOrderTest = findSearchTermInBooks("ship", rankingBooks, { "ranked": true });
+const rankedBookOrderTestIsbns = rankedBookOrderTest.Results.map((result) => result.isbn);
+const rankedBookOrderTestExpected = ["9780618260300", "9780142437247", "9780142437247"];
+if (JSON.stringify(rankedBookOrderTestExpected) === JSON.stringify(rankedBookOrderTestIsbns)) {
+    console.log("PASS: Ranked search book order test |", JSON.stringify(rankedBookOrderTest));
+} else {
+    console.error("FAIL: Ranked search book order test");
+    console.error("Expected:", JSON.stringify(rankedBookOrderTestExpected));
+    console.error("Received:", JSON.stringify(rankedBookOrderTestIsbns));
+}
+
+const unrankedSearchTest = findSearchTermInBooks("ship", rankingBooks);
+if (unrankedSearchTest.Results[0].isbn === "9780142437247" && 
+        !("Score" in unrankedSearchTest.Results[0].toJSON())) {
+    console.log("PASS: Unranked search by default test");
+} else {
+    console.error("FAIL: Unranked search by default test");
+    console.error("Received:", JSON.stringify(unrankedSearchTest));
+}
+
+const rankedBooleanQueryTest = new BookIndex(rankingBooks).search(
+        "ship AND NOT Ishmael", { "syntax": "boolean", "ranked": true });
+const rankedBooleanQueryTestIsbns = rankedBooleanQueryTest.Results.map((result) => result.isbn);
+if (JSON.stringify(rankedBookOrderTestExpected) === JSON.stringify(rankedBooleanQueryTestIsbns)) {
+    console.log("PASS: Book index ranked boolean query test |", 
+            JSON.stringify(rankedBooleanQueryTest));
+} else {
+    console.error("FAIL: Book index ranked boolean query test");
+    console.error("Expected:", JSON.stringify(rankedBookOrderTestExpected));
+    console.error("Received:", JSON.stringify(rankedBooleanQueryTestIsbns));
+}
+
+// Tests for fuzzy matching
+console.warn("Testing fuzzy matching");
+constructorTestRunner("searchOptionsFuzzyTest", SearchOptions, 
+        [{ "match": "fuzzy", "maxEdits": 2, "ocrWeighted": true }], true);
+constructorTestRunner(
+        "searchOptionsInvalidMaxEditsTest", SearchOptions, [{ "maxEdits": -1 }], false);
+constructorTestRunner(
+        "searchOptionsInvalidOcrWeightedTest", SearchOptions, [{ "ocrWeighted": "yes" }], false);
+
+const ocrBook = [
+    {
+        "Title": "Twenty Thousand Leagues Under the Sea",
+        "ISBN": "9780000528537",
+        "Content": [
+            {
+                "Page": 31,
+                "Line": 9,
+                "Text": "ness was then prof0und; and however good the Canadian\'s"
+            },
+            {
+                "Page": 31,
+                "Line": 10,
+                "Text": "eyes were, I asked myself how he had rnanaged to see, and"
+            },
+            {
+                "Page": 32,
+                "Line": 1,
+                "Text": "the darkness was protound, and we were far out at sea."
+            }
+        ]
+    }
+];
+
+const fuzzySearchTest = findSearchTermInBooks("profound", ocrBook, { "match": "fuzzy" });
+const fuzzySearchTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9,
+        "Matches": [{ "Word": "prof0und", "Distance": 1 }]
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 32,
+        "Line": 1,
+        "Matches": [{ "Word": "protound", "Distance": 1 }]
+    }
+];
+if (JSON.stringify(fuzzySearchTestExpected) === JSON.stringify(fuzzySearchTest.Results)) {
+    console.log("PASS: Fuzzy search test |", JSON.stringify(fuzzySearchTest.Results));
+} else {
+    console.error("FAIL: Fuzzy search test");
+    console.error("Expected:", JSON.stringify(fuzzySearchTestExpected));
+    console.error("Received:", JSON.stringify(fuzzySearchTest.Results));
+}
+
+const fuzzyMaxEditsTest = findSearchTermInBooks(
+        "managed", ocrBook, { "match": "fuzzy", "maxEdits": 1 });
+if (fuzzyMaxEditsTest.Results.length === 0) {
+    console.log("PASS: Fuzzy search max edits test");
+} else {
+    console.error("FAIL: Fuzzy search max edits test");
+    console.error("Expected:", JSON.stringify([]));
+    console.error("Received:", JSON.stringify(fuzzyMaxEditsTest.Results));
+}
+
+const fuzzyOcrWeightedTest = findSearchTermInBooks(
+        "managed", ocrBook, { "match": "fuzzy", "maxEdits": 0.5, "ocrWeighted": true });
+const fuzzyOcrWeightedTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10,
+        "Matches": [{ "Word": "rnanaged", "Distance": 0.5 }]
+    }
+];
+if (JSON.stringify(fuzzyOcrWeightedTestExpected) === 
+        JSON.stringify(fuzzyOcrWeightedTest.Results)) {
+    console.log("PASS: Fuzzy search OCR weighted test |", 
+            JSON.stringify(fuzzyOcrWeightedTest.Results));
+} else {
+    console.error("FAIL: Fuzzy search OCR weighted test");
+    console.error("Expected:", JSON.stringify(fuzzyOcrWeightedTestExpected));
+    console.error("Received:", JSON.stringify(fuzzyOcrWeightedTest.Results));
+}
+
+const fuzzyLineBreakTest = findSearchTermInBooks("darknes", twentyLeaguesIn, { "match": "fuzzy" });
+const fuzzyLineBreakTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8,
+        "Matches": [{ "Word": "darkness", "Distance": 1 }]
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9,
+        "Matches": [{ "Word": "darkness", "Distance": 1 }]
+    }
+];
+if (JSON.stringify(fuzzyLineBreakTestExpected) === JSON.stringify(fuzzyLineBreakTest.Results)) {
+    console.log("PASS: Fuzzy search line-breaked term test |", 
+            JSON.stringify(fuzzyLineBreakTest.Results));
+} else {
+    console.error("FAIL: Fuzzy search line-breaked term test");
+    console.error("Expected:", JSON.stringify(fuzzyLineBreakTestExpected));
+    console.error("Received:", JSON.stringify(fuzzyLineBreakTest.Results));
+}
+
+const bookIndexFuzzyTest = new BookIndex(ocrBook).search("profound", { "match": "fuzzy" });
+if (JSON.stringify(fuzzySearchTestExpected) === JSON.stringify(bookIndexFuzzyTest.Results)) {
+    console.log("PASS: Book index fuzzy search test |", JSON.stringify(bookIndexFuzzyTest.Results));
+} else {
+    console.error("FAIL: Book index fuzzy search test");
+    console.error("Expected:", JSON.stringify(fuzzySearchTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexFuzzyTest.Results));
+}
+
+// Tests for wildcard and regular expression matching
+console.warn("Testing wildcard and regular expression matching");
+const wildcardStarTest = findSearchTermInBooks("dark*", twentyLeaguesIn, { "match": "wildcard" });
+const wildcardStarTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8,
+        "Matches": [{ "Word": "dark-" }]
+    }
+];
+if (JSON.stringify(wildcardStarTestExpected) === JSON.stringify(wildcardStarTest.Results)) {
+    console.log("PASS: Wildcard star test |", JSON.stringify(wildcardStarTest.Results));
+} else {
+    console.error("FAIL: Wildcard star test");
+    console.error("Expected:", JSON.stringify(wildcardStarTestExpected));
+    console.error("Received:", JSON.stringify(wildcardStarTest.Results));
+}
+
+const wildcardQuestionMarkTest = findSearchTermInBooks(
+        "h?d", twentyLeaguesIn, { "match": "wildcard" });
+const wildcardQuestionMarkTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10,
+        "Matches": [{ "Word": "had" }]
+    }
+];
+if (JSON.stringify(wildcardQuestionMarkTestExpected) === 
+        JSON.stringify(wildcardQuestionMarkTest.Results)) {
+    console.log("PASS: Wildcard question mark test |", 
+            JSON.stringify(wildcardQuestionMarkTest.Results));
+} else {
+    console.error("FAIL: Wildcard question mark test");
+    console.error("Expected:", JSON.stringify(wildcardQuestionMarkTestExpected));
+    console.error("Received:", JSON.stringify(wildcardQuestionMarkTest.Results));
+}
+
+const wildcardLineBreakTest = findSearchTermInBooks(
+        "D*NESS", twentyLeaguesIn, { "match": "wildcard", "caseSensitive": false });
+const wildcardLineBreakTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 8,
+        "Matches": [{ "Word": "darkness" }]
+    },
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9,
+        "Matches": [{ "Word": "darkness" }]
+    }
+];
+if (JSON.stringify(wildcardLineBreakTestExpected) === 
+        JSON.stringify(wildcardLineBreakTest.Results)) {
+    console.log("PASS: Wildcard line-breaked term test |", 
+            JSON.stringify(wildcardLineBreakTest.Results));
+} else {
+    console.error("FAIL: Wildcard line-breaked term test");
+    console.error("Expected:", JSON.stringify(wildcardLineBreakTestExpected));
+    console.error("Received:", JSON.stringify(wildcardLineBreakTest.Results));
+}
+
+const regexSearchTest = findSearchTermInBooks("[a-z]+ed", twentyLeaguesIn, { "match": "regex" });
+const regexSearchTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10,
+        "Matches": [{ "Word": "asked" }, { "Word": "managed" }]
+    }
+];
+if (JSON.stringify(regexSearchTestExpected) === JSON.stringify(regexSearchTest.Results)) {
+    console.log("PASS: Regular expression search test |", JSON.stringify(regexSearchTest.Results));
+} else {
+    console.error("FAIL: Regular expression search test");
+    console.error("Expected:", JSON.stringify(regexSearchTestExpected));
+    console.error("Received:", JSON.stringify(regexSearchTest.Results));
+}
+
+const bookIndexRegexTest = twentyLeaguesIndex.search("[a-z]+ed", { "match": "regex" });
+if (JSON.stringify(regexSearchTestExpected) === JSON.stringify(bookIndexRegexTest.Results)) {
+    console.log("PASS: Book index regular expression test |", 
+            JSON.stringify(bookIndexRegexTest.Results));
+} else {
+    console.error("FAIL: Book index regular expression test");
+    console.error("Expected:", JSON.stringify(regexSearchTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexRegexTest.Results));
+}
+
+for (const [testName, pattern] of [
+        ["regexNestedQuantifierTest", "(a+)+b"],
+        ["regexQuantifiedAlternationTest", "(a|aa)*"],
+        ["regexDoublyNestedQuantifierTest", "((a+))+b"],
+        ["regexNonCapturingNestedQuantifierTest", "(?:(a+))+b"],
+        ["regexNestedAlternationTest", "(x(a|aa)y)*"],
+        ["regexNestedCountedQuantifierTest", "(?:x(a{1,3})){2,}"],
+        ["regexConsecutiveQuantifiersTest", "a*a*a*a*a*a*c"],
+        ["regexConsecutiveGroupQuantifiersTest", "(?:a*)(?:a*)(?:a*)(?:a*)c"],
+        ["regexOptionalQuantifiersTest", "a?".repeat(25) + "c"],
+        ["regexBackreferenceTest", "(a)\\1"],
+        ["regexInvalidSyntaxTest", "[a-z"],
+        ["regexTooLongTest", "a".repeat(TermMatcher.MAX_PATTERN_LENGTH + 1)]]) {
+    try {
+        findSearchTermInBooks(pattern, twentyLeaguesIn, { "match": "regex" });
+        console.error("FAIL:", testName, "|", `Pattern should be rejected: ${pattern}`);
+    } catch(e) {
+        console.log("PASS:", testName, "|", e.toString());
+    }
+}
+
+for (const [testName, pattern] of [
+        ["regexQuantifiedGroupTest", "(?:ness)+"],
+        ["regexCharacterClassGroupTest", "([a+(]|ness)?[a-z]+"],
+        ["regexFewQuantifiersTest", "[a-z]*[a-z]+[a-z]*ed"],
+        ["regexEscapedQuantifiersTest", "a\\*a\\+a\\?[*+?]{2}a*"]]) {
+    try {
+        findSearchTermInBooks(pattern, twentyLeaguesIn, { "match": "regex" });
+        console.log("PASS:", testName, "|", pattern);
+    } catch(e) {
+        console.error("FAIL:", testName, "|", e.toString());
+    }
+}
+
+// Adversarial words must be matched in time linear in the length of the word for wildcards 
+// and polynomial for the regular expressions that aren't rejected
+const adversarialWordIn = [
+    {
+        "Title": "Adversarial word",
+        "ISBN": "9780000528537",
+        "Content": [
+            {
+                "Page": 1,
+                "Line": 1,
+                "Text": "a".repeat(TermMatcher.MAX_REGEX_WORD_LENGTH)
+            }
+        ]
+    }
+];
+for (const [testName, searchTerm, options] of [
+        ["Adversarial wildcard timing test", "*a*a*a*a*a*c", { "match": "wildcard" }],
+        ["Adversarial regular expression timing test", "a*a*a*c", { "match": "regex" }]]) {
+    const startTime = Date.now();
+    const adversarialResults = findSearchTermInBooks(searchTerm, adversarialWordIn, options).Results;
+    const elapsedTime = Date.now() - startTime;
+    if (adversarialResults.length === 0 && elapsedTime < 1000) {
+        console.log("PASS:", testName, "|", `${elapsedTime} ms`);
+    } else {
+        console.error("FAIL:", testName);
+        console.error("Expected:", "no results in under 1000 ms");
+        console.error("Received:", `${adversarialResults.length} results in ${elapsedTime} ms`);
+    }
+}
+
+const wildcardSegmentsTest = findSearchTermInBooks("*a?a*", adversarialWordIn, { "match": "wildcard" });
+if (wildcardSegmentsTest.Results.length === 1) {
+    console.log("PASS: Wildcard segments test");
+} else {
+    console.error("FAIL: Wildcard segments test");
+    console.error("Expected:", 1);
+    console.error("Received:", wildcardSegmentsTest.Results.length);
+}
+
+// Tests for stemming
+console.warn("Testing stemming");
+const porterStemmerTestCases = [
+    ["caresses", "caress"], ["ponies", "poni"], ["cats", "cat"], ["feed", "feed"],
+    ["agreed", "agre"], ["plastered", "plaster"], ["motoring", "motor"], ["hopping", "hop"],
+    ["filing", "file"], ["happy", "happi"], ["relational", "relat"], ["conditional", "condit"],
+    ["digitizer", "digit"], ["hopefulness", "hope"], ["triplicate", "triplic"],
+    ["adjustment", "adjust"], ["adoption", "adopt"], ["controll", "control"],
+    ["probate", "probat"], ["rate", "rate"], ["generalizations", "gener"],
+    ["manage", "manag"], ["managed", "manag"], ["managing", "manag"], ["manages", "manag"],
+    ["Canadian's", "Canadian"]
+];
+for (const [word, expectedStem] of porterStemmerTestCases) {
+    const stem = PorterStemmer.stem(word);
+    if (stem === expectedStem) {
+        console.log("PASS: Porter stemmer test |", word, "->", stem);
+    } else {
+        console.error("FAIL: Porter stemmer test |", word);
+        console.error("Expected:", expectedStem);
+        console.error("Received:", stem);
+    }
+}
+
+const stemSearchTest = findSearchTermInBooks("manage", twentyLeaguesIn, { "match": "stem" });
+const stemSearchTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10,
+        "Matches": [{ "Word": "managed" }]
+    }
+];
+if (JSON.stringify(stemSearchTestExpected) === JSON.stringify(stemSearchTest.Results)) {
+    console.log("PASS: Stem search test |", JSON.stringify(stemSearchTest.Results));
+} else {
+    console.error("FAIL: Stem search test");
+    console.error("Expected:", JSON.stringify(stemSearchTestExpected));
+    console.error("Received:", JSON.stringify(stemSearchTest.Results));
+}
+
+const stemSearchCaseInsensitiveTest = findSearchTermInBooks(
+        "Eye", twentyLeaguesIn, { "match": "stem", "caseSensitive": false });
+const stemSearchCaseInsensitiveTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 10,
+        "Matches": [{ "Word": "eyes" }]
+    }
+];
+if (JSON.stringify(stemSearchCaseInsensitiveTestExpected) === 
+        JSON.stringify(stemSearchCaseInsensitiveTest.Results)) {
+    console.log("PASS: Case insensitive stem search test |", 
+            JSON.stringify(stemSearchCaseInsensitiveTest.Results));
+} else {
+    console.error("FAIL: Case insensitive stem search test");
+    console.error("Expected:", JSON.stringify(stemSearchCaseInsensitiveTestExpected));
+    console.error("Received:", JSON.stringify(stemSearchCaseInsensitiveTest.Results));
+}
+
+const bookIndexStemTest = twentyLeaguesIndex.search("managing", { "match": "stem" });
+if (JSON.stringify(stemSearchTestExpected) === JSON.stringify(bookIndexStemTest.Results)) {
+    console.log("PASS: Book index stem search test |", JSON.stringify(bookIndexStemTest.Results));
+} else {
+    console.error("FAIL: Book index stem search test");
+    console.error("Expected:", JSON.stringify(stemSearchTestExpected));
+    console.error("Received:", JSON.stringify(bookIndexStemTest.Results));
+}
+
+// Tests for snippets
+console.warn("Testing snippets");
+constructorTestRunner("searchOptionsSnippetWordsTest", SearchOptions, [{ "snippetWords": 3 }], true);
+constructorTestRunner(
+        "searchOptionsInvalidSnippetWordsTest", SearchOptions, [{ "snippetWords": 1.5 }], false);
+
+const snippetWordTest = findSearchTermInBooks("profound", twentyLeaguesIn, { "snippetWords": 2 });
+const snippetWordTestExpected = [
+    {
+        "ISBN": "9780000528537",
+        "Page": 31,
+        "Line": 9,
+        "MatchedText": "profound",
+        "Start": 14,
+        "End": 22,
+        "Snippet": {
+            "Text": "was then profound; and however",
+            "MatchStart": 9,
+            "MatchEnd": 17
+        }
+    }
+];
+if (JSON.stringify(snippetWordTestExpected) === JSON.stringify(snippetWordTest.Results)) {
+    console.log("PASS: Snippet word test |", JSON.stringify(snippetWordTest.Results));
+} else {
+    console.error("FAIL: Snippet word test");
+    console.error("Expected:", JSON.stringify(snippetWordTestExpected));
+    console.error("Received:", JSON.stringify(snippetWordTest.Results));
+}
+
+const snippetNeighbouringLinesTest = findSearchTermInBooks(
+        "eyes", twentyLeaguesIn, { "snippetWords": 3 });
+const snippetNeighbouringLinesTestExpected = "good the Canadian's eyes were, I asked";
+if (snippetNeighbouringLinesTest.Results[0]?.details.Snippet.Text === 
+        snippetNeighbouringLinesTestExpected) {
+    console.log("PASS: Snippet neighbouring lines test |", 
+            JSON.stringify(snippetNeighbouringLinesTest.Results));
+} else {
+    console.error("FAIL: Snippet neighbouring lines test");
+    console.error("Expected:", snippetNeighbouringLinesTestExpected);
+    console.error("Received:", JSON.stringify(snippetNeighbouringLinesTest.Results));
+}
+
+const snippetLineBreakTest = findSearchTermInBooks(
+        "darkness", twentyLeaguesIn, { "snippetWords": 0 });
+const snippetLineBreakTestMatches = snippetLineBreakTest.Results.map(
+        (result) => [result.details.MatchedText, result.details.Start, result.details.End]);
+const snippetLineBreakTestExpected = [["dark-", 45, 50], ["ness", 0, 4]];
+if (JSON.stringify(snippetLineBreakTestExpected) === JSON.stringify(snippetLineBreakTestMatches)) {
+    console.log("PASS: Snippet line-breaked term test |", JSON.stringify(snippetLineBreakTestMatches));
+} else {
+    console.error("FAIL: Snippet line-breaked term test");
+    console.error("Expected:", JSON.stringify(snippetLineBreakTestExpected));
+    console.error("Received:", JSON.stringify(snippetLineBreakTestMatches));
+}
+
+const snippetPhraseTest = findSearchTermInBooks(
+        "the Canadian's eyes were", twentyLeaguesIn, { "snippetWords": 1 });
+const snippetPhraseTestMatches = snippetPhraseTest.Results.map(
+        (result) => [result.details.MatchedText, result.details.Snippet.Text]);
+const snippetPhraseTestExpected = [
+    ["the Canadian's", "good the Canadian's eyes"],
+    ["eyes were", "Canadian's eyes were, I"]
+];
+if (JSON.stringify(snippetPhraseTestExpected) === JSON.stringify(snippetPhraseTestMatches)) {
+    console.log("PASS: Snippet phrase across lines test |", 
+            JSON.stringify(snippetPhraseTestMatches));
+} else {
+    console.error("FAIL: Snippet phrase across lines test");
+    console.error("Expected:", JSON.stringify(snippetPhraseTestExpected));
+    console.error("Received:", JSON.stringify(snippetPhraseTestMatches));
+}
+
+const snippetHTMLTest = SnippetBuilder.toHTML({
+    "Text": "a <b> & \"c\" d",
+    "MatchStart": 2,
+    "MatchEnd": 5
+});
+const snippetHTMLTestExpected = "a <mark>&lt;b&gt;</mark> &amp; &quot;c&quot; d";
+if (snippetHTMLTest === snippetHTMLTestExpected) {
+    console.log("PASS: Snippet HTML test |", snippetHTMLTest);
+} else {
+    console.error("FAIL: Snippet HTML test");
+    console.error("Expected:", snippetHTMLTestExpected);
+    console.error("Received:", snippetHTMLTest);
+}
+
+// Tests for adding, replacing and removing lines
+console.warn("Testing Book mutation");
+constructorTestRunner("bookConflictPolicyTest", Book, ["Example title", "9780618260300", [
+    { "Page": 1, "Line": 1, "Text": "first" },
+    { "Page": 1, "Line": 1, "Text": "second" }
+], "keep-last"], true);
+constructorTestRunner("bookInvalidConflictPolicyTest", Book, 
+        ["Example title", "9780618260300", [], "keep-newest"], false);
+
+const conflictPolicyTests = [
+    ["keep-first", "a longer line"],
+    ["keep-last", "short"],
+    ["keep-longer", "a longer line"]
+];
+for (const [conflictPolicy, expectedText] of conflictPolicyTests) {
+    const conflictBook = new Book("Example title", "9780618260300", 
+            [{ "Page": 1, "Line": 1, "Text": "a longer line" }], conflictPolicy);
+    conflictBook.addLine(1, 1, "short");
+    if (conflictBook.getLine(1, 1).text === expectedText) {
+        console.log("PASS:", "bookAddLineConflictTest", "|", conflictPolicy);
+    } else {
+        console.error("FAIL:", "bookAddLineConflictTest", "|", conflictPolicy);
+        console.error("Expected:", expectedText);
+        console.error("Received:", conflictBook.getLine(1, 1).text);
+    }
+}
+
+const mutatedBook = new Book("Example title", "9780618260300", 
+        [{ "Page": 1, "Line": 1, "Text": "Existing line" }]);
+try {
+    mutatedBook.addPage(1, [
+        { "Line": 2, "Text": "New line" },
+        { "Line": 1, "Text": "Conflicting line" }
+    ]);
+    console.error("FAIL:", "bookAddPageConflictThrowTest");
+} catch(e) {
+    if (isNull(mutatedBook.getLine(1, 2))) {
+        console.log("PASS:", "bookAddPageConflictThrowTest", "|", e.toString());
+    } else {
+        console.error("FAIL:", "bookAddPageConflictThrowTest", "| page partially added");
+    }
+}
+
+const addedLineCount = mutatedBook.addPage(2, [
+    { "Line": 2, "Text": "second line" },
+    { "Line": 1, "Text": "first line" }
+]);
+mutatedBook.replaceLine(1, 1, "Replaced line");
+const mutatedBookLines = mutatedBook.getOrderedLines().map((pageLineText) => pageLineText.text);
+const mutatedBookLinesExpected = ["Replaced line", "first line", "second line"];
+if (addedLineCount === 2 && 
+        JSON.stringify(mutatedBookLines) === JSON.stringify(mutatedBookLinesExpected)) {
+    console.log("PASS:", "bookAddPageReplaceLineTest", "|", JSON.stringify(mutatedBookLines));
+} else {
+    console.error("FAIL:", "bookAddPageReplaceLineTest");
+    console.error("Expected:", JSON.stringify(mutatedBookLinesExpected));
+    console.error("Received:", JSON.stringify(mutatedBookLines));
+}
+
+try {
+    mutatedBook.replaceLine(3, 1, "Missing line");
+    console.error("FAIL:", "bookReplaceMissingLineTest");
+} catch(e) {
+    console.log("PASS:", "bookReplaceMissingLineTest", "|", e.toString());
+}
+
+if (mutatedBook.removePage(2) && !mutatedBook.removePage(2) && 
+        mutatedBook.getOrderedLines().length === 1) {
+    console.log("PASS:", "bookRemovePageTest");
+} else {
+    console.error("FAIL:", "bookRemovePageTest");
+}
+
+const mutatedIndex = new BookIndex(twentyLeaguesIn);
+mutatedIndex.search("profound");
+mutatedIndex.books[0].addLine(32, 1, "A profound silence followed.");
+mutatedIndex.books[0].removePage(31);
+const mutatedIndexTest = mutatedIndex.search("profound");
+const mutatedIndexTestExpected = [{ "ISBN": "9780000528537", "Page": 32, "Line": 1 }];
+if (JSON.stringify(mutatedIndexTestExpected) === JSON.stringify(mutatedIndexTest.Results)) {
+    console.log("PASS: Book index after mutation test |", JSON.stringify(mutatedIndexTest.Results));
+} else {
+    console.error("FAIL: Book index after mutation test");
+    console.error("Expected:", JSON.stringify(mutatedIndexTestExpected));
+    console.error("Received:", JSON.stringify(mutatedIndexTest.Results));
+}
+
+// Tests for merging scan batches sharing an ISBN
+console.warn("Testing scan batch merging");
+const batchedTwentyLeaguesIn = [
+    {
+        "Title": "Twenty Thousand Leagues Under the Sea",
+        "ISBN": "9780000528537",
+        "Content": twentyLeaguesIn[0]["Content"].slice(0, 2)
+    },
+    lordOfTheRings[0],
+    {
+        "Title": "Twenty Thousand Leagues Under the Sea",
+        "ISBN": "978-0-00-052853-7",
+        "Content": twentyLeaguesIn[0]["Content"].slice(2)
+    }
+];
+
+const batchMergeTest = findSearchTermInBooks("darkness", batchedTwentyLeaguesIn);
+if (JSON.stringify(findLineBreakTermTestExpected.Results) === 
+        JSON.stringify(batchMergeTest.Results) && isNull(batchMergeTest.Conflicts)) {
+    console.log("PASS: Scan batch merge test |", JSON.stringify(batchMergeTest));
+} else {
+    console.error("FAIL: Scan batch merge test");
+    console.error("Expected:", JSON.stringify(findLineBreakTermTestExpected.Results));
+    console.error("Received:", JSON.stringify(batchMergeTest));
+}
+
+const batchMergeIndexTest = new BookIndex(batchedTwentyLeaguesIn).search("darkness");
+if (JSON.stringify(batchMergeTest) === JSON.stringify(batchMergeIndexTest)) {
+    console.log("PASS: Scan batch merge index test |", JSON.stringify(batchMergeIndexTest));
+} else {
+    console.error("FAIL: Scan batch merge index test");
+    console.error("Expected:", JSON.stringify(batchMergeTest));
+    console.error("Received:", JSON.stringify(batchMergeIndexTest));
+}
+
+const conflictingBatchesIn = [
+    {
+        "Title": "Twenty Thousand Leagues Under the Sea",
+        "ISBN": "9780000528537",
+        "Content": [{ "Page": 31, "Line": 9, "Text": "profound; and however" }]
+    },
+    {
+        "Title": "20,000 Leagues Under the Sea",
+        "ISBN": "9780000528537",
+        "Content": [{ "Page": 31, "Line": 9, "Text": "pr0found; and however" }]
+    }
+];
+
+try {
+    findSearchTermInBooks("profound", conflictingBatchesIn);
+    console.error("FAIL: Scan batch duplicate line throw test");
+} catch(e) {
+    console.log("PASS: Scan batch duplicate line throw test |", e.toString());
+}
+
+const batchConflictTest = findSearchTermInBooks(
+        "profound", conflictingBatchesIn, { "conflictPolicy": "keep-first" });
+const batchConflictTestExpected = {
+    "SearchTerm": "profound",
+    "Results": [{ "ISBN": "9780000528537", "Page": 31, "Line": 9 }],
+    "Conflicts": [
         {
-            "ISBN": "9780618260300",
-            "Page": 1,
-            "Line": 1
+            "ISBN": "9780000528537",
+            "Type": "Title",
+            "Title": "Twenty Thousand Leagues Under the Sea",
+            "ConflictingTitle": "20,000 Leagues Under the Sea"
+        },
+        {
+            "ISBN": "9780000528537",
+            "Type": "Line",
+            "Page": 31,
+            "Line": 9,
+            "KeptText": "profound; and however",
+            "DiscardedText": "pr0found; and however"
         }
     ]
 };
-if (JSON.stringify(findRepeatedTermTestExpected) === 
-        JSON.stringify(findRepeatedTermTest)) {
-    console.log("PASS: Find repeated term in same line test |", findRepeatedTermTest);
+if (JSON.stringify(batchConflictTestExpected) === JSON.stringify(batchConflictTest)) {
+    console.log("PASS: Scan batch conflict report test |", JSON.stringify(batchConflictTest));
 } else {
-    console.error("FAIL: Find repeated term in same line test");
-    console.error("Expected:", JSON.stringify(findRepeatedTermTestExpected));
-    console.error("Received:", JSON.stringify(findRepeatedTermTest));
+    console.error("FAIL: Scan batch conflict report test");
+    console.error("Expected:", JSON.stringify(batchConflictTestExpected));
+    console.error("Received:", JSON.stringify(batchConflictTest));
 }
 
-const lordOfTheRings = [
+// Tests for cross-page hyphenation with page layout metadata
+console.warn("Testing page layout metadata");
+const crossPageHyphenContent = [
+    { "Page": 1, "Line": 39, "Text": "The room was lost in" },
+    { "Page": 1, "Line": 40, "Text": "complete dark-" },
+    { "Page": 2, "Line": 1, "Text": "ness; I could see nothing." }
+];
+const crossPageHyphenExpected = [
+    { "ISBN": "9780618260300", "Page": 1, "Line": 40 },
+    { "ISBN": "9780618260300", "Page": 2, "Line": 1 }
+];
+const crossPageHyphenInputs = [
+    ["LinesPerPage", { "LinesPerPage": 40, "Content": crossPageHyphenContent }],
+    ["Pages", { "Pages": [{ "Page": 1, "LinesPerPage": 40 }], "Content": crossPageHyphenContent }],
+    ["LastLine", {
+        "Content": crossPageHyphenContent.map((contentJSON) => 
+                contentJSON["Line"] === 40 ? { ...contentJSON, "LastLine": true } : contentJSON)
+    }]
+];
+for (const [layoutName, layoutJSON] of crossPageHyphenInputs) {
+    const crossPageHyphenIn = [{ "Title": "Example title", "ISBN": "9780618260300", ...layoutJSON }];
+    const crossPageHyphenTest = findSearchTermInBooks("darkness", crossPageHyphenIn);
+    const crossPageHyphenIndexTest = new BookIndex(crossPageHyphenIn).search("darkness");
+    if (JSON.stringify(crossPageHyphenExpected) === JSON.stringify(crossPageHyphenTest.Results) && 
+            JSON.stringify(crossPageHyphenTest) === JSON.stringify(crossPageHyphenIndexTest)) {
+        console.log("PASS: Cross-page hyphen test |", layoutName, "|", 
+                JSON.stringify(crossPageHyphenTest.Results));
+    } else {
+        console.error("FAIL: Cross-page hyphen test |", layoutName);
+        console.error("Expected:", JSON.stringify(crossPageHyphenExpected));
+        console.error("Received:", JSON.stringify(crossPageHyphenTest.Results), 
+                JSON.stringify(crossPageHyphenIndexTest.Results));
+    }
+}
+
+// Without a layout, line 40 may not be the last line of page 1
+const crossPageHyphenNoLayoutTest = findSearchTermInBooks("darkness", [{
+    "Title": "Example title", "ISBN": "9780618260300", "Content": crossPageHyphenContent
+}]);
+if (crossPageHyphenNoLayoutTest.Results.length === 0) {
+    console.log("PASS: Cross-page hyphen without layout test");
+} else {
+    console.error("FAIL: Cross-page hyphen without layout test");
+    console.error("Received:", JSON.stringify(crossPageHyphenNoLayoutTest.Results));
+}
+
+// Line 40 isn't the last line of page 1, so "dark-" continues on an unscanned line
+const crossPageHyphenShortLayoutTest = findSearchTermInBooks("darkness", [{
+    "Title": "Example title", "ISBN": "9780618260300", 
+    "LinesPerPage": 42, "Content": crossPageHyphenContent
+}]);
+if (crossPageHyphenShortLayoutTest.Results.length === 0) {
+    console.log("PASS: Hyphen before end of page test");
+} else {
+    console.error("FAIL: Hyphen before end of page test");
+    console.error("Received:", JSON.stringify(crossPageHyphenShortLayoutTest.Results));
+}
+
+constructorTestRunner("bookLineBeyondLayoutTest", Book, ["Example title", "9780618260300", 
+        crossPageHyphenContent, "throw", { "LinesPerPage": 30 }], false);
+constructorTestRunner("bookInvalidLayoutTest", Book, ["Example title", "9780618260300", 
+        crossPageHyphenContent, "throw", { "LinesPerPage": 0 }], false);
+
+const crossPageSnippetTest = findSearchTermInBooks("darkness", [{
+    "Title": "Example title", "ISBN": "9780618260300", 
+    "LinesPerPage": 40, "Content": crossPageHyphenContent
+}], { "snippetWords": 1 });
+const crossPageSnippetTestMatches = crossPageSnippetTest.Results.map(
+        (result) => result.details.Snippet.Text);
+const crossPageSnippetTestExpected = ["complete dark- ness;", "dark- ness; I"];
+if (JSON.stringify(crossPageSnippetTestExpected) === JSON.stringify(crossPageSnippetTestMatches)) {
+    console.log("PASS: Cross-page hyphen snippet test |", JSON.stringify(crossPageSnippetTestMatches));
+} else {
+    console.error("FAIL: Cross-page hyphen snippet test");
+    console.error("Expected:", JSON.stringify(crossPageSnippetTestExpected));
+    console.error("Received:", JSON.stringify(crossPageSnippetTestMatches));
+}
+
+// Tests for logical text reconstruction
+console.warn("Testing logical text");
+const logicalTextBook = new Book("Example title", "9780618260300", [
+    { "Page": 1, "Line": 1, "Text": "The dark-" },
+    { "Page": 1, "Line": 2, "Text": "ness hid a pre-" },
+    { "Page": 1, "Line": 3, "Text": "owned boat." },
+    { "Page": 2, "Line": 1, "Text": "A well-" },
+    { "Page": 2, "Line": 2, "Text": "known pre-" },
+    { "Page": 2, "Line": 3, "Text": "Columbian road." },
+    { "Page": 2, "Line": 5, "Text": "After a gap." }
+]);
+
+const logicalTextTest = logicalTextBook.getLogicalText();
+const logicalTextTestExpected = "The darkness hid a pre-owned boat. A well-known pre-Columbian road.\n" + 
+        "After a gap.";
+if (logicalTextTest.text === logicalTextTestExpected) {
+    console.log("PASS: Logical text test |", logicalTextTest.text);
+} else {
+    console.error("FAIL: Logical text test");
+    console.error("Expected:", logicalTextTestExpected);
+    console.error("Received:", logicalTextTest.text);
+}
+
+// "ness" starts at offset 8, the space after "boat." ends page 1 line 3
+const logicalTextSourceTest = [8, 9, 23, 34, 67].map((offset) => logicalTextTest.getSource(offset));
+const logicalTextSourceTestExpected = [
+    { "Page": 1, "Line": 2, "Column": 0 },
+    { "Page": 1, "Line": 2, "Column": 1 },
+    { "Page": 1, "Line": 3, "Column": 0 },
+    { "Page": 1, "Line": 3, "Column": 11 },
+    { "Page": 2, "Line": 3, "Column": 15 }
+];
+if (JSON.stringify(logicalTextSourceTestExpected) === JSON.stringify(logicalTextSourceTest)) {
+    console.log("PASS: Logical text source map test |", JSON.stringify(logicalTextSourceTest));
+} else {
+    console.error("FAIL: Logical text source map test");
+    console.error("Expected:", JSON.stringify(logicalTextSourceTestExpected));
+    console.error("Received:", JSON.stringify(logicalTextSourceTest));
+}
+
+const logicalTextRangeTest = logicalTextBook.getLogicalText(2, 2).text;
+const logicalTextRangeTestExpected = "A well-known pre-Columbian road.\nAfter a gap.";
+if (logicalTextRangeTest === logicalTextRangeTestExpected) {
+    console.log("PASS: Logical text page range test |", logicalTextRangeTest);
+} else {
+    console.error("FAIL: Logical text page range test");
+    console.error("Expected:", logicalTextRangeTestExpected);
+    console.error("Received:", logicalTextRangeTest);
+}
+
+const compoundHyphenTest = findSearchTermInBooks("pre-owned", [{
+    "Title": "Example title", "ISBN": "9780618260300", 
+    "Content": logicalTextBook.getOrderedLines().map((pageLineText) => pageLineText.toJSON())
+}]);
+const compoundHyphenTestExpected = [
+    { "ISBN": "9780618260300", "Page": 1, "Line": 2 },
+    { "ISBN": "9780618260300", "Page": 1, "Line": 3 }
+];
+if (JSON.stringify(compoundHyphenTestExpected) === JSON.stringify(compoundHyphenTest.Results)) {
+    console.log("PASS: Compound hyphen search test |", JSON.stringify(compoundHyphenTest.Results));
+} else {
+    console.error("FAIL: Compound hyphen search test");
+    console.error("Expected:", JSON.stringify(compoundHyphenTestExpected));
+    console.error("Received:", JSON.stringify(compoundHyphenTest.Results));
+}
+
+// A line ending with one of Book.COMPOUND_PREFIXES is only taken as a compound word 
+// in the logical text, searches match the word joined back together too
+const prefixBreakIn = [{
+    "Title": "Example title", "ISBN": "9780618260300", "Content": [
+        { "Page": 1, "Line": 1, "Text": "The pre-" },
+        { "Page": 1, "Line": 2, "Text": "sent day, for ex-" },
+        { "Page": 1, "Line": 3, "Text": "ample, was pro-" },
+        { "Page": 1, "Line": 4, "Text": "found." }
+    ]
+}];
+const prefixBreakIndex = new BookIndex(prefixBreakIn);
+for (const [searchTerm, lineArr] of [["present", [1, 2]], ["example", [2, 3]], ["profound", [3, 4]]]) {
+    const prefixBreakTestExpected = lineArr.map((line) => ({ "ISBN": "9780618260300", "Page": 1, "Line": line }));
+    const prefixBreakTest = findSearchTermInBooks(searchTerm, prefixBreakIn).Results;
+    const prefixBreakIndexTest = prefixBreakIndex.search(searchTerm).Results;
+    if (JSON.stringify(prefixBreakTestExpected) === JSON.stringify(prefixBreakTest) && 
+            JSON.stringify(prefixBreakTestExpected) === JSON.stringify(prefixBreakIndexTest)) {
+        console.log("PASS: Compound prefix line break search test |", searchTerm);
+    } else {
+        console.error("FAIL: Compound prefix line break search test |", searchTerm);
+        console.error("Expected:", JSON.stringify(prefixBreakTestExpected));
+        console.error("Received:", JSON.stringify(prefixBreakTest), JSON.stringify(prefixBreakIndexTest));
+    }
+}
+
+// Tests for tokenizers
+console.warn("Testing tokenizers");
+constructorTestRunner("tokenizerAbstractTest", Tokenizer, [], false);
+constructorTestRunner("regexTokenizerTest", RegexTokenizer, [/[a-z]+/g], true);
+constructorTestRunner("regexTokenizerNonGlobalTest", RegexTokenizer, [/[a-z]+/], false);
+constructorTestRunner("searchOptionsInvalidTokenizerTest", SearchOptions, 
+        [{ "tokenizer": /[a-z]+/g }], false);
+
+const unicodeTokenizerTest = Tokenizer.default.tokenize(
+        "The Canadian’s “ﬁne” eyes saw 20,000 leagues in 1869 — Ναυτίλος, Немо.")
+        .map((token) => token.word);
+const unicodeTokenizerTestExpected = [
+    "The", "Canadian's", "fine", "eyes", "saw", "20,000", "leagues", "in", "1869", "Ναυτίλος", "Немо"
+];
+if (JSON.stringify(unicodeTokenizerTestExpected) === JSON.stringify(unicodeTokenizerTest)) {
+    console.log("PASS: Unicode tokenizer test |", JSON.stringify(unicodeTokenizerTest));
+} else {
+    console.error("FAIL: Unicode tokenizer test");
+    console.error("Expected:", JSON.stringify(unicodeTokenizerTestExpected));
+    console.error("Received:", JSON.stringify(unicodeTokenizerTest));
+}
+
+// Offsets are in the original text even though the ligature is normalized to two letters
+const unicodeTokenizerSpanTest = Tokenizer.default.tokenize("a ﬁne day")[1];
+if (unicodeTokenizerSpanTest.word === "fine" && unicodeTokenizerSpanTest.start === 2 && 
+        unicodeTokenizerSpanTest.end === 5) {
+    console.log("PASS: Unicode tokenizer offset test |", JSON.stringify(unicodeTokenizerSpanTest));
+} else {
+    console.error("FAIL: Unicode tokenizer offset test |", JSON.stringify(unicodeTokenizerSpanTest));
+}
+
+const unicodeBookIn = [
     {
-        "Title": "Fellowship of the Ring",
-        "ISBN": "9780007149216",
+        "Title": "Двадцать тысяч льё под водой",
+        "ISBN": "9780618260300",
         "Content": [
-            {
-                "Page": 455,
-                "Line": 36,
-                "Text": "'As was agreed, I shall here blindfold the eyes of Gimli the"
-            },
-            {
-                "Page": 348,
-                "Line": 41,
-                "Text": "'Could we not still send messages to him and obtain his"
-            }
-        ] 
-    },
+            { "Page": 1, "Line": 1, "Text": "Капитан Немо и «Наутилус»." },
+            { "Page": 1, "Line": 2, "Text": "The Canadian’s ﬁrst harpoon." }
+        ]
+    }
+];
+const unicodeSearchTests = [
+    ["Немо", { "ISBN": "9780618260300", "Page": 1, "Line": 1 }],
+    ["Canadian's", { "ISBN": "9780618260300", "Page": 1, "Line": 2 }],
+    ["Canadian’s", { "ISBN": "9780618260300", "Page": 1, "Line": 2 }],
+    ["first", { "ISBN": "9780618260300", "Page": 1, "Line": 2 }]
+];
+for (const [searchTerm, expectedResult] of unicodeSearchTests) {
+    const unicodeSearchTest = findSearchTermInBooks(searchTerm, unicodeBookIn);
+    const unicodeIndexSearchTest = new BookIndex(unicodeBookIn).search(searchTerm);
+    if (JSON.stringify([expectedResult]) === JSON.stringify(unicodeSearchTest.Results) && 
+            JSON.stringify(unicodeSearchTest) === JSON.stringify(unicodeIndexSearchTest)) {
+        console.log("PASS: Unicode search test |", searchTerm, "|", 
+                JSON.stringify(unicodeSearchTest.Results));
+    } else {
+        console.error("FAIL: Unicode search test |", searchTerm);
+        console.error("Expected:", JSON.stringify([expectedResult]));
+        console.error("Received:", JSON.stringify(unicodeSearchTest.Results), 
+                JSON.stringify(unicodeIndexSearchTest.Results));
+    }
+}
+
+// A custom tokenizer per search: only whitespace separates words
+const whitespaceTokenizer = new RegexTokenizer(/\S+/g);
+const customTokenizerTest = findSearchTermInBooks(
+        "«Наутилус».", unicodeBookIn, { "tokenizer": whitespaceTokenizer });
+const customTokenizerTestExpected = [{ "ISBN": "9780618260300", "Page": 1, "Line": 1 }];
+if (JSON.stringify(customTokenizerTestExpected) === JSON.stringify(customTokenizerTest.Results)) {
+    console.log("PASS: Custom tokenizer search test |", JSON.stringify(customTokenizerTest.Results));
+} else {
+    console.error("FAIL: Custom tokenizer search test");
+    console.error("Expected:", JSON.stringify(customTokenizerTestExpected));
+    console.error("Received:", JSON.stringify(customTokenizerTest.Results));
+}
+
+// A custom tokenizer per book
+const customTokenizerBook = new Book("Example title", "9780618260300", 
+        unicodeBookIn[0]["Content"], "throw", {}, whitespaceTokenizer);
+if (JSON.stringify(customTokenizerBook.getWords("Капитан Немо и «Наутилус».")) === 
+        JSON.stringify(["Капитан", "Немо", "и", "«Наутилус»."])) {
+    console.log("PASS: Custom tokenizer book test");
+} else {
+    console.error("FAIL: Custom tokenizer book test");
+}
+
+try {
+    new BookIndex(unicodeBookIn).search("Немо", { "tokenizer": whitespaceTokenizer });
+    console.error("FAIL: Index tokenizer mismatch test");
+} catch(e) {
+    console.log("PASS: Index tokenizer mismatch test |", e.toString());
+}
+
+// Tests for numeric range search
+console.warn("Testing numeric range search");
+const numericBookIn = [
     {
-        "Title": "The Two Towers",
-        "ISBN": "0345339711",
+        "Title": "Example title",
+        "ISBN": "9780618260300",
         "Content": [
-            {
-                "Page": 4,
-                "Line": 1,
-                "Text": "As he ran the cries came louder, but fainter now and des-"
-            },
-            {
-                "Page": 12,
-                "Line": 7,
-                "Text": "Like a deer he sprang away. Through the trees he sped. On"
-            },
-            {
-                "Page": 6,
-                "Line": 11,
-                "Text": "'And I,' said Legolas, 'will take all the arrows that I can"
-            }
-        ] 
+            { "Page": 1, "Line": 1, "Text": "In the year 1866 the sea was troubled." },
+            { "Page": 1, "Line": 2, "Text": "The Nautilus sailed 20,000 leagues by 1869," },
+            { "Page": 1, "Line": 3, "Text": "and on the 3rd day it dove 1,500.5 metres." },
+            { "Page": 1, "Line": 4, "Text": "Ned Land was 40 years old." }
+        ]
+    }
+];
+const numericSearchTests = [
+    ["1869", [2]],
+    ["20,000", [2]],
+    ["year:1860..1870", [1, 2]],
+    ["year:1867..", [2]],
+    ["num:>1000", [1, 2, 3]],
+    ["num:<=3", [3]],
+    ["num:1,500.5", [3]],
+    ["year:>1000", [1, 2]]
+];
+for (const [searchTerm, expectedLineArr] of numericSearchTests) {
+    const numericSearchTest = findSearchTermInBooks(searchTerm, numericBookIn);
+    const numericIndexSearchTest = new BookIndex(numericBookIn).search(searchTerm);
+    const numericSearchTestLines = numericSearchTest.Results.map((result) => result.line);
+    if (JSON.stringify(expectedLineArr) === JSON.stringify(numericSearchTestLines) && 
+            JSON.stringify(numericSearchTest) === JSON.stringify(numericIndexSearchTest)) {
+        console.log("PASS: Numeric search test |", searchTerm, "|", JSON.stringify(numericSearchTest));
+    } else {
+        console.error("FAIL: Numeric search test |", searchTerm);
+        console.error("Expected lines:", JSON.stringify(expectedLineArr));
+        console.error("Received:", JSON.stringify(numericSearchTest), 
+                JSON.stringify(numericIndexSearchTest));
+    }
+}
+
+const numericMatchesTest = findSearchTermInBooks("num:>1000", numericBookIn).Results[2].details;
+const numericMatchesTestExpected = { "Matches": [{ "Word": "1,500.5" }] };
+if (JSON.stringify(numericMatchesTestExpected) === JSON.stringify(numericMatchesTest)) {
+    console.log("PASS: Numeric search matches test |", JSON.stringify(numericMatchesTest));
+} else {
+    console.error("FAIL: Numeric search matches test");
+    console.error("Expected:", JSON.stringify(numericMatchesTestExpected));
+    console.error("Received:", JSON.stringify(numericMatchesTest));
+}
+
+const numericQueryTest = findSearchTermInBooks(
+        "year:1860..1870 AND NOT leagues", numericBookIn, { "syntax": "boolean" });
+if (JSON.stringify(numericQueryTest.Results.map((result) => result.line)) === JSON.stringify([1])) {
+    console.log("PASS: Numeric boolean query test |", JSON.stringify(numericQueryTest));
+} else {
+    console.error("FAIL: Numeric boolean query test |", JSON.stringify(numericQueryTest));
+}
+
+for (const invalidTerm of ["num:abc", "year:1870..1860", "num:..", "num:1..2..3"]) {
+    try {
+        findSearchTermInBooks(invalidTerm, numericBookIn);
+        console.error("FAIL: Invalid numeric range test |", invalidTerm);
+    } catch(e) {
+        console.log("PASS: Invalid numeric range test |", invalidTerm, "|", e.toString());
+    }
+}
+
+// Tests for scanned text validation
+console.warn("Testing scanned text validation");
+const invalidScannedTextIn = [
+    twentyLeaguesIn[0],
+    null,
+    {
+        "Title": "Example title",
+        "ISBN": "97806182603",
+        "Content": []
     },
     {
-        "Title": "The Return of the King",
-        "ISBN": "0007488343",
+        "Title": "Example title",
+        "ISBN": "9780618260300",
+        "LinesPerPage": 3,
         "Content": [
-            {
-                "Page": 846,
-                "Line": 1,
-                "Text": "'It is also called kingsfoil,' said Aragorn: 'and maybe you know it by that"
-            },
-            {
-                "Page": 823,
-                "Line": 35,
-                "Text": "clenched his hand. She should not die, so fair, so desparate! At least she"
-            },
-            {
-                "Page": 913,
-                "Line": 20,
-                "Text": "'So that was the job I felt I had to do when I started,' thought Sam: 'to"
-            }
-        ] 
+            { "Page": 1, "Line": 1, "Text": "The profound silence" },
+            { "Page": 1, "Line": "2", "Text": "of the profound sea" },
+            { "Page": 1, "Line": 4, "Text": "beyond the page" },
+            { "Page": 1, "Line": 3, "Text": null },
+            { "Page": 2, "Line": 1, "Text": "a profound calm", "LastLine": "yes" },
+            { "Page": 1, "Line": 1, "Text": "A duplicate line" }
+        ]
     },
     {
-        "Title": "The Hobbit",
+        "Title": "Empty book",
         "ISBN": "0618260307",
         "Content": []
+    }
+];
+const validationReportTest = validateScannedText(invalidScannedTextIn);
+const validationReportTestExpected = [
+    { "Path": "[1]", "Severity": "error", "Message": "book must be an object" },
+    {
+        "Path": "[2].ISBN",
+        "Severity": "error",
+        "Message": "Invalid ISBN value \"97806182603\"; must have 10 or 13 digits but has 11"
     },
+    { "Path": "[3].Content[1].Line", "Severity": "error", "Message": "Line must be a positive integer" },
     {
-        "Title": "The Silmarillion",
-        "ISBN": "0618126988",
+        "Path": "[3].Content[2]",
+        "Severity": "error",
+        "Message": "Line #4 is beyond the last line #3 of page #1"
+    },
+    { "Path": "[3].Content[3].Text", "Severity": "error", "Message": "Text must be a string" },
+    { "Path": "[3].Content[4].LastLine", "Severity": "warning", "Message": "LastLine must be a boolean; ignored" },
+    { "Path": "[3].Content[5]", "Severity": "error", "Message": "Duplicate text entry on page #1, line #1" },
+    { "Path": "[4].Content", "Severity": "warning", "Message": "Content has no lines" }
+];
+if (JSON.stringify(validationReportTestExpected) === JSON.stringify(validationReportTest)) {
+    console.log("PASS: Scanned text validation report test |", JSON.stringify(validationReportTest));
+} else {
+    console.error("FAIL: Scanned text validation report test");
+    console.error("Expected:", JSON.stringify(validationReportTestExpected));
+    console.error("Received:", JSON.stringify(validationReportTest));
+}
+
+// Duplicate lines are resolved rather than invalid with a conflict policy
+const validationConflictPolicyTest = validateScannedText(
+        invalidScannedTextIn, { "conflictPolicy": "keep-first" });
+if (!validationConflictPolicyTest.some((problem) => problem["Path"] === "[3].Content[5]")) {
+    console.log("PASS: Scanned text validation conflict policy test");
+} else {
+    console.error("FAIL: Scanned text validation conflict policy test", 
+            JSON.stringify(validationConflictPolicyTest));
+}
+
+const validationRootTest = validateScannedText({ "Title": "Not an array" });
+if (validationRootTest.length === 1 && validationRootTest[0]["Path"] === "") {
+    console.log("PASS: Scanned text validation root test |", JSON.stringify(validationRootTest));
+} else {
+    console.error("FAIL: Scanned text validation root test |", JSON.stringify(validationRootTest));
+}
+
+if (validateScannedText(twentyLeaguesIn).length === 0) {
+    console.log("PASS: Scanned text validation valid input test");
+} else {
+    console.error("FAIL: Scanned text validation valid input test");
+}
+
+try {
+    findSearchTermInBooks("profound", invalidScannedTextIn);
+    console.error("FAIL: Strict search error path test");
+} catch(e) {
+    if (e.message.startsWith("Invalid scanned text at [1];")) {
+        console.log("PASS: Strict search error path test |", e.toString());
+    } else {
+        console.error("FAIL: Strict search error path test |", e.toString());
+    }
+}
+
+const lenientSearchTest = findSearchTermInBooks("profound", invalidScannedTextIn, { "lenient": true });
+const lenientSearchTestResults = [
+    { "ISBN": "9780000528537", "Page": 31, "Line": 9 },
+    { "ISBN": "9780618260300", "Page": 1, "Line": 1 },
+    { "ISBN": "9780618260300", "Page": 2, "Line": 1 }
+];
+if (JSON.stringify(lenientSearchTestResults) === JSON.stringify(lenientSearchTest.Results) && 
+        JSON.stringify(validationReportTestExpected) === JSON.stringify(lenientSearchTest.Problems)) {
+    console.log("PASS: Lenient search test |", JSON.stringify(lenientSearchTest));
+} else {
+    console.error("FAIL: Lenient search test");
+    console.error("Expected:", JSON.stringify(lenientSearchTestResults));
+    console.error("Received:", JSON.stringify(lenientSearchTest));
+}
+
+const lenientIndexSearchTest = new BookIndex(invalidScannedTextIn, { "lenient": true }).search("profound");
+if (JSON.stringify(lenientSearchTest) === JSON.stringify(lenientIndexSearchTest)) {
+    console.log("PASS: Lenient index search test |", JSON.stringify(lenientIndexSearchTest));
+} else {
+    console.error("FAIL: Lenient index search test");
+    console.error("Expected:", JSON.stringify(lenientSearchTest));
+    console.error("Received:", JSON.stringify(lenientIndexSearchTest));
+}
+
+console.warn("Testing search filters");
+const filterBooksIn = [...twentyLeaguesIn, ...lordOfTheRings, ...sampleBook];
+
+// Hyphenated and canonical forms of an ISBN are interchangeable
+const isbnFilterTest = findSearchTermInBooks("the", filterBooksIn, { "isbns": ["978-0-00-052853-7"] });
+if (isbnFilterTest.Results.length > 0 && 
+        isbnFilterTest.Results.every((result) => result.isbn === "9780000528537") && 
+        JSON.stringify(isbnFilterTest.Filters) === JSON.stringify({ "ISBNs": ["9780000528537"] })) {
+    console.log("PASS: ISBN filter test |", JSON.stringify(isbnFilterTest));
+} else {
+    console.error("FAIL: ISBN filter test |", JSON.stringify(isbnFilterTest));
+}
+
+const titleFilterTests = [
+    { "title": /Leagues/, "isbn": "9780000528537", "echo": "/Leagues/" },
+    { "title": "fellowship", "isbn": "9780007149216", "echo": "fellowship" },
+    { "title": /leagues/g, "isbn": null, "echo": "/leagues/" }
+];
+for (const { title, isbn, echo } of titleFilterTests) {
+    const titleFilterTest = findSearchTermInBooks("the", filterBooksIn, { "title": title });
+    const isbnSet = new Set(titleFilterTest.Results.map((result) => result.isbn));
+    if (JSON.stringify([...isbnSet]) === JSON.stringify(isNull(isbn) ? [] : [isbn]) && 
+            titleFilterTest.Filters["Title"] === echo) {
+        console.log("PASS: Title filter test |", String(title));
+    } else {
+        console.error("FAIL: Title filter test |", String(title), JSON.stringify(titleFilterTest));
+    }
+}
+
+// A hyphen-breaked word is only found from the line it starts on
+const lineFilterTests = [
+    { "term": "darkness", "options": { "lines": { "to": 8 } }, "lines": [8] },
+    { "term": "darkness", "options": { "lines": { "from": 9 } }, "lines": [] },
+    { "term": "and", "options": { "pages": { "from": 31, "to": 31 }, "lines": { "from": 10 } }, "lines": [10] },
+    { "term": "and", "options": { "pages": { "from": 32 } }, "lines": [] },
+    { "term": "dark ness", "options": { "lines": { "from": 9, "to": 10 } }, "lines": [] },
+    { "term": "profound AND Canadian's", "options": { "syntax": "boolean", "lines": { "from": 9 } }, 
+            "lines": [9] },
+    { "term": "darkness AND profound", "options": { "syntax": "boolean", "lines": { "from": 9 } }, 
+            "lines": [] }
+];
+for (const { term, options, lines } of lineFilterTests) {
+    const lineFilterTest = findSearchTermInBooks(term, twentyLeaguesIn, options);
+    const receivedLines = lineFilterTest.Results.map((result) => result.line);
+    if (JSON.stringify(lines) === JSON.stringify(receivedLines)) {
+        console.log("PASS: Page and line filter test |", term, JSON.stringify(lineFilterTest.Filters));
+    } else {
+        console.error("FAIL: Page and line filter test |", term, JSON.stringify(options));
+        console.error("Expected:", JSON.stringify(lines));
+        console.error("Received:", JSON.stringify(receivedLines));
+    }
+}
+
+const filterEchoTest = findSearchTermInBooks("the", twentyLeaguesIn, 
+        { "title": /Leagues/, "pages": { "from": 30, "to": 45 }, "lines": { "from": 2 } });
+const filterEchoTestExpected = { "Title": "/Leagues/", "Pages": { "From": 30, "To": 45 }, "Lines": { "From": 2 } };
+if (JSON.stringify(filterEchoTestExpected) === JSON.stringify(filterEchoTest.Filters) && 
+        !("Filters" in findSearchTermInBooks("the", twentyLeaguesIn))) {
+    console.log("PASS: Filter echo test |", JSON.stringify(filterEchoTest));
+} else {
+    console.error("FAIL: Filter echo test");
+    console.error("Expected:", JSON.stringify(filterEchoTestExpected));
+    console.error("Received:", JSON.stringify(filterEchoTest));
+}
+
+const filterIndex = new BookIndex(filterBooksIn);
+for (const { term, options } of [...lineFilterTests, 
+        { "term": "the", "options": { "title": "RING", "pages": { "to": 400 } } }]) {
+    const indexFilterTest = filterIndex.search(term, options);
+    const bookFilterTest = findSearchTermInBooks(term, filterBooksIn, options);
+    if (JSON.stringify(bookFilterTest) === JSON.stringify(indexFilterTest)) {
+        console.log("PASS: Index filter test |", term, JSON.stringify(indexFilterTest.Filters));
+    } else {
+        console.error("FAIL: Index filter test |", term);
+        console.error("Expected:", JSON.stringify(bookFilterTest));
+        console.error("Received:", JSON.stringify(indexFilterTest));
+    }
+}
+
+constructorTestRunner("searchOptionsInvalidISBNFilterTest", SearchOptions, [{ "isbns": ["1"] }], false);
+constructorTestRunner("searchOptionsEmptyISBNFilterTest", SearchOptions, [{ "isbns": [] }], false);
+constructorTestRunner("searchOptionsInvalidTitleFilterTest", SearchOptions, [{ "title": 1 }], false);
+constructorTestRunner("searchOptionsEmptyRangeFilterTest", SearchOptions, [{ "pages": {} }], false);
+constructorTestRunner("searchOptionsReversedRangeFilterTest", SearchOptions, 
+        [{ "pages": { "from": 45, "to": 30 } }], false);
+constructorTestRunner("searchOptionsNonIntegerRangeFilterTest", SearchOptions, 
+        [{ "lines": { "from": 1.5 } }], false);
+constructorTestRunner("searchOptionsValidFiltersTest", SearchOptions, 
+        [{ "isbns": ["0-618-26030-7"], "title": "Example", "lines": { "from": 1, "to": 1 } }], true);
+
+console.warn("Testing pagination");
+/**
+ * Helper method collecting every page of a paginated search.
+ * @param {function} search - Function taking search options and returning search results
+ * @param {object} options - Search options of every page
+ * @returns {object} - { pageArr, resultArr } where pageArr holds the result JSON of every page
+ */
+function collectPages(search, options) {
+    let pageArr = [];
+    let cursor = null;
+    do {
+        const pageJSON = search({ ...options, "cursor": cursor });
+        pageArr.push(pageJSON);
+        cursor = pageJSON.NextCursor;
+    } while (!isNull(cursor) && pageArr.length < 100);
+    return { "pageArr": pageArr, "resultArr": pageArr.flatMap((pageJSON) => pageJSON.Results) };
+}
+
+const paginationTests = [
+    { "name": "Plain", "term": "the", "options": { "caseSensitive": false } },
+    { "name": "Ranked", "term": "the", "options": { "caseSensitive": false, "ranked": true } },
+    { "name": "Boolean", "term": "the OR I", "options": { "syntax": "boolean" } }
+];
+const paginationIndex = new BookIndex(filterBooksIn);
+for (const { name, term, options } of paginationTests) {
+    const fullTest = findSearchTermInBooks(term, filterBooksIn, options);
+    // Unlike the full results, pages are sorted by ISBN, page and line
+    const fullTestSorted = [...fullTest.Results].sort((a, b) => ResultCursor.compareKeys(
+            ResultCursor.getKey(a, options.ranked === true), ResultCursor.getKey(b, options.ranked === true)));
+    const { pageArr, resultArr } = collectPages(
+            (pageOptions) => findSearchTermInBooks(term, filterBooksIn, pageOptions), 
+            { ...options, "limit": 2 });
+    const indexPages = collectPages(
+            (pageOptions) => paginationIndex.search(term, pageOptions), { ...options, "limit": 2 });
+    if (fullTest.Results.length > 2 && 
+            JSON.stringify(fullTestSorted) === JSON.stringify(resultArr) && 
+            pageArr.every((pageJSON) => pageJSON.TotalCount === fullTest.Results.length && 
+                pageJSON.Results.length <= 2) && 
+            isNull(pageArr[pageArr.length - 1].NextCursor) && 
+            JSON.stringify(pageArr) === JSON.stringify(indexPages.pageArr)) {
+        console.log(`PASS: ${name} pagination test |`, pageArr.length, "pages");
+    } else {
+        console.error(`FAIL: ${name} pagination test`);
+        console.error("Expected:", JSON.stringify(fullTestSorted));
+        console.error("Received:", JSON.stringify(pageArr));
+    }
+}
+
+// Results that aren't paginated are listed by book in scanned order, then page, then line
+const readingOrderTest = findSearchTermInBooks("the", filterBooksIn, { "caseSensitive": false });
+const filterBooksISBNArr = ingestScannedText(filterBooksIn).books.map((bookObj) => bookObj.isbn);
+const readingOrderTestPositions = readingOrderTest.Results.map(
+        (result) => [filterBooksISBNArr.indexOf(result.isbn), result.page, result.line]);
+if (readingOrderTestPositions.every((position, index) => index === 0 || 
+        readingOrderTestPositions[index - 1].join() === position.join() || 
+        readingOrderTestPositions[index - 1].findIndex((value, part) => value !== position[part]) === 
+            readingOrderTestPositions[index - 1].findIndex((value, part) => value < position[part]))) {
+    console.log("PASS: Reading order results test");
+} else {
+    console.error("FAIL: Reading order results test |", JSON.stringify(readingOrderTest));
+}
+
+// Every API returns the first results by ISBN, page and line when limited
+const limitedEagerTest = findSearchTermInBooks("the", filterBooksIn, { "caseSensitive": false, "limit": 5 });
+const limitedLazyTest = [...iterateSearchResults("the", filterBooksIn, { "caseSensitive": false, "limit": 5 })];
+const limitedTestExpected = [...readingOrderTest.Results].sort((a, b) => ResultCursor.compareKeys(
+        ResultCursor.getKey(a, false), ResultCursor.getKey(b, false))).slice(0, 5);
+if (JSON.stringify(limitedEagerTest.Results) === JSON.stringify(limitedLazyTest) && 
+        JSON.stringify(limitedLazyTest) === JSON.stringify(limitedTestExpected)) {
+    console.log("PASS: Limit across search APIs test |", JSON.stringify(limitedLazyTest));
+} else {
+    console.error("FAIL: Limit across search APIs test");
+    console.error("Expected:", JSON.stringify(limitedEagerTest.Results));
+    console.error("Received:", JSON.stringify(limitedLazyTest));
+}
+
+// Pages neither overlap nor skip results when the books are reordered between them
+let reorderedTestPage = findSearchTermInBooks("the", filterBooksIn, { "caseSensitive": false, "limit": 3 });
+let reorderedTestResults = [...reorderedTestPage.Results];
+const reorderedBooksIn = [...filterBooksIn].reverse();
+while (!isNull(reorderedTestPage.NextCursor) && reorderedTestResults.length < 100) {
+    reorderedTestPage = findSearchTermInBooks("the", reorderedBooksIn, 
+            { "caseSensitive": false, "limit": 3, "cursor": reorderedTestPage.NextCursor });
+    reorderedTestResults = reorderedTestResults.concat(reorderedTestPage.Results);
+}
+const reorderedTestExpected = collectPages(
+        (pageOptions) => findSearchTermInBooks("the", filterBooksIn, pageOptions), 
+        { "caseSensitive": false, "limit": 3 }).resultArr;
+if (reorderedTestExpected.length > 3 && 
+        JSON.stringify(reorderedTestExpected) === JSON.stringify(reorderedTestResults)) {
+    console.log("PASS: Reordered books pagination test |", JSON.stringify(reorderedTestResults));
+} else {
+    console.error("FAIL: Reordered books pagination test");
+    console.error("Expected:", JSON.stringify(reorderedTestExpected));
+    console.error("Received:", JSON.stringify(reorderedTestResults));
+}
+
+// A cursor continues even if the book of the last result it returned is no longer searched
+const missingCursorBookTest = findSearchTermInBooks("the", 
+        filterBooksIn.filter((bookJSON) => bookJSON["ISBN"] !== "9780007149216"), 
+        { "caseSensitive": false, "cursor": findSearchTermInBooks("the", filterBooksIn, 
+            { "caseSensitive": false, "limit": 3 }).NextCursor });
+if (JSON.stringify(reorderedTestExpected.slice(3)) === JSON.stringify(missingCursorBookTest.Results)) {
+    console.log("PASS: Missing cursor book pagination test |", JSON.stringify(missingCursorBookTest.Results));
+} else {
+    console.error("FAIL: Missing cursor book pagination test");
+    console.error("Expected:", JSON.stringify(reorderedTestExpected.slice(3)));
+    console.error("Received:", JSON.stringify(missingCursorBookTest.Results));
+}
+
+// Line 2 is a result twice: once for "darkness" breaked from line 1 and once on its own
+const duplicateLineBook = [
+    {
+        "Title": "Example title",
+        "ISBN": "9780618260300",
         "Content": [
-            {
-                "Page": 1,
-                "Line": 1,
-                "Text": ""
-            }
+            { "Page": 1, "Line": 1, "Text": "The dark-" },
+            { "Page": 1, "Line": 2, "Text": "ness and the darkness" },
+            { "Page": 1, "Line": 3, "Text": "darkness again" }
         ]
     }
 ];
-const findTermInMultipleBooksTest = findSearchTermInBooks("I", lordOfTheRings);
-const findTermInMultipleBooksTestExpected = {
-    "SearchTerm": "I",
-    "Results": [
-        {
-            "ISBN": "9780007149216",
-            "Page": 455,
-            "Line": 36
-        },
-        {
-            "ISBN": "0345339711",
-            "Page": 6,
-            "Line": 11
-        },
-        {
-            "ISBN": "0007488343",
-            "Page": 913,
-            "Line": 20
+const duplicateLineTest = collectPages(
+        (pageOptions) => findSearchTermInBooks("darkness", duplicateLineBook, pageOptions), 
+        { "limit": 1 });
+const duplicateLineTestLines = duplicateLineTest.resultArr.map((result) => result.line);
+if (JSON.stringify([1, 2, 2, 3]) === JSON.stringify(duplicateLineTestLines)) {
+    console.log("PASS: Pagination duplicate line test |", JSON.stringify(duplicateLineTestLines));
+} else {
+    console.error("FAIL: Pagination duplicate line test");
+    console.error("Expected:", JSON.stringify([1, 2, 2, 3]));
+    console.error("Received:", JSON.stringify(duplicateLineTestLines));
+}
+
+// The next page continues after the last result returned even if results are added before it
+const cursorStabilityPage = findSearchTermInBooks("darkness", duplicateLineBook, { "limit": 2 });
+const cursorStabilityTest = findSearchTermInBooks("darkness", [...twentyLeaguesIn, ...duplicateLineBook], 
+        { "limit": 2, "cursor": cursorStabilityPage.NextCursor });
+const cursorStabilityTestLines = cursorStabilityTest.Results.map((result) => result.line);
+if (JSON.stringify([2, 3]) === JSON.stringify(cursorStabilityTestLines) && 
+        cursorStabilityTest.TotalCount === 6) {
+    console.log("PASS: Cursor stability test |", JSON.stringify(cursorStabilityTest));
+} else {
+    console.error("FAIL: Cursor stability test");
+    console.error("Expected:", JSON.stringify([2, 3]));
+    console.error("Received:", JSON.stringify(cursorStabilityTest));
+}
+
+const lastPageTest = findSearchTermInBooks("the", twentyLeaguesIn, { "limit": 5 });
+if (lastPageTest.TotalCount === 1 && lastPageTest.NextCursor === null && 
+        !("TotalCount" in findSearchTermInBooks("the", twentyLeaguesIn))) {
+    console.log("PASS: Single page test |", JSON.stringify(lastPageTest));
+} else {
+    console.error("FAIL: Single page test |", JSON.stringify(lastPageTest));
+}
+
+try {
+    findSearchTermInBooks("and", duplicateLineBook, 
+            { "cursor": findSearchTermInBooks("darkness", duplicateLineBook, { "limit": 1 }).NextCursor });
+    console.error("FAIL: Cursor of another search test");
+} catch(e) {
+    console.log("PASS: Cursor of another search test |", e.toString());
+}
+
+constructorTestRunner("searchOptionsZeroLimitTest", SearchOptions, [{ "limit": 0 }], false);
+constructorTestRunner("searchOptionsFractionalLimitTest", SearchOptions, [{ "limit": 1.5 }], false);
+constructorTestRunner("searchOptionsInvalidCursorTest", SearchOptions, [{ "cursor": "not a cursor" }], false);
+constructorTestRunner("searchOptionsForgedCursorTest", SearchOptions, 
+        [{ "cursor": btoa(JSON.stringify({ "SearchTerm": "the" })) }], false);
+
+console.warn("Testing batch search");
+const batchSearchTests = [
+    { "terms": ["the", "darkness", "dark ness", "Canadian's", "I", "nonexistent", "the"], "options": {} },
+    { "terms": ["THE", "profund", "dark*"], "options": { "caseSensitive": false, "match": "fuzzy" } },
+    { "terms": ["profound AND NOT Canadian", "darkness OR I"], "options": { "syntax": "boolean" } },
+    { "terms": ["the", "darkness"], "options": { "limit": 1, "snippetWords": 2, "lines": { "from": 9 } } }
+];
+for (const { terms, options } of batchSearchTests) {
+    const batchSearchTest = findSearchTermsInBooks(terms, filterBooksIn, options);
+    const batchSearchTestExpected = terms.map(
+            (searchTerm) => findSearchTermInBooks(searchTerm, filterBooksIn, options));
+    if (JSON.stringify(batchSearchTestExpected) === JSON.stringify(batchSearchTest)) {
+        console.log("PASS: Batch search test |", JSON.stringify(terms), JSON.stringify(options));
+    } else {
+        console.error("FAIL: Batch search test |", JSON.stringify(terms));
+        console.error("Expected:", JSON.stringify(batchSearchTestExpected));
+        console.error("Received:", JSON.stringify(batchSearchTest));
+    }
+}
+
+if (JSON.stringify(findSearchTermsInBooks([], twentyLeaguesIn)) === "[]") {
+    console.log("PASS: Empty batch search test");
+} else {
+    console.error("FAIL: Empty batch search test");
+}
+
+const invalidBatchSearchTests = [
+    { "name": "Not an array", "terms": "the", "options": {} },
+    { "name": "Invalid term", "terms": ["the", ""], "options": {} },
+    { "name": "Malformed query", "terms": ["the AND"], "options": { "syntax": "boolean" } },
+    { "name": "Cursor", "terms": ["the"], 
+            "options": { "cursor": findSearchTermInBooks("the", filterBooksIn, { "limit": 1 }).NextCursor } }
+];
+for (const { name, terms, options } of invalidBatchSearchTests) {
+    try {
+        findSearchTermsInBooks(terms, filterBooksIn, options);
+        console.error(`FAIL: Invalid batch search test | ${name}`);
+    } catch(e) {
+        console.log(`PASS: Invalid batch search test | ${name} |`, e.toString());
+    }
+}
+
+console.warn("Testing lazy search");
+const lazySearchTests = [
+    { "term": "the", "options": { "caseSensitive": false } },
+    { "term": "darkness", "options": { "snippetWords": 2 } },
+    { "term": "leagues under the sea", "options": {} },
+    { "term": "leagues NEAR/3 sea", "options": { "syntax": "boolean" } },
+    { "term": "Twenty AND sea", "options": { "syntax": "boolean", "scope": "page" } }
+];
+for (const { term, options } of lazySearchTests) {
+    for (const scannedTextIn of [filterBooksIn, pageBreakBook]) {
+        const lazySearchTest = [...iterateSearchResults(term, scannedTextIn, options)];
+        const lazySearchTestExpected = findSearchTermInBooks(term, scannedTextIn, options).Results;
+        if (JSON.stringify(lazySearchTestExpected) === JSON.stringify(lazySearchTest)) {
+            console.log("PASS: Lazy search test |", term, JSON.stringify(lazySearchTest));
+        } else {
+            console.error("FAIL: Lazy search test |", term);
+            console.error("Expected:", JSON.stringify(lazySearchTestExpected));
+            console.error("Received:", JSON.stringify(lazySearchTest));
         }
-    ]
-};
-if (JSON.stringify(findTermInMultipleBooksTestExpected) === 
-        JSON.stringify(findTermInMultipleBooksTest)) {
-    console.log("PASS: Find term in multiple books test |", findTermInMultipleBooksTest);
+    }
+}
+
+/**
+ * Tokenizer counting the lines it tokenizes, to check how much of a book was searched.
+ */
+class CountingTokenizer extends UnicodeTokenizer {
+    count = 0;
+
+    tokenize(text) {
+        this.count++;
+        return super.tokenize(text);
+    }
+}
+const manyLinesBook = [{
+    "Title": "Example title",
+    "ISBN": "9780618260300",
+    "Content": Array.from({ length: 200 }, (_, index) => 
+            ({ "Page": 1, "Line": index + 1, "Text": `line ${index + 1} of the book` }))
+}];
+const countingTokenizer = new CountingTokenizer();
+const firstResultsTest = [];
+for (const searchResult of iterateSearchResults("the", manyLinesBook, { "tokenizer": countingTokenizer })) {
+    firstResultsTest.push(searchResult);
+    if (firstResultsTest.length === 3) {
+        break;
+    }
+}
+if (JSON.stringify([1, 2, 3]) === JSON.stringify(firstResultsTest.map((result) => result.line)) && 
+        countingTokenizer.count === 3) {
+    console.log("PASS: Lazy search early stop test |", countingTokenizer.count, "lines tokenized");
 } else {
-    console.error("FAIL: Find term in multiple books test");
-    console.error("Expected:", JSON.stringify(findTermInMultipleBooksTestExpected));
-    console.error("Received:", JSON.stringify(findTermInMultipleBooksTest));
+    console.error("FAIL: Lazy search early stop test |", countingTokenizer.count, "lines tokenized", 
+            JSON.stringify(firstResultsTest));
+}
+
+const lazyLimitTest = [...iterateSearchResults("the", manyLinesBook, { "limit": 5 })];
+if (JSON.stringify([1, 2, 3, 4, 5]) === JSON.stringify(lazyLimitTest.map((result) => result.line))) {
+    console.log("PASS: Lazy search limit test");
+} else {
+    console.error("FAIL: Lazy search limit test |", JSON.stringify(lazyLimitTest));
+}
+
+// Book iterators yield an array of results per batch, the batch iterators also give its page
+const pageBreakBookObj = ingestScannedText(pageBreakBook).books[0];
+const bookIteratorTest = [...pageBreakBookObj.iterateTermResults("the", { "caseSensitive": false })];
+const bookBatchIteratorTest = [...pageBreakBookObj.iterateTermBatches("the", { "caseSensitive": false })];
+if (bookIteratorTest.every((resultArr) => Array.isArray(resultArr)) && 
+        JSON.stringify(bookIteratorTest) === 
+            JSON.stringify(bookBatchIteratorTest.map((batch) => batch.results)) && 
+        bookBatchIteratorTest.every((batch, index) => Number.isInteger(batch.page) && 
+            batch.results.every((result) => result.page <= batch.page) && 
+            (index === 0 || bookBatchIteratorTest[index - 1].page <= batch.page))) {
+    console.log("PASS: Book iterator test |", JSON.stringify(bookBatchIteratorTest));
+} else {
+    console.error("FAIL: Book iterator test");
+    console.error("Received:", JSON.stringify(bookIteratorTest), JSON.stringify(bookBatchIteratorTest));
+}
+
+for (const options of [{ "ranked": true }, 
+        { "cursor": findSearchTermInBooks("the", manyLinesBook, { "limit": 1 }).NextCursor }]) {
+    try {
+        iterateSearchResults("the", manyLinesBook, options).next();
+        console.error("FAIL: Lazy search unsupported option test |", JSON.stringify(options));
+    } catch(e) {
+        console.log("PASS: Lazy search unsupported option test |", e.toString());
+    }
+}
+
+// Async iterators settle after every synchronous test has run
+(async () => {
+    let asyncSearchTest = [];
+    for await (const searchResult of iterateSearchResultsAsync("the", filterBooksIn)) {
+        asyncSearchTest.push(searchResult);
+    }
+    const asyncSearchTestExpected = [...iterateSearchResults("the", filterBooksIn)];
+    if (JSON.stringify(asyncSearchTestExpected) === JSON.stringify(asyncSearchTest)) {
+        console.log("PASS: Async search test |", JSON.stringify(asyncSearchTest));
+    } else {
+        console.error("FAIL: Async search test");
+        console.error("Expected:", JSON.stringify(asyncSearchTestExpected));
+        console.error("Received:", JSON.stringify(asyncSearchTest));
+    }
+
+    const abortController = new AbortController();
+    let abortedSearchTest = [];
+    try {
+        for await (const searchResult of iterateSearchResultsAsync(
+                "the", manyLinesBook, {}, abortController.signal)) {
+            abortedSearchTest.push(searchResult);
+            if (abortedSearchTest.length === 2) {
+                abortController.abort();
+            }
+        }
+        console.error("FAIL: Async search abort test | search was not aborted");
+    } catch(e) {
+        if (e.name === "AbortError" && abortedSearchTest.length === 2) {
+            console.log("PASS: Async search abort test |", e.toString());
+        } else {
+            console.error("FAIL: Async search abort test |", e.toString(), abortedSearchTest.length);
+        }
+    }
+
+    try {
+        await iterateSearchResultsAsync("the", manyLinesBook, {}, AbortSignal.abort()).next();
+        console.error("FAIL: Async search already aborted test");
+    } catch(e) {
+        console.log("PASS: Async search already aborted test |", e.toString());
+    }
+
+    try {
+        await iterateSearchResultsAsync("the", manyLinesBook, {}, "signal").next();
+        console.error("FAIL: Async search invalid signal test");
+    } catch(e) {
+        console.log("PASS: Async search invalid signal test |", e.toString());
+    }
+})();
+
+console.warn("Testing search worker");
+/**
+ * Helper method connecting a SearchWorkerClient to a SearchWorkerHost through 
+ * a MessageChannel, the way a Web Worker would connect them.
+ * @returns {SearchWorkerClient} - Client of a new host
+ */
+function createChannelClient() {
+    const { port1, port2 } = new MessageChannel();
+    const searchWorkerHost = new SearchWorkerHost((message) => port2.postMessage(message));
+    port2.onmessage = (event) => searchWorkerHost.handleMessage(event.data);
+    return new SearchWorkerClient(port1);
+}
+
+(async () => {
+    const workerClient = createChannelClient();
+    try {
+        try {
+            await workerClient.search("the");
+            console.error("FAIL: Search worker not loaded test");
+        } catch(e) {
+            console.log("PASS: Search worker not loaded test |", e.toString());
+        }
+
+        const loadTest = await workerClient.load(filterBooksIn);
+        if (loadTest.BookCount === 6 && loadTest.PageCount === 11 && loadTest.Conflicts.length === 1) {
+            console.log("PASS: Search worker load test |", JSON.stringify(loadTest));
+        } else {
+            console.error("FAIL: Search worker load test |", JSON.stringify(loadTest));
+        }
+
+        let progressArr = [];
+        let partialResultArr = [];
+        const workerSearchTest = await workerClient.search("the", { "caseSensitive": false }, {
+            "onProgress": (progress) => progressArr.push(progress), 
+            "onResults": (resultArr) => partialResultArr.push(...resultArr)
+        });
+        const workerSearchTestExpected = JSON.parse(JSON.stringify(
+                [...iterateSearchResults("the", filterBooksIn, { "caseSensitive": false })]));
+        const lastProgress = progressArr[progressArr.length - 1];
+        if (JSON.stringify(workerSearchTestExpected) === JSON.stringify(workerSearchTest.Results) && 
+                JSON.stringify(partialResultArr) === JSON.stringify(workerSearchTest.Results) && 
+                workerSearchTest.TotalCount === workerSearchTestExpected.length && 
+                lastProgress.BooksProcessed === 6 && lastProgress.PagesProcessed === 11) {
+            console.log("PASS: Search worker search test |", JSON.stringify(workerSearchTest));
+        } else {
+            console.error("FAIL: Search worker search test");
+            console.error("Expected:", JSON.stringify(workerSearchTestExpected));
+            console.error("Received:", JSON.stringify(workerSearchTest), JSON.stringify(progressArr));
+        }
+
+        // Every batch of lines is a slice of its own, so progress is posted for every line
+        const timeSlice = SearchWorkerHost.TIME_SLICE;
+        SearchWorkerHost.TIME_SLICE = 0;
+        await workerClient.load(manyLinesBook);
+        let slicedProgressArr = [];
+        const slicedSearchTest = await workerClient.search("the", {}, 
+                { "onProgress": (progress) => slicedProgressArr.push(progress) });
+        if (slicedSearchTest.TotalCount === 200 && slicedProgressArr[0].PagesProcessed === 1 && 
+                slicedProgressArr.length === 201) {
+            console.log("PASS: Search worker progress test |", slicedProgressArr.length, "progress events");
+        } else {
+            console.error("FAIL: Search worker progress test |", JSON.stringify(slicedProgressArr));
+        }
+
+        const abortController = new AbortController();
+        let cancelledResultArr = [];
+        try {
+            await workerClient.search("the", {}, { "signal": abortController.signal, 
+                "onResults": (resultArr) => {
+                    cancelledResultArr.push(...resultArr);
+                    abortController.abort();
+                }
+            });
+            console.error("FAIL: Search worker cancel test | search was not cancelled");
+        } catch(e) {
+            if (e.name === "AbortError" && cancelledResultArr.length < 200) {
+                console.log("PASS: Search worker cancel test |", e.toString());
+            } else {
+                console.error("FAIL: Search worker cancel test |", e.toString(), cancelledResultArr.length);
+            }
+        }
+        SearchWorkerHost.TIME_SLICE = timeSlice;
+
+        try {
+            await workerClient.search("the AND", { "syntax": "boolean" });
+            console.error("FAIL: Search worker error test");
+        } catch(e) {
+            console.log("PASS: Search worker error test |", e.toString());
+        }
+    } finally {
+        workerClient.terminate();
+    }
+})();
+
+constructorTestRunner("searchWorkerClientNullArgTest", SearchWorkerClient, [null], false);
+constructorTestRunner("searchWorkerHostInvalidArgTest", SearchWorkerHost, ["postMessage"], false);
+const tokenizerWorkerClient = createChannelClient();
+try {
+    tokenizerWorkerClient.search("the", { "tokenizer": new UnicodeTokenizer() });
+    console.error("FAIL: Search worker tokenizer option test");
+} catch(e) {
+    console.log("PASS: Search worker tokenizer option test |", e.toString());
+} finally {
+    tokenizerWorkerClient.terminate();
+}
+
+/** Command-line interface, only testable in Node.js */
+if (typeof(require) === "function") {
+    console.warn("Testing command-line interface");
+    const { EXIT_CODES, run } = require("./book_search_cli.js");
+
+    /**
+     * Runs the CLI on in-memory files, without a terminal.
+     * @param {object} argArr - Command-line arguments
+     * @param {object} fileObj - File contents by path, "-" for stdin
+     * @returns {object} - { exitCode, out, error } of the run
+     */
+    function runCLI(argArr, fileObj) {
+        let out = "";
+        let error = "";
+        const readFile = (path) => {
+            if (!(path in fileObj)) {
+                throw new Error("no such file");
+            }
+            return fileObj[path];
+        };
+        const exitCode = run(argArr, {
+            "readFile": readFile,
+            "readStdin": () => readFile("-"),
+            "isStdinTTY": () => !("-" in fileObj),
+            "isStdoutTTY": () => false,
+            "writeOut": (text) => out += text,
+            "writeError": (text) => error += text
+        });
+        return { exitCode, out, error };
+    }
+
+    /**
+     * Runs the CLI and checks its exit code and output.
+     * @param {string} testName - Name of the test
+     * @param {object} argArr - Command-line arguments
+     * @param {object} fileObj - File contents by path, "-" for stdin
+     * @param {number} expectedExitCode - Expected exit code
+     * @param {function} outputCheck - Returns true if the { out, error } output is as expected
+     */
+    function cliTestRunner(testName, argArr, fileObj, expectedExitCode, outputCheck) {
+        const cliTest = runCLI(argArr, fileObj);
+        if (cliTest.exitCode === expectedExitCode && outputCheck(cliTest)) {
+            console.log("PASS:", testName);
+        } else {
+            console.error("FAIL:", testName);
+            console.error("Expected exit code:", expectedExitCode);
+            console.error("Received:", JSON.stringify(cliTest));
+        }
+    }
+
+    const twentyLeaguesFile = JSON.stringify(twentyLeaguesIn);
+    const multipleFiles = { "twenty.json": twentyLeaguesFile, "lotr.json": JSON.stringify(lordOfTheRings) };
+
+    cliTestRunner("CLI JSON format test", ["-f", "json", "the", "twenty.json"], 
+            { "twenty.json": twentyLeaguesFile }, EXIT_CODES.success, 
+            ({ out }) => JSON.stringify(JSON.parse(out)) === 
+                    JSON.stringify(findSearchTermInBooks("the", twentyLeaguesIn)));
+    cliTestRunner("CLI stdin test", ["--format=jsonl", "-i", "THE"], { "-": twentyLeaguesFile }, 
+            EXIT_CODES.success, 
+            ({ out }) => out === findSearchTermInBooks("the", twentyLeaguesIn, { "caseSensitive": false }).Results
+                    .map((searchResult) => JSON.stringify(searchResult) + "\n").join(""));
+    cliTestRunner("CLI pretty format test", ["profound", "twenty.json"], { "twenty.json": twentyLeaguesFile }, 
+            EXIT_CODES.success, 
+            ({ out }) => out === "Twenty Thousand Leagues Under the Sea (ISBN 9780000528537)\n" + 
+                    "  p. 31, l. 9: ness was then [profound]; and however good the Canadian's\n" + 
+                    "1 result(s)\n");
+    cliTestRunner("CLI multiple files test", ["-f", "jsonl", "-i", "the", "twenty.json", "lotr.json"], 
+            multipleFiles, EXIT_CODES.success, 
+            ({ out }) => out.split("\n").length - 1 === 
+                    findSearchTermInBooks("the", [...twentyLeaguesIn, ...lordOfTheRings], 
+                            { "caseSensitive": false }).Results.length);
+    cliTestRunner("CLI limit test", ["-n", "1", "-i", "the", "twenty.json"], { "twenty.json": twentyLeaguesFile }, 
+            EXIT_CODES.success, ({ out }) => out.endsWith("\n1 of 2 result(s)\n"));
+    cliTestRunner("CLI filters test", 
+            ["-f", "json", "--title", "/^twenty/i", "--lines", "9..", "the", "twenty.json", "lotr.json"], 
+            multipleFiles, EXIT_CODES.success, 
+            ({ out }) => JSON.stringify(JSON.parse(out).Results) === 
+                    JSON.stringify([{ "ISBN": "9780000528537", "Page": 31, "Line": 9 }]));
+    cliTestRunner("CLI no matches test", ["unicorn", "twenty.json"], { "twenty.json": twentyLeaguesFile }, 
+            EXIT_CODES.noMatches, ({ out }) => out === "0 result(s)\n");
+    cliTestRunner("CLI help test", ["--help"], {}, EXIT_CODES.success, ({ out }) => out.startsWith("Usage:"));
+    cliTestRunner("CLI missing search term test", [], {}, EXIT_CODES.invalidInput, 
+            ({ error }) => error.includes("Missing search term") && error.includes("--help"));
+    cliTestRunner("CLI unknown option test", ["--color", "the"], {}, EXIT_CODES.invalidInput, 
+            ({ out }) => out === "");
+    cliTestRunner("CLI missing file test", ["the", "missing.json"], {}, EXIT_CODES.invalidInput, 
+            ({ error }) => error.includes("Cannot read missing.json"));
+    cliTestRunner("CLI invalid JSON test", ["the", "broken.json"], { "broken.json": "[{" }, 
+            EXIT_CODES.invalidInput, ({ error }) => error.includes("Invalid JSON in broken.json"));
+    cliTestRunner("CLI invalid scanned text test", ["profound", "invalid.json"], 
+            { "invalid.json": JSON.stringify(invalidScannedTextIn) }, EXIT_CODES.invalidInput, 
+            ({ out, error }) => out === "" && error.startsWith("book_search: "));
+    cliTestRunner("CLI invalid option test", ["--pages", "3..x", "the", "twenty.json"], 
+            { "twenty.json": twentyLeaguesFile }, EXIT_CODES.invalidInput, 
+            ({ error }) => error.includes("pages option must be a positive integer") && 
+                error.includes("--help"));
+    for (const argArr of [["-f", "xml", "the"], ["--limit=abc", "the"], ["--limit", "0", "the"], ["-m", "exact", "the"]]) {
+        cliTestRunner(`CLI usage error test | ${argArr.join(" ")}`, [...argArr, "twenty.json"], 
+                { "twenty.json": twentyLeaguesFile }, EXIT_CODES.invalidInput, 
+                ({ out, error }) => out === "" && error.endsWith("\nTry --help for usage.\n"));
+    }
+    cliTestRunner("CLI invalid query test", ["-b", "the AND", "twenty.json"], { "twenty.json": twentyLeaguesFile }, 
+            EXIT_CODES.invalidInput, ({ error }) => !error.includes("--help"));
+}
+}
+
+/**
+ * Tests run when this file is loaded by tester.html or run with Node.js, 
+ * but not when search_worker.js loads it into a Web Worker or another 
+ * Node.js script requires it.
+ */
+if (typeof(WorkerGlobalScope) === "undefined" && 
+        (typeof(module) === "undefined" || require.main === module)) {
+    runTests();
 }
@@ -0,0 +1,256 @@
+/**
+ * Command-line interface searching scanned text JSON files with findSearchTermInBooks().
+ *
+ * Usage: node book_search_cli.js [options] <search term> [file ...]
+ * Scanned text is read from stdin when no file (or "-") is given. The books of every
+ * file are searched together, so entries sharing an ISBN are merged across files.
+ * Run with --help for the options.
+ */
+const fs = require("node:fs");
+const { parseArgs } = require("node:util");
+const { SearchOptions, findSearchTermInBooks, ingestScannedText, isNull } = require("./book_search.js");
+
+/**
+ * Exit codes, grep-like so scripts can tell an empty search from a failed one.
+ * "success" - at least one result was found
+ * "noMatches" - the search ran but found nothing
+ * "invalidInput" - unreadable or invalid scanned text, search term or options
+ */
+const EXIT_CODES = { "success": 0, "noMatches": 1, "invalidInput": 2 };
+
+// Supported output formats, see printResults()
+const FORMATS = ["pretty", "json", "jsonl"];
+
+const USAGE = `Usage: node book_search_cli.js [options] <search term> [file ...]
+
+Searches scanned text JSON files, or stdin when no file (or "-") is given.
+
+Options:
+  -i, --ignore-case        Ignore letter case
+      --ignore-accents     Ignore diacritical marks (e.g. "resume" finds "résumé")
+  -m, --match <mode>       One of: ${SearchOptions.MATCH_MODES.join(", ")} (default: word)
+  -b, --boolean            Parse the search term as a boolean query (AND, OR, NOT, NEAR/n)
+      --isbn <isbn>        Only search the book with this ISBN, can be repeated
+      --title <title>      Only search books whose title contains this text,
+                           or matches it when written as /pattern/flags
+      --pages <range>      Only search these pages, e.g. 30..45, 30.. or ..45
+      --lines <range>      Only search these lines of every page
+  -n, --limit <count>      Print at most this many results
+  -f, --format <format>    One of: ${FORMATS.join(", ")} (default: pretty)
+  -h, --help               Print this help
+
+Exit codes: ${EXIT_CODES.success} if results were found, ${EXIT_CODES.noMatches} if none were, \
+${EXIT_CODES.invalidInput} for invalid input.
+`;
+
+/**
+ * Default input and output of the CLI, the process's own.
+ */
+const processIO = {
+    "readFile": (path) => fs.readFileSync(path, "utf8"),
+    "readStdin": () => fs.readFileSync(0, "utf8"),
+    "isStdinTTY": () => Boolean(process.stdin.isTTY),
+    "isStdoutTTY": () => Boolean(process.stdout.isTTY),
+    "writeOut": (text) => process.stdout.write(text),
+    "writeError": (text) => process.stderr.write(text)
+};
+
+/**
+ * Runs the CLI.
+ * @param {object} argArr - Command-line arguments, without the node executable and script
+ * @param {object} [io] - Input and output functions, same shape as processIO
+ * @returns {number} - One of EXIT_CODES
+ */
+function run(argArr, io = processIO) {
+    let searchTerm, pathArr, searchOptions, format;
+    // Usage errors, in the arguments themselves, are followed by a hint to read the help
+    try {
+        const { values, positionals } = parseArgs({
+            "args": argArr,
+            "allowPositionals": true,
+            "options": {
+                "ignore-case": { "type": "boolean", "short": "i" },
+                "ignore-accents": { "type": "boolean" },
+                "match": { "type": "string", "short": "m" },
+                "boolean": { "type": "boolean", "short": "b" },
+                "isbn": { "type": "string", "multiple": true },
+                "title": { "type": "string" },
+                "pages": { "type": "string" },
+                "lines": { "type": "string" },
+                "limit": { "type": "string", "short": "n" },
+                "format": { "type": "string", "short": "f", "default": "pretty" },
+                "help": { "type": "boolean", "short": "h" }
+            }
+        });
+        if (values.help) {
+            io.writeOut(USAGE);
+            return EXIT_CODES.success;
+        }
+        if (positionals.length === 0) {
+            throw new Error("Missing search term");
+        }
+        if (!FORMATS.includes(values.format)) {
+            throw new Error(`format option must be one of: ${FORMATS.join(", ")}`);
+        }
+
+        [searchTerm] = positionals;
+        format = values.format;
+        searchOptions = new SearchOptions({
+            "caseSensitive": !values["ignore-case"],
+            "accentSensitive": !values["ignore-accents"],
+            "match": values.match,
+            "syntax": values.boolean ? "boolean" : null,
+            "isbns": values.isbn,
+            "title": isNull(values.title) ? null : parseTitle(values.title),
+            "pages": isNull(values.pages) ? null : parseRange(values.pages, "pages"),
+            "lines": isNull(values.lines) ? null : parseRange(values.lines, "lines"),
+            "limit": isNull(values.limit) ? null : parseCount(values.limit, "limit"),
+            // Locates each match within its line for the pretty format
+            "snippetWords": (format === "pretty") ? 0 : null
+        });
+        pathArr = positionals.slice(1);
+    } catch(e) {
+        io.writeError(`book_search: ${e.message}\nTry --help for usage.\n`);
+        return EXIT_CODES.invalidInput;
+    }
+
+    try {
+        const scannedTextObj = readScannedText(pathArr, io);
+        const resultJSON = findSearchTermInBooks(searchTerm, scannedTextObj, searchOptions);
+        printResults(resultJSON, scannedTextObj, format, io);
+        return (resultJSON.Results.length > 0) ? EXIT_CODES.success : EXIT_CODES.noMatches;
+    } catch(e) {
+        io.writeError(`book_search: ${e.message}\n`);
+        return EXIT_CODES.invalidInput;
+    }
+}
+
+/**
+ * Reads and combines the scanned text of every input.
+ * @param {object} pathArr - Array of file paths, "-" standing for stdin; stdin if empty
+ * @param {object} io - Input and output functions
+ * @returns {JSON} - Array of the books of every input, in order
+ */
+function readScannedText(pathArr, io) {
+    if (pathArr.length === 0) {
+        if (io.isStdinTTY()) {
+            throw new Error("No scanned text file given and nothing piped to stdin");
+        }
+        pathArr = ["-"];
+    }
+
+    let scannedTextObj = [];
+    for (const path of pathArr) {
+        const name = (path === "-") ? "stdin" : path;
+        let text;
+        try {
+            text = (path === "-") ? io.readStdin() : io.readFile(path);
+        } catch(e) {
+            throw new Error(`Cannot read ${name}; ${e.message}`);
+        }
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch(e) {
+            throw new Error(`Invalid JSON in ${name}; ${e.message}`);
+        }
+        if (!Array.isArray(json)) {
+            throw new Error(`Scanned text in ${name} must be an array of books`);
+        }
+        scannedTextObj = scannedTextObj.concat(json);
+    }
+    return scannedTextObj;
+}
+
+/**
+ * Parses a --title option value.
+ * @param {string} value - Text to find in titles, or a /pattern/flags regular expression
+ * @returns {RegExp|string} - title option of SearchOptions
+ */
+function parseTitle(value) {
+    const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+    return isNull(regexMatch) ? value : new RegExp(regexMatch[1], regexMatch[2]);
+}
+
+/**
+ * Parses a --pages or --lines option value.
+ * @param {string} value - "from..to" range where either end can be left out, or a single number
+ * @param {string} name - Option name, for error messages
+ * @returns {object} - { from, to } range of SearchOptions
+ */
+function parseRange(value, name) {
+    const [fromText, toText] = value.includes("..") ? value.split("..") : [value, value];
+    return {
+        "from": (fromText === "") ? null : parseCount(fromText, name),
+        "to": (toText === "") ? null : parseCount(toText, name)
+    };
+}
+
+/**
+ * Parses a positive integer option value.
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for error messages
+ * @returns {number} - Parsed integer
+ */
+function parseCount(value, name) {
+    if (!/^[1-9][0-9]*$/.test(value)) {
+        throw new Error(`${name} option must be a positive integer, not "${value}"`);
+    }
+    return Number(value);
+}
+
+/**
+ * Prints search results.
+ * "pretty" - results grouped by book, each line's text with the match marked
+ * "json" - the result JSON of findSearchTermInBooks()
+ * "jsonl" - one result JSON per line
+ * @param {JSON} resultJSON - Search results
+ * @param {JSON} scannedTextObj - Searched scanned text, for the text of result lines
+ * @param {string} format - One of FORMATS
+ * @param {object} io - Input and output functions
+ */
+function printResults(resultJSON, scannedTextObj, format, io) {
+    if (format === "json") {
+        io.writeOut(JSON.stringify(resultJSON, null, 2) + "\n");
+        return;
+    }
+    if (format === "jsonl") {
+        for (const searchResult of resultJSON.Results) {
+            io.writeOut(JSON.stringify(searchResult) + "\n");
+        }
+        return;
+    }
+
+    // Ingesting again can't fail, since the search already ingested the same scanned text
+    const bookArr = ingestScannedText(scannedTextObj).books;
+    // Reverse video on terminals, brackets otherwise
+    const [markStart, markEnd] = io.isStdoutTTY() ? ["\x1b[7m", "\x1b[27m"] : ["[", "]"];
+    let previousISBN = null;
+
+    for (const searchResult of resultJSON.Results) {
+        const bookObj = bookArr.find((book) => book.isbn === searchResult.isbn);
+        if (searchResult.isbn !== previousISBN) {
+            io.writeOut(`${bookObj.title} (ISBN ${bookObj.isbn})\n`);
+            previousISBN = searchResult.isbn;
+        }
+
+        let lineText = bookObj.getLine(searchResult.page, searchResult.line).text;
+        const { Start: start, End: end } = searchResult.details;
+        if (!isNull(start)) {
+            lineText = lineText.slice(0, start) + markStart + lineText.slice(start, end) + 
+                    markEnd + lineText.slice(end);
+        }
+        io.writeOut(`  p. ${searchResult.page}, l. ${searchResult.line}: ${lineText}\n`);
+    }
+
+    const resultCount = resultJSON.Results.length;
+    io.writeOut(isNull(resultJSON.TotalCount) || resultJSON.TotalCount === resultCount ? 
+            `${resultCount} result(s)\n` : `${resultCount} of ${resultJSON.TotalCount} result(s)\n`);
+}
+
+module.exports = { EXIT_CODES, run };
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
@@ -0,0 +1,10 @@
+/**
+ * Web Worker running searches for SearchWorkerClient, so that searching a big
+ * scanned text doesn't freeze the page. See SearchWorkerHost in book_search.js
+ * for the messages it handles.
+ */
+importScripts("book_search.js");
+
+const searchWorkerHost = new SearchWorkerHost((message) => self.postMessage(message));
+
+self.onmessage = (event) => searchWorkerHost.handleMessage(event.data);